@@ -0,0 +1,18 @@
+/**
+ * Access Helpers
+ * Shared authorization checks for callables
+ */
+
+/**
+ * Check whether the caller has the `admin` custom claim.
+ * Set it with admin.auth().setCustomUserClaims(uid, {admin: true}).
+ * @param {object} context - Callable context
+ * @return {boolean} True for admin users
+ */
+function isAdmin(context) {
+  return Boolean(context.auth && context.auth.token && context.auth.token.admin === true);
+}
+
+module.exports = {
+  isAdmin,
+};
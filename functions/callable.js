@@ -0,0 +1,92 @@
+/**
+ * Callable Wrapper
+ * Shared entry point for HTTPS callables.
+ *
+ * Handlers keep the (data, context) signature: the wrapper maps the request
+ * into `data` and a context of {auth, app, rawRequest, instanceIdToken,
+ * correlationId}.
+ *
+ * Errors reach the client as follows:
+ *   HttpsError - passed through with its code; details.code is filled in
+ *                from the error code (e.g. NOT_FOUND) when the thrower did not
+ *                set a more specific one (e.g. SIGNAL_ALREADY_EXISTS)
+ *   anything else - logged and replaced by an "internal" error with
+ *                details.code INTERNAL
+ * Every error carries details.correlationId, which is also in the logs. The
+ * client may choose it by sending an X-Correlation-Id header.
+ */
+
+const crypto = require("crypto");
+const functions = require("firebase-functions");
+
+const CORRELATION_HEADER = "x-correlation-id";
+
+/**
+ * Correlation ID for a request: the client's, if it sent a sensible one
+ * @param {object} rawRequest - Underlying HTTP request
+ * @return {string} Correlation ID
+ */
+function correlationIdFor(rawRequest) {
+  const header = rawRequest && rawRequest.headers ? rawRequest.headers[CORRELATION_HEADER] : null;
+  return typeof header === "string" && /^[\w-]{8,64}$/.test(header) ?
+    header :
+    crypto.randomUUID();
+}
+
+/**
+ * Default machine-readable code for an HttpsError code
+ * @param {string} code - HttpsError code, e.g. "not-found"
+ * @return {string} Detail code, e.g. "NOT_FOUND"
+ */
+function defaultDetailCode(code) {
+  return code.toUpperCase().replace(/-/g, "_");
+}
+
+/**
+ * Build the error sent to the client
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} name - Callable name (for logs)
+ * @param {string} correlationId - Correlation ID
+ * @return {functions.https.HttpsError} Error to throw
+ */
+function toClientError(error, name, correlationId) {
+  if (error instanceof functions.https.HttpsError) {
+    const details = error.details && typeof error.details === "object" ? error.details : {};
+    const code = details.code || defaultDetailCode(error.code);
+    console.warn(`[${correlationId}] ${name} rejected: ${error.code} ${code} - ${error.message}`);
+
+    return new functions.https.HttpsError(error.code, error.message,
+        {...details, code, correlationId});
+  }
+
+  console.error(`[${correlationId}] ${name} failed:`, error);
+  return new functions.https.HttpsError("internal", `Failed to run ${name}`,
+      {code: "INTERNAL", correlationId});
+}
+
+/**
+ * Define an HTTPS callable
+ * @param {string} name - Callable name, used in logs and internal error messages
+ * @param {Function} handler - async (data, context) => result
+ * @return {Function} Cloud Function
+ */
+function callable(name, handler) {
+  return functions.https.onCall(async (request) => {
+    const correlationId = correlationIdFor(request.rawRequest);
+    const context = {
+      auth: request.auth || null,
+      app: request.app || null,
+      rawRequest: request.rawRequest,
+      instanceIdToken: request.instanceIdToken,
+      correlationId: correlationId,
+    };
+
+    try {
+      return await handler(request.data || {}, context);
+    } catch (error) {
+      throw toClientError(error, name, correlationId);
+    }
+  });
+}
+
+exports.callable = callable;
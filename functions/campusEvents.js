@@ -0,0 +1,185 @@
+/**
+ * Campus Events Functions
+ * Read API for the scraped campus_events_live feed
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {parsePageSize, encodePageToken, decodePageToken} = require("./pagination");
+
+const db = admin.firestore();
+
+const CAMPUS_EVENTS_COLLECTION = "campus_events_live";
+// Upper bound on documents read per call when in-memory filters discard rows
+const MAX_SCANNED_DOCS = 500;
+
+/**
+ * Convert a campus_events_live document into the stable response shape.
+ * Scrapers write different subsets of fields, so every key is always present.
+ * @param {string} id - Document ID
+ * @param {object} data - Document data
+ * @return {object} Normalized campus event
+ */
+function toCampusEvent(id, data) {
+  return {
+    id: id,
+    title: data.title || "",
+    description: data.description || null,
+    locationName: data.locationName || null,
+    address: data.address || null,
+    startTimeISO: data.startTimeISO || null,
+    endTimeISO: data.endTimeISO || null,
+    startTimeLocal: data.startTimeLocal || null,
+    allDay: data.allDay || false,
+    sourceType: data.sourceType || null,
+    sourceOrg: data.sourceOrg || null,
+    sourceUrl: data.sourceUrl || null,
+    imageUrl: data.imageUrl || null,
+    category: data.category || null,
+    tags: Array.isArray(data.tags) ? data.tags : [],
+    cost: data.cost || null,
+    confidence: typeof data.confidence === "number" ? data.confidence : null,
+    forecast: data.forecast || null,
+    rsvpCounts: data.rsvpCounts || {going: 0, interested: 0, notGoing: 0},
+  };
+}
+
+/**
+ * Parse an optional ISO date argument
+ * @param {*} value - Client supplied value
+ * @param {string} name - Argument name for error messages
+ * @return {string|null} Normalized ISO string
+ */
+function parseISOArgument(value, name) {
+  if (value === undefined || value === null) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new functions.https.HttpsError("invalid-argument", `${name} must be an ISO date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Build the filters applied after documents are read.
+ * Firestore cannot combine these with the startTimeISO range query.
+ * @param {object} data - Callable arguments
+ * @return {function(object): boolean} Predicate over normalized events
+ */
+function buildMemoryFilter(data) {
+  const tags = Array.isArray(data.tags) ?
+    data.tags.map((tag) => String(tag).toLowerCase()) :
+    [];
+  const text = typeof data.query === "string" ? data.query.trim().toLowerCase() : "";
+  const minConfidence = typeof data.minConfidence === "number" ? data.minConfidence : null;
+
+  return (event) => {
+    if (tags.length > 0) {
+      const eventTags = event.tags.map((tag) => String(tag).toLowerCase());
+      if (!tags.some((tag) => eventTags.includes(tag))) return false;
+    }
+    if (text && !event.title.toLowerCase().includes(text)) return false;
+    if (minConfidence !== null && (event.confidence ?? 0) < minConfidence) return false;
+    return true;
+  };
+}
+
+/**
+ * Get scraped campus events
+ * HTTP endpoint: POST /getCampusEvents
+ *
+ * Filters: startAfter/startBefore (startTimeISO range), sourceType (string or
+ * array), category, tags (match any), query (title substring), minConfidence.
+ * Pagination: pageSize and the nextPageToken returned by the previous call.
+ */
+exports.getCampusEvents = callable("getCampusEvents", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const pageSize = parsePageSize(data.pageSize);
+  const startAfter = parseISOArgument(data.startAfter, "startAfter");
+  const startBefore = parseISOArgument(data.startBefore, "startBefore");
+  const cursor = decodePageToken(data.pageToken, 2);
+
+  let query = db.collection(CAMPUS_EVENTS_COLLECTION);
+
+  if (Array.isArray(data.sourceType)) {
+    if (data.sourceType.length === 0 || data.sourceType.length > 10) {
+      throw new functions.https.HttpsError("invalid-argument",
+          "sourceType must list between 1 and 10 values");
+    }
+    query = query.where("sourceType", "in", data.sourceType);
+  } else if (data.sourceType) {
+    query = query.where("sourceType", "==", data.sourceType);
+  }
+
+  if (data.category) {
+    query = query.where("category", "==", data.category);
+  }
+
+  // Default window starts now so past events are not returned
+  query = query.where("startTimeISO", ">=", startAfter || new Date().toISOString());
+  if (startBefore) {
+    query = query.where("startTimeISO", "<=", startBefore);
+  }
+
+  query = query
+      .orderBy("startTimeISO", "asc")
+      .orderBy(admin.firestore.FieldPath.documentId(), "asc");
+
+  if (cursor) {
+    query = query.startAfter(...cursor);
+  }
+
+  const matches = buildMemoryFilter(data);
+  const events = [];
+  let scanned = 0;
+  let exhausted = false;
+  let lastScanned = null;
+
+  // Keep reading batches until the page is full; in-memory filters may drop rows
+  while (events.length < pageSize && scanned < MAX_SCANNED_DOCS) {
+    let batchQuery = query.limit(pageSize);
+    if (lastScanned) {
+      batchQuery = batchQuery.startAfter(lastScanned.startTimeISO, lastScanned.id);
+    }
+
+    const snapshot = await batchQuery.get();
+    scanned += snapshot.size;
+
+    for (const doc of snapshot.docs) {
+      const event = toCampusEvent(doc.id, doc.data());
+      lastScanned = event;
+      if (matches(event)) {
+        events.push(event);
+        if (events.length === pageSize) break;
+      }
+    }
+
+    if (snapshot.size < pageSize) {
+      const lastDoc = snapshot.docs[snapshot.size - 1];
+      exhausted = !lastDoc || lastDoc.id === lastScanned.id;
+      break;
+    }
+  }
+
+  // Resume after the last document examined, not the last one returned,
+  // so rows already rejected by the memory filters are not re-read
+  const nextPageToken = !exhausted && lastScanned ?
+    encodePageToken([lastScanned.startTimeISO, lastScanned.id]) :
+    null;
+
+  console.log(`Campus events query returned ${events.length} events (scanned ${scanned})`);
+
+  return {
+    success: true,
+    events: events,
+    count: events.length,
+    nextPageToken: nextPageToken,
+  };
+});
+
+exports.toCampusEvent = toCampusEvent;
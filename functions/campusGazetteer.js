@@ -0,0 +1,481 @@
+/**
+ * Campus Gazetteer
+ * Maps free-text event locations to UNT campus buildings and coordinates.
+ *
+ * Shared by functions/fetchOfficialEvents.js and scraper/firestore.js.
+ * Coordinates are approximate building centroids; correct entries here as
+ * buildings are surveyed or as items from unresolved_locations are mapped.
+ */
+
+const crypto = require("crypto");
+const {encodeGeohash} = require("./geohash");
+
+const UNRESOLVED_LOCATIONS_COLLECTION = "unresolved_locations";
+// Matches below this confidence are treated as unresolved
+const MIN_MATCH_CONFIDENCE = 0.5;
+
+/**
+ * Campus buildings. `aliases` are matched as whole words against the
+ * normalized location text; short abbreviations should be unambiguous.
+ */
+const BUILDINGS = [
+  {
+    id: "university-union",
+    name: "University Union",
+    aliases: ["union", "the union", "universty union"],
+    address: "1155 Union Circle",
+    latitude: 33.2107,
+    longitude: -97.1478,
+  },
+  {
+    id: "willis-library",
+    name: "Willis Library",
+    aliases: ["willis"],
+    latitude: 33.2112,
+    longitude: -97.1498,
+  },
+  {
+    id: "library-mall",
+    name: "Library Mall",
+    aliases: [],
+    latitude: 33.2106,
+    longitude: -97.1490,
+  },
+  {
+    id: "general-academic-building",
+    name: "General Academic Building",
+    aliases: ["gab"],
+    latitude: 33.2118,
+    longitude: -97.1484,
+  },
+  {
+    id: "business-leadership-building",
+    name: "Business Leadership Building",
+    aliases: ["blb"],
+    latitude: 33.2118,
+    longitude: -97.1465,
+  },
+  {
+    id: "music-building",
+    name: "Music Building",
+    aliases: ["college of music", "voertman concert hall"],
+    latitude: 33.2098,
+    longitude: -97.1509,
+  },
+  {
+    id: "chestnut-hall",
+    name: "Chestnut Hall",
+    aliases: ["student health and wellness center", "shwc"],
+    latitude: 33.2080,
+    longitude: -97.1499,
+  },
+  {
+    id: "pohl-recreation-center",
+    name: "Pohl Recreation Center",
+    aliases: ["pohl rec", "rec center", "recreation center"],
+    latitude: 33.2084,
+    longitude: -97.1530,
+  },
+  {
+    id: "discovery-park",
+    name: "Discovery Park",
+    aliases: ["discovery park building"],
+    address: "3940 N Elm St",
+    latitude: 33.2534,
+    longitude: -97.1522,
+  },
+  {
+    id: "wooten-hall",
+    name: "Wooten Hall",
+    aliases: [],
+    latitude: 33.2100,
+    longitude: -97.1475,
+  },
+  {
+    id: "sage-hall",
+    name: "Sage Hall",
+    aliases: [],
+    latitude: 33.2099,
+    longitude: -97.1462,
+  },
+  {
+    id: "matthews-hall",
+    name: "Matthews Hall",
+    aliases: [],
+    latitude: 33.2092,
+    longitude: -97.1459,
+  },
+  {
+    id: "eesat",
+    name: "Environmental Education Science and Technology Building",
+    aliases: ["eesat", "sky theater planetarium"],
+    latitude: 33.2139,
+    longitude: -97.1519,
+  },
+  {
+    id: "physics-building",
+    name: "Physics Building",
+    aliases: [],
+    latitude: 33.2117,
+    longitude: -97.1457,
+  },
+  {
+    id: "chemistry-building",
+    name: "Chemistry Building",
+    aliases: [],
+    latitude: 33.2120,
+    longitude: -97.1451,
+  },
+  {
+    id: "marquis-hall",
+    name: "Marquis Hall",
+    aliases: [],
+    latitude: 33.2101,
+    longitude: -97.1529,
+  },
+  {
+    id: "rtfp",
+    name: "Radio TV Film and Performing Arts",
+    aliases: ["rtfp", "rtvf building"],
+    latitude: 33.2124,
+    longitude: -97.1497,
+  },
+  {
+    id: "murchison-performing-arts-center",
+    name: "Murchison Performing Arts Center",
+    aliases: ["murchison", "winspear performance hall", "lyric theater"],
+    latitude: 33.2160,
+    longitude: -97.1571,
+  },
+  {
+    id: "terrill-hall",
+    name: "Terrill Hall",
+    aliases: [],
+    latitude: 33.2107,
+    longitude: -97.1455,
+  },
+  {
+    id: "eagle-student-services-center",
+    name: "Eagle Student Services Center",
+    aliases: ["essc"],
+    latitude: 33.2096,
+    longitude: -97.1448,
+  },
+  {
+    id: "curry-hall",
+    name: "Curry Hall",
+    aliases: [],
+    latitude: 33.2114,
+    longitude: -97.1452,
+  },
+  {
+    id: "gateway-center",
+    name: "Gateway Center",
+    aliases: [],
+    latitude: 33.2080,
+    longitude: -97.1475,
+  },
+  {
+    id: "dance-and-theater",
+    name: "Dance and Theater",
+    aliases: ["dance and theatre building"],
+    latitude: 33.2127,
+    longitude: -97.1507,
+  },
+  {
+    id: "art-building",
+    name: "Art Building",
+    aliases: ["cvad", "cvad gallery"],
+    address: "1201 W Mulberry St",
+    latitude: 33.2121,
+    longitude: -97.1450,
+  },
+  {
+    id: "volleyball-center",
+    name: "North Texas Volleyball Center",
+    aliases: [],
+    latitude: 33.2085,
+    longitude: -97.1576,
+  },
+  {
+    id: "crumley-hall",
+    name: "Crumley Hall",
+    aliases: [],
+    latitude: 33.2077,
+    longitude: -97.1481,
+  },
+  {
+    id: "language-building",
+    name: "Language Building",
+    aliases: [],
+    latitude: 33.2115,
+    longitude: -97.1470,
+  },
+  {
+    id: "coliseum",
+    name: "UNT Coliseum",
+    aliases: ["coliseum", "super pit"],
+    latitude: 33.2078,
+    longitude: -97.1560,
+  },
+  {
+    id: "hurley-administration-building",
+    name: "Hurley Administration Building",
+    aliases: [],
+    latitude: 33.2111,
+    longitude: -97.1461,
+  },
+  {
+    id: "bruce-hall",
+    name: "Bruce Hall",
+    aliases: [],
+    latitude: 33.2097,
+    longitude: -97.1480,
+  },
+  {
+    id: "life-sciences-complex",
+    name: "Life Sciences Complex",
+    aliases: [],
+    latitude: 33.2130,
+    longitude: -97.1460,
+  },
+  {
+    id: "physical-education-building",
+    name: "Physical Education Building",
+    aliases: [],
+    latitude: 33.2087,
+    longitude: -97.1517,
+  },
+  {
+    id: "hickory-hall",
+    name: "Hickory Hall",
+    aliases: [],
+    latitude: 33.2124,
+    longitude: -97.1481,
+  },
+  {
+    id: "kerr-hall",
+    name: "Kerr Hall",
+    aliases: [],
+    latitude: 33.2071,
+    longitude: -97.1503,
+  },
+  {
+    id: "maple-hall",
+    name: "Maple Hall",
+    aliases: [],
+    latitude: 33.2083,
+    longitude: -97.1456,
+  },
+  {
+    id: "datcu-stadium",
+    name: "DATCU Stadium",
+    aliases: ["apogee stadium"],
+    latitude: 33.2036,
+    longitude: -97.1594,
+  },
+];
+
+// Locations that can never be placed on the map and should not be queued
+const VIRTUAL_LOCATION_PATTERN = /^(online|virtual|zoom|teams|microsoft teams|tbd|tba)$/;
+
+// "rm 241", "room 250H", "suite 100"
+const ROOM_PATTERN = /\b(?:rm|room|suite|ste)\s*#?\s*([a-z]?\d{1,4}[a-z]?)\b/;
+
+/**
+ * Lowercase, expand "&", and strip punctuation so aliases match reliably
+ * @param {string} text - Raw location text
+ * @return {string} Normalized text
+ */
+function normalizeLocationText(text) {
+  return (text || "")
+      .toLowerCase()
+      .replace(/&/g, " and ")
+      .replace(/[^a-z0-9\s]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text - Literal text
+ * @return {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Extract a room number, either labelled ("Union rm 241") or directly after
+ * the matched building term ("BLB 155", "University Union 341A")
+ * @param {string} normalized - Normalized location text
+ * @param {string} term - Building name or alias that matched
+ * @return {string|null} Room identifier in upper case
+ */
+function extractRoom(normalized, term) {
+  const labelled = normalized.match(ROOM_PATTERN);
+  if (labelled) return labelled[1].toUpperCase();
+
+  const trailing = normalized.match(
+      new RegExp(`\\b${escapeRegExp(term)} (\\d{2,4}[a-z]?)\\b`));
+  return trailing ? trailing[1].toUpperCase() : null;
+}
+
+/**
+ * Score how well one building matches the normalized text
+ * @param {object} building - Gazetteer entry
+ * @param {string} normalized - Normalized location text
+ * @param {string} normalizedAddress - Normalized street address
+ * @return {object|null} Best match for this building
+ */
+function matchBuilding(building, normalized, normalizedAddress) {
+  let best = null;
+
+  if (building.address && normalizedAddress) {
+    // Compare number + street name, ignoring the suffix ("St", "Street")
+    const street = normalizeLocationText(building.address).split(" ").slice(0, -1).join(" ");
+    if (normalizedAddress.includes(street)) {
+      best = {term: street, confidence: 0.95, matchType: "address"};
+    }
+  }
+
+  const terms = [
+    {term: normalizeLocationText(building.name), isName: true},
+    ...building.aliases.map((alias) => ({term: normalizeLocationText(alias), isName: false})),
+  ];
+
+  for (const {term, isName} of terms) {
+    if (!new RegExp(`\\b${escapeRegExp(term)}\\b`).test(normalized)) continue;
+
+    let confidence;
+    let matchType;
+    if (normalized === term || normalized.replace(ROOM_PATTERN, "").trim() === term) {
+      confidence = 1.0;
+      matchType = "exact";
+    } else if (isName) {
+      confidence = 0.9;
+      matchType = "name";
+    } else {
+      // Abbreviations are more likely to collide with unrelated words
+      confidence = term.length <= 4 ? 0.7 : 0.8;
+      matchType = "alias";
+    }
+
+    if (!best || confidence > best.confidence ||
+        (confidence === best.confidence && term.length > best.term.length)) {
+      best = {term, confidence, matchType};
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Check whether a location is online-only or a placeholder
+ * @param {string} locationName - Raw location text
+ * @return {boolean} True if the location has no physical place
+ */
+function isVirtualLocation(locationName) {
+  return VIRTUAL_LOCATION_PATTERN.test(normalizeLocationText(locationName));
+}
+
+/**
+ * Resolve a scraped location to a campus building
+ * @param {string} locationName - Free-text location ("Union rm 241")
+ * @param {string} address - Optional street address
+ * @return {object|null} Resolved location with coordinates, geohash and
+ *   confidence, or null if nothing matched confidently
+ */
+function resolveCampusLocation(locationName, address) {
+  const normalized = normalizeLocationText(locationName);
+  const normalizedAddress = normalizeLocationText(address);
+  if (!normalized && !normalizedAddress) return null;
+
+  const matches = BUILDINGS
+      .map((building) => ({
+        building,
+        match: matchBuilding(building, normalized, normalizedAddress),
+      }))
+      .filter(({match}) => match !== null)
+      .sort((a, b) => b.match.confidence - a.match.confidence ||
+        b.match.term.length - a.match.term.length);
+
+  if (matches.length === 0) return null;
+
+  const [{building, match}] = matches;
+  let confidence = match.confidence;
+  let matchType = match.matchType;
+
+  // Text naming several buildings ("Lawn between GAB and Hickory Hall")
+  if (matches.length > 1 && match.matchType !== "address") {
+    confidence -= 0.2;
+    matchType = "ambiguous";
+  }
+
+  if (confidence < MIN_MATCH_CONFIDENCE) return null;
+
+  return {
+    buildingId: building.id,
+    buildingName: building.name,
+    room: extractRoom(normalized, match.term),
+    latitude: building.latitude,
+    longitude: building.longitude,
+    geohash: encodeGeohash(building.latitude, building.longitude, 6),
+    confidence: Math.round(confidence * 100) / 100,
+    matchType: matchType,
+  };
+}
+
+/**
+ * Build the Firestore fields added to a normalized campus event.
+ * Returns null when the location is unresolved and should be queued.
+ * @param {object} normalized - Normalized event (locationName, address)
+ * @return {object|null} Fields to merge into the event document
+ */
+function geocodeFieldsForEvent(normalized) {
+  const resolved = resolveCampusLocation(normalized.locationName, normalized.address);
+  if (!resolved) return null;
+
+  return {
+    latitude: resolved.latitude,
+    longitude: resolved.longitude,
+    geohash: resolved.geohash,
+    buildingId: resolved.buildingId,
+    room: resolved.room,
+    locationConfidence: resolved.confidence,
+  };
+}
+
+/**
+ * Build the queue entry for a location that could not be resolved.
+ * Entries are keyed by normalized text so repeats collapse into one item.
+ * @param {object} normalized - Normalized event
+ * @return {object|null} {id, data} for unresolved_locations, or null if the
+ *   location is empty or virtual
+ */
+function unresolvedLocationEntry(normalized) {
+  const text = normalizeLocationText(normalized.locationName || normalized.address);
+  if (!text || isVirtualLocation(text)) return null;
+
+  return {
+    id: crypto.createHash("sha1").update(text).digest("hex"),
+    data: {
+      locationName: normalized.locationName || null,
+      address: normalized.address || null,
+      normalizedText: text,
+      sampleTitle: normalized.title || null,
+      sourceType: normalized.sourceType || null,
+      status: "pending",
+    },
+  };
+}
+
+module.exports = {
+  BUILDINGS,
+  UNRESOLVED_LOCATIONS_COLLECTION,
+  normalizeLocationText,
+  isVirtualLocation,
+  resolveCampusLocation,
+  geocodeFieldsForEvent,
+  unresolvedLocationEntry,
+};
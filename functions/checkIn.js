@@ -0,0 +1,135 @@
+/**
+ * Check-in Validation
+ * Decides whether a signal may be created: the user must be inside the event's
+ * geofence and the event must be running.
+ *
+ * Rejections are failed-precondition HttpsErrors whose details.code says why:
+ *   EVENT_NOT_PUBLISHED     - the event is still a draft
+ *   EVENT_CANCELLED         - the host cancelled the event (details.reason)
+ *   LOCATION_TOO_INACCURATE - reported GPS accuracy is worse than allowed
+ *   OUTSIDE_GEOFENCE        - too far from the event
+ *   EVENT_NOT_STARTED       - more than the early grace period before startsAt
+ *   EVENT_ENDED             - after endsAt (plus the late grace period)
+ */
+
+const functions = require("firebase-functions");
+const {calculateDistance} = require("./geohash");
+const {EVENT_STATUS, DEFAULT_EVENT_DURATION_HOURS} = require("./eventLifecycle");
+
+// GPS accuracy (meters) beyond which a location is not trusted at all
+const MAX_ACCURACY_METERS = parseFloat(process.env.CHECKIN_MAX_ACCURACY_METERS || "150");
+// Most that reported accuracy can widen the geofence by
+const MAX_ACCURACY_TOLERANCE_METERS =
+  parseFloat(process.env.CHECKIN_MAX_ACCURACY_TOLERANCE_METERS || "50");
+const EARLY_GRACE_MINUTES = parseInt(process.env.CHECKIN_EARLY_GRACE_MINUTES || "15", 10);
+const LATE_GRACE_MINUTES = parseInt(process.env.CHECKIN_LATE_GRACE_MINUTES || "0", 10);
+const DEFAULT_EVENT_RADIUS_METERS = 60;
+
+/**
+ * Convert a Firestore Timestamp or date value to milliseconds
+ * @param {*} value - Timestamp, Date or ISO string
+ * @return {number|null} Milliseconds since epoch
+ */
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+
+  const ms = new Date(value).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Build a check-in rejection
+ * @param {string} code - Rejection code
+ * @param {string} message - Human-readable message
+ * @param {object} details - Extra details for the client
+ * @return {functions.https.HttpsError} Error to throw
+ */
+function rejection(code, message, details = {}) {
+  return new functions.https.HttpsError("failed-precondition", message, {code, ...details});
+}
+
+/**
+ * Check that a location is inside the event geofence
+ * @param {object} event - Event document data
+ * @param {object} location - Reported location
+ * @param {number} location.latitude - Latitude
+ * @param {number} location.longitude - Longitude
+ * @param {number} location.accuracyMeters - Reported horizontal accuracy (optional)
+ * @return {number} Distance from the event in meters
+ */
+function validateGeofence(event, {latitude, longitude, accuracyMeters}) {
+  const accuracy = typeof accuracyMeters === "number" && accuracyMeters > 0 ? accuracyMeters : 0;
+  if (accuracy > MAX_ACCURACY_METERS) {
+    throw rejection("LOCATION_TOO_INACCURATE",
+        `Location accuracy must be within ${MAX_ACCURACY_METERS}m to check in`,
+        {accuracyMeters: accuracy, maxAccuracyMeters: MAX_ACCURACY_METERS});
+  }
+
+  const distanceMeters = Math.round(
+      calculateDistance(latitude, longitude, event.latitude, event.longitude) * 1000);
+  const allowedMeters = (event.radiusMeters || DEFAULT_EVENT_RADIUS_METERS) +
+    Math.min(accuracy, MAX_ACCURACY_TOLERANCE_METERS);
+
+  if (distanceMeters > allowedMeters) {
+    throw rejection("OUTSIDE_GEOFENCE", "You must be at the event to check in",
+        {distanceMeters, allowedMeters});
+  }
+  return distanceMeters;
+}
+
+/**
+ * Check that the event is running at the given time.
+ * Events without startsAt have no schedule and are always open.
+ * @param {object} event - Event document data
+ * @param {number} nowMs - Check-in time in ms
+ */
+function validateEventWindow(event, nowMs) {
+  if (event.status === EVENT_STATUS.DRAFT) {
+    throw rejection("EVENT_NOT_PUBLISHED", "This event has not been published yet");
+  }
+  if (event.status === EVENT_STATUS.CANCELLED) {
+    throw rejection("EVENT_CANCELLED", "This event has been cancelled",
+        {reason: event.cancellationReason || null});
+  }
+
+  const startMs = toMillis(event.startsAt);
+  if (startMs === null) return;
+
+  const opensAtMs = startMs - EARLY_GRACE_MINUTES * 60 * 1000;
+  if (nowMs < opensAtMs) {
+    throw rejection("EVENT_NOT_STARTED", "This event has not started yet",
+        {opensAt: new Date(opensAtMs).toISOString()});
+  }
+
+  const endMs = toMillis(event.endsAt) ?? startMs + DEFAULT_EVENT_DURATION_HOURS * 60 * 60 * 1000;
+  const closesAtMs = endMs + LATE_GRACE_MINUTES * 60 * 1000;
+  if (nowMs > closesAtMs) {
+    throw rejection("EVENT_ENDED", "This event has already ended",
+        {closedAt: new Date(closesAtMs).toISOString()});
+  }
+}
+
+/**
+ * Validate a check-in, throwing a failed-precondition HttpsError if it is not allowed
+ * @param {object} event - Event document data
+ * @param {object} location - {latitude, longitude, accuracyMeters}
+ * @param {number} nowMs - Check-in time in ms (default: now)
+ * @return {object} {distanceMeters}
+ */
+function validateCheckIn(event, location, nowMs = Date.now()) {
+  validateEventWindow(event, nowMs);
+  const distanceMeters = validateGeofence(event, location);
+  return {distanceMeters};
+}
+
+module.exports = {
+  MAX_ACCURACY_METERS,
+  MAX_ACCURACY_TOLERANCE_METERS,
+  EARLY_GRACE_MINUTES,
+  LATE_GRACE_MINUTES,
+  DEFAULT_EVENT_RADIUS_METERS,
+  validateGeofence,
+  validateEventWindow,
+  validateCheckIn,
+};
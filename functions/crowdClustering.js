@@ -0,0 +1,142 @@
+/**
+ * Crowd Clustering
+ * Density-based (DBSCAN) clustering of signals into crowds.
+ *
+ * A signal is a core point when at least minPoints signals (itself included)
+ * lie within epsMeters of it. Core points within epsMeters of each other share
+ * a cluster, and non-core signals join the cluster of a nearby core point.
+ * Signals that reach no core point form a crowd of one.
+ */
+
+const {encodeGeohash, getNeighbors, calculateDistance} = require("./geohash");
+
+const DEFAULT_EPS_METERS = parseFloat(process.env.CROWD_CLUSTER_EPS_METERS || "50");
+const DEFAULT_MIN_POINTS = parseInt(process.env.CROWD_CLUSTER_MIN_POINTS || "3", 10);
+
+// Meters per degree of latitude, and of longitude at the equator
+const METERS_PER_DEGREE = 111320;
+const MAX_PRECISION = 9;
+
+/**
+ * Pick the finest geohash precision whose cells are at least epsMeters
+ * across, so every neighbor within eps is in the same or an adjacent cell.
+ * Cells narrow towards the poles (their width shrinks with cos(latitude)),
+ * so the precision is chosen for the latitude furthest from the equator.
+ * @param {number} epsMeters - Neighborhood radius in meters
+ * @param {number} latitude - Largest absolute latitude of the signals
+ * @return {number} Geohash precision
+ */
+function cellPrecisionFor(epsMeters, latitude = 0) {
+  const cosLatitude = Math.cos(Math.min(Math.abs(latitude), 90) * Math.PI / 180);
+
+  for (let precision = MAX_PRECISION; precision > 1; precision--) {
+    // Geohash bits alternate longitude, latitude; longitude gets the odd one
+    const lonBits = Math.ceil(precision * 5 / 2);
+    const latBits = Math.floor(precision * 5 / 2);
+    const heightMeters = 180 / 2 ** latBits * METERS_PER_DEGREE;
+    const widthMeters = 360 / 2 ** lonBits * METERS_PER_DEGREE * cosLatitude;
+    if (heightMeters >= epsMeters && widthMeters >= epsMeters) return precision;
+  }
+  return 1;
+}
+
+/**
+ * Bucket signals into geohash cells for neighbor lookups
+ * @param {Array<object>} signals - Signals with id, latitude, longitude
+ * @param {number} precision - Cell precision
+ * @return {Map<string, Array<object>>} Cell geohash -> signals
+ */
+function buildCellIndex(signals, precision) {
+  const cells = new Map();
+  signals.forEach((signal) => {
+    const cell = encodeGeohash(signal.latitude, signal.longitude, precision);
+    if (!cells.has(cell)) cells.set(cell, []);
+    cells.get(cell).push(signal);
+  });
+  return cells;
+}
+
+/**
+ * Cluster signals into crowds
+ * @param {Array<object>} signals - Signals with id, latitude, longitude
+ * @param {object} options - Clustering options
+ * @param {number} options.epsMeters - Neighborhood radius in meters
+ * @param {number} options.minPoints - Signals needed within eps to form a crowd core
+ * @return {Array<object>} Clusters: {clusterId, signalIds, peopleCount, latitude, longitude}
+ */
+function clusterSignals(signals, {
+  epsMeters = DEFAULT_EPS_METERS,
+  minPoints = DEFAULT_MIN_POINTS,
+} = {}) {
+  const maxLatitude = signals.reduce((max, signal) => Math.max(max, Math.abs(signal.latitude)), 0);
+  const precision = cellPrecisionFor(epsMeters, maxLatitude);
+  const cells = buildCellIndex(signals, precision);
+  const epsKm = epsMeters / 1000;
+
+  const neighborCache = new Map();
+  const neighborsOf = (signal) => {
+    if (neighborCache.has(signal.id)) return neighborCache.get(signal.id);
+
+    const cell = encodeGeohash(signal.latitude, signal.longitude, precision);
+    const neighbors = [cell, ...getNeighbors(cell)]
+        .flatMap((hash) => cells.get(hash) || [])
+        .filter((other) => calculateDistance(
+            signal.latitude, signal.longitude, other.latitude, other.longitude) <= epsKm);
+
+    neighborCache.set(signal.id, neighbors);
+    return neighbors;
+  };
+
+  const assigned = new Map();
+  const clusters = [];
+
+  // Visit in ID order so the same input always produces the same clusters
+  const ordered = [...signals].sort((a, b) => a.id.localeCompare(b.id));
+
+  ordered.forEach((signal) => {
+    if (assigned.has(signal.id) || neighborsOf(signal).length < minPoints) return;
+
+    const members = [];
+    const queue = [signal];
+    assigned.set(signal.id, members);
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      members.push(current);
+
+      const neighbors = neighborsOf(current);
+      if (neighbors.length < minPoints) continue; // Border point: do not expand
+
+      neighbors.forEach((neighbor) => {
+        if (assigned.has(neighbor.id)) return;
+        assigned.set(neighbor.id, members);
+        queue.push(neighbor);
+      });
+    }
+
+    clusters.push(members);
+  });
+
+  // Noise points are crowds of one
+  ordered.forEach((signal) => {
+    if (!assigned.has(signal.id)) clusters.push([signal]);
+  });
+
+  return clusters.map((members) => {
+    const signalIds = members.map((member) => member.id).sort();
+    return {
+      clusterId: signalIds[0],
+      signalIds: signalIds,
+      peopleCount: members.length,
+      latitude: members.reduce((sum, member) => sum + member.latitude, 0) / members.length,
+      longitude: members.reduce((sum, member) => sum + member.longitude, 0) / members.length,
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_EPS_METERS,
+  DEFAULT_MIN_POINTS,
+  cellPrecisionFor,
+  clusterSignals,
+};
@@ -0,0 +1,486 @@
+/**
+ * Crowd Forecast
+ * Estimates turnout for upcoming events from the outcomes of comparable past
+ * events, with a small, explainable statistical model.
+ *
+ * Outcomes: once an event ends, its peak crowd (from crowd_snapshots, falling
+ * back to attendeeCount) is stored in event_outcomes along with its features.
+ * Each occurrence of a recurring event is its own outcome. Campus events have
+ * no check-ins, so their going RSVPs stand in for the peak. Drafts and
+ * cancelled events (or occurrences) are not recorded. Features:
+ *   orgKey      - "host:{hostId}" for user events, "org:{sourceOrg}" for campus events
+ *   category    - campus category, or the first tag of a user event
+ *   timeSlot    - weekday and 3-hour block in campus time, e.g. "fri-21"
+ *   locationCell - 6-char geohash
+ *
+ * Model: attendance is compared on a log scale. For each feature the event
+ * has, the mean log attendance of past events sharing that value is shrunk
+ * toward the overall mean by SHRINKAGE_SAMPLES pseudo-observations, so a
+ * group with one past event barely moves the estimate. The forecast blends
+ * the overall mean with those shrunk means, each weighted by how reliable its
+ * group is; the basis lists every factor used so clients can show "based on
+ * 12 past events by this org".
+ */
+
+const functionsV1 = require("firebase-functions/v1");
+const admin = require("firebase-admin");
+const {DateTime} = require("luxon");
+const {toCampusEvent} = require("./campusEvents");
+const {EVENT_STATUS} = require("./eventLifecycle");
+const {isRecurring, getOccurrences} = require("./eventOccurrences");
+
+const db = admin.firestore();
+
+const OUTCOMES_COLLECTION = "event_outcomes";
+const TIME_ZONE = "America/Chicago";
+const MODEL_VERSION = 1;
+const FEATURES = ["orgKey", "category", "timeSlot", "locationCell"];
+// Pseudo-observations of the overall mean added to every group
+const SHRINKAGE_SAMPLES = 5;
+// Relative importance of each feature when its group is well populated
+const FEATURE_WEIGHTS = {
+  orgKey: 1.5,
+  category: 1,
+  timeSlot: 0.8,
+  locationCell: 0.7,
+};
+// Weight of the overall mean, so sparse features cannot dominate
+const OVERALL_WEIGHT = 0.5;
+const TIME_SLOT_HOURS = 3;
+// Events without endsAt are treated as ending this long after startsAt
+const DEFAULT_EVENT_DURATION_HOURS = 6;
+// Events that ended this long ago or less are (re)recorded on every run
+const OUTCOME_WINDOW_HOURS = 48;
+// Occurrences of one series recorded per run (a daily series has about 3)
+const MAX_OCCURRENCES_PER_RUN = 50;
+const FORECAST_HORIZON_DAYS = 14;
+// Forecasts older than this are recomputed on read
+const FORECAST_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Build the weekday/time-of-day feature
+ * @param {Date} date - Event start
+ * @return {string|null} Time slot such as "fri-21"
+ */
+function timeSlotFor(date) {
+  if (!date || isNaN(date.getTime())) return null;
+
+  const local = DateTime.fromJSDate(date, {zone: TIME_ZONE});
+  const block = Math.floor(local.hour / TIME_SLOT_HOURS) * TIME_SLOT_HOURS;
+  return `${local.toFormat("ccc").toLowerCase()}-${String(block).padStart(2, "0")}`;
+}
+
+/**
+ * Extract forecast features from a user-hosted event
+ * @param {object} event - events document data
+ * @return {object} Features
+ */
+function featuresForUserEvent(event) {
+  const startsAt = event.startsAt ? event.startsAt.toDate() : null;
+  const tags = Array.isArray(event.tags) ? event.tags : [];
+
+  return {
+    orgKey: event.hostId ? `host:${event.hostId}` : null,
+    category: event.category || (tags.length > 0 ? String(tags[0]).toLowerCase() : null),
+    timeSlot: timeSlotFor(startsAt),
+    locationCell: event.geohash ? event.geohash.substring(0, 6) : null,
+  };
+}
+
+/**
+ * Extract forecast features from a campus_events_live document
+ * @param {string} id - Document ID
+ * @param {object} data - Document data
+ * @return {object} Features
+ */
+function featuresForCampusEvent(id, data) {
+  const campusEvent = toCampusEvent(id, data);
+
+  return {
+    orgKey: campusEvent.sourceOrg ? `org:${campusEvent.sourceOrg}` : null,
+    category: campusEvent.category ? campusEvent.category.toLowerCase() : null,
+    timeSlot: campusEvent.startTimeISO ? timeSlotFor(new Date(campusEvent.startTimeISO)) : null,
+    locationCell: data.geohash ? data.geohash.substring(0, 6) : null,
+  };
+}
+
+/**
+ * Load count and mean/variance of log attendance for outcomes matching a filter.
+ * Results are cached in statsCache so a batch of forecasts shares queries.
+ * @param {string|null} feature - Feature name, or null for all outcomes
+ * @param {string|null} value - Feature value
+ * @param {Map<string, Promise<object>>} statsCache - Cache keyed by feature and value
+ * @return {Promise<object>} {count, mean, variance}
+ */
+function getGroupStats(feature, value, statsCache) {
+  const cacheKey = feature ? `${feature}=${value}` : "*";
+  if (!statsCache.has(cacheKey)) {
+    let query = db.collection(OUTCOMES_COLLECTION);
+    if (feature) query = query.where(feature, "==", value);
+
+    statsCache.set(cacheKey, query.aggregate({
+      count: admin.firestore.AggregateField.count(),
+      mean: admin.firestore.AggregateField.average("logPeak"),
+      meanSquare: admin.firestore.AggregateField.average("logPeakSquared"),
+    }).get().then((snapshot) => {
+      const {count, mean, meanSquare} = snapshot.data();
+      return {
+        count: count,
+        mean: mean || 0,
+        variance: count > 1 ? Math.max(meanSquare - mean * mean, 0) : 0,
+      };
+    }));
+  }
+  return statsCache.get(cacheKey);
+}
+
+/**
+ * Forecast attendance for an event with the given features
+ * @param {object} features - Output of featuresForUserEvent/featuresForCampusEvent
+ * @param {Map<string, Promise<object>>} statsCache - Shared group stats cache
+ * @return {Promise<object|null>} Forecast, or null when there are no outcomes yet
+ */
+async function forecastAttendance(features, statsCache = new Map()) {
+  const usable = FEATURES.filter((feature) => features[feature]);
+  const [overall, ...groups] = await Promise.all([
+    getGroupStats(null, null, statsCache),
+    ...usable.map((feature) => getGroupStats(feature, features[feature], statsCache)),
+  ]);
+
+  if (overall.count === 0) return null;
+
+  let weightedSum = overall.mean * OVERALL_WEIGHT;
+  let totalWeight = OVERALL_WEIGHT;
+  let weightedVariance = overall.variance * OVERALL_WEIGHT;
+  const basis = [];
+
+  groups.forEach((stats, index) => {
+    const feature = usable[index];
+    if (stats.count === 0) return;
+
+    const reliability = stats.count / (stats.count + SHRINKAGE_SAMPLES);
+    const shrunkMean = reliability * stats.mean + (1 - reliability) * overall.mean;
+    const weight = FEATURE_WEIGHTS[feature] * reliability;
+
+    weightedSum += shrunkMean * weight;
+    weightedVariance += (stats.count > 1 ? stats.variance : overall.variance) * weight;
+    totalWeight += weight;
+    basis.push({
+      factor: feature,
+      value: features[feature],
+      pastEvents: stats.count,
+      typicalAttendance: Math.round(Math.expm1(stats.mean)),
+      weight: Math.round(weight * 100) / 100,
+    });
+  });
+
+  const logMean = weightedSum / totalWeight;
+  const logSpread = Math.sqrt(weightedVariance / totalWeight);
+  const evidence = basis.reduce((sum, factor) => sum + factor.pastEvents, 0);
+
+  let confidence = "low";
+  if (basis.length >= 2 && evidence >= 20) confidence = "high";
+  else if (basis.length >= 1 && evidence >= 5) confidence = "medium";
+
+  return {
+    expectedAttendance: Math.max(0, Math.round(Math.expm1(logMean))),
+    // Roughly the middle half of comparable outcomes
+    low: Math.max(0, Math.round(Math.expm1(logMean - 0.674 * logSpread))),
+    high: Math.max(0, Math.round(Math.expm1(logMean + 0.674 * logSpread))),
+    confidence: confidence,
+    basis: basis,
+    modelVersion: MODEL_VERSION,
+    computedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Return an event's stored forecast, recomputing it when missing or stale.
+ * Only upcoming events are forecast.
+ * @param {object} event - events document data
+ * @return {Promise<object|null>} Forecast
+ */
+async function getForecastForUserEvent(event) {
+  if (!event.startsAt || event.startsAt.toMillis() <= Date.now()) return null;
+
+  const stored = event.forecast;
+  if (stored && stored.modelVersion === MODEL_VERSION &&
+      Date.now() - Date.parse(stored.computedAt) < FORECAST_MAX_AGE_MS) {
+    return stored;
+  }
+  return forecastAttendance(featuresForUserEvent(event));
+}
+
+/**
+ * Find the peak crowd recorded for an event
+ * @param {string} eventId - Event ID
+ * @param {number} attendeeCount - Attendees counted by other means
+ * @param {object|null} range - {startsAt, endsAt} to look within (for one
+ *   occurrence of a series), or null for every snapshot of the event
+ * @return {Promise<number>} Peak people count
+ */
+async function getPeakAttendance(eventId, attendeeCount, range = null) {
+  let peak = 0;
+  const query = db.collection("crowd_snapshots").where("seriesId", "==", `event:${eventId}`);
+
+  if (range) {
+    // The snapshots of one occurrence are few; pick the largest here
+    const snapshot = await query
+        .where("bucketStart", ">=", admin.firestore.Timestamp.fromDate(range.startsAt))
+        .where("bucketStart", "<", admin.firestore.Timestamp.fromDate(range.endsAt))
+        .select("peopleCount")
+        .get();
+    snapshot.docs.forEach((doc) => {
+      peak = Math.max(peak, doc.get("peopleCount") || 0);
+    });
+  } else {
+    const snapshot = await query.orderBy("peopleCount", "desc").limit(1).get();
+    peak = snapshot.empty ? 0 : snapshot.docs[0].data().peopleCount;
+  }
+  return Math.max(peak, attendeeCount || 0);
+}
+
+/**
+ * Store one outcome. Outcome IDs are stable, so re-running overwrites.
+ * @param {string} outcomeId - Outcome document ID
+ * @param {object} fields - Origin, IDs and features
+ * @param {Date|null} startsAt - When the event started
+ * @param {number} peakAttendance - Peak people count
+ * @return {Promise<void>}
+ */
+async function writeOutcome(outcomeId, fields, startsAt, peakAttendance) {
+  const logPeak = Math.log1p(peakAttendance);
+
+  await db.collection(OUTCOMES_COLLECTION).doc(outcomeId).set({
+    ...fields,
+    startsAt: startsAt ? admin.firestore.Timestamp.fromDate(startsAt) : null,
+    peakAttendance: peakAttendance,
+    logPeak: logPeak,
+    logPeakSquared: logPeak * logPeak,
+    recordedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Whether an event (or occurrence) never took place as planned
+ * @param {object} event - Event or occurrence view
+ * @return {boolean} True for drafts and cancelled events
+ */
+function isCalledOff(event) {
+  return event.status === EVENT_STATUS.DRAFT || event.status === EVENT_STATUS.CANCELLED;
+}
+
+/**
+ * Record outcomes of one-off user events that ended in the window
+ * @param {number} sinceMs - Window start
+ * @param {number} nowMs - Window end
+ * @return {Promise<number>} Outcomes written
+ */
+async function recordUserEventOutcomes(sinceMs, nowMs) {
+  const durationMs = DEFAULT_EVENT_DURATION_HOURS * 60 * 60 * 1000;
+  const [endedSnapshot, openEndedSnapshot] = await Promise.all([
+    db.collection("events")
+        .where("endsAt", ">=", admin.firestore.Timestamp.fromMillis(sinceMs))
+        .where("endsAt", "<", admin.firestore.Timestamp.fromMillis(nowMs))
+        .get(),
+    db.collection("events")
+        .where("startsAt", ">=", admin.firestore.Timestamp.fromMillis(sinceMs - durationMs))
+        .where("startsAt", "<", admin.firestore.Timestamp.fromMillis(nowMs - durationMs))
+        .get(),
+  ]);
+
+  // Series are recorded per occurrence by recordOccurrenceOutcomes
+  const endedDocs = [
+    ...endedSnapshot.docs,
+    ...openEndedSnapshot.docs.filter((doc) => !doc.data().endsAt),
+  ].filter((doc) => !isRecurring(doc.data()) && !isCalledOff(doc.data()));
+
+  for (const doc of endedDocs) {
+    const event = doc.data();
+    const peakAttendance = await getPeakAttendance(doc.id, event.attendeeCount);
+    await writeOutcome(doc.id, {
+      eventId: doc.id,
+      occurrenceId: null,
+      origin: "user",
+      ...featuresForUserEvent(event),
+    }, event.startsAt ? event.startsAt.toDate() : null, peakAttendance);
+  }
+  return endedDocs.length;
+}
+
+/**
+ * Record outcomes of occurrences of recurring events that ended in the window.
+ * Series that are live, or whose status changed in the window (e.g. one
+ * that just ended), are expanded; each occurrence is its own outcome.
+ * @param {number} sinceMs - Window start
+ * @param {number} nowMs - Window end
+ * @return {Promise<number>} Outcomes written
+ */
+async function recordOccurrenceOutcomes(sinceMs, nowMs) {
+  const durationMs = DEFAULT_EVENT_DURATION_HOURS * 60 * 60 * 1000;
+  const [liveSnapshot, changedSnapshot] = await Promise.all([
+    db.collection("events").where("status", "==", EVENT_STATUS.LIVE).get(),
+    db.collection("events")
+        .where("statusChangedAt", ">=", admin.firestore.Timestamp.fromMillis(sinceMs))
+        .get(),
+  ]);
+
+  const series = new Map();
+  [...liveSnapshot.docs, ...changedSnapshot.docs].forEach((doc) => {
+    const event = doc.data();
+    if (isRecurring(event) && !isCalledOff(event)) series.set(doc.id, {...event, id: doc.id});
+  });
+
+  let written = 0;
+  for (const event of series.values()) {
+    // Occurrences that start up to one duration before the window may end in it
+    const occurrences = await getOccurrences(event, {
+      from: new Date(sinceMs - durationMs),
+      to: new Date(nowMs),
+      limit: MAX_OCCURRENCES_PER_RUN,
+    });
+
+    for (const occurrence of occurrences) {
+      const startsAt = occurrence.startsAt.toDate();
+      const endsAt = occurrence.endsAt ?
+        occurrence.endsAt.toDate() :
+        new Date(startsAt.getTime() + durationMs);
+      if (endsAt.getTime() < sinceMs || endsAt.getTime() >= nowMs) continue;
+      if (isCalledOff(occurrence)) continue;
+
+      const peakAttendance = await getPeakAttendance(event.id, occurrence.attendeeCount,
+          {startsAt, endsAt});
+      await writeOutcome(`${event.id}_${occurrence.occurrenceId}`, {
+        eventId: event.id,
+        occurrenceId: occurrence.occurrenceId,
+        origin: "user",
+        ...featuresForUserEvent(occurrence),
+      }, startsAt, peakAttendance);
+      written++;
+    }
+  }
+  return written;
+}
+
+/**
+ * Record outcomes of campus events that ended in the window.
+ * Campus events have no check-ins, so their turnout is the going RSVPs.
+ * @param {number} sinceMs - Window start
+ * @param {number} nowMs - Window end
+ * @return {Promise<number>} Outcomes written
+ */
+async function recordCampusEventOutcomes(sinceMs, nowMs) {
+  const durationMs = DEFAULT_EVENT_DURATION_HOURS * 60 * 60 * 1000;
+  const [endedSnapshot, openEndedSnapshot] = await Promise.all([
+    db.collection("campus_events_live")
+        .where("endTimeISO", ">=", new Date(sinceMs).toISOString())
+        .where("endTimeISO", "<", new Date(nowMs).toISOString())
+        .get(),
+    db.collection("campus_events_live")
+        .where("startTimeISO", ">=", new Date(sinceMs - durationMs).toISOString())
+        .where("startTimeISO", "<", new Date(nowMs - durationMs).toISOString())
+        .get(),
+  ]);
+
+  const endedDocs = [
+    ...endedSnapshot.docs,
+    ...openEndedSnapshot.docs.filter((doc) => !doc.data().endTimeISO),
+  ];
+
+  for (const doc of endedDocs) {
+    const campusEvent = toCampusEvent(doc.id, doc.data());
+    const startsAt = campusEvent.startTimeISO ? new Date(campusEvent.startTimeISO) : null;
+
+    await writeOutcome(`campus_${doc.id}`, {
+      eventId: doc.id,
+      occurrenceId: null,
+      origin: "campus",
+      ...featuresForCampusEvent(doc.id, doc.data()),
+    }, startsAt, campusEvent.rsvpCounts.going || 0);
+  }
+  return endedDocs.length;
+}
+
+/**
+ * Store outcomes for user events, occurrences and campus events that ended
+ * in the last two days. Drafts and cancelled events are skipped.
+ * @param {Date} now - Current time
+ * @return {Promise<number>} Outcomes written
+ */
+async function recordOutcomes(now) {
+  const nowMs = now.getTime();
+  const sinceMs = nowMs - OUTCOME_WINDOW_HOURS * 60 * 60 * 1000;
+
+  const counts = await Promise.all([
+    recordUserEventOutcomes(sinceMs, nowMs),
+    recordOccurrenceOutcomes(sinceMs, nowMs),
+    recordCampusEventOutcomes(sinceMs, nowMs),
+  ]);
+  return counts.reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Recompute forecasts for events in the next FORECAST_HORIZON_DAYS
+ * @param {Date} now - Current time
+ * @return {Promise<number>} Forecasts written
+ */
+async function refreshForecasts(now) {
+  const horizon = new Date(now.getTime() + FORECAST_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+  const statsCache = new Map();
+
+  const [userSnapshot, campusSnapshot] = await Promise.all([
+    db.collection("events")
+        .where("startsAt", ">", admin.firestore.Timestamp.fromDate(now))
+        .where("startsAt", "<=", admin.firestore.Timestamp.fromDate(horizon))
+        .get(),
+    db.collection("campus_events_live")
+        .where("startTimeISO", ">", now.toISOString())
+        .where("startTimeISO", "<=", horizon.toISOString())
+        .get(),
+  ]);
+
+  const targets = [
+    ...userSnapshot.docs.map((doc) => ({ref: doc.ref, features: featuresForUserEvent(doc.data())})),
+    ...campusSnapshot.docs.map((doc) => ({
+      ref: doc.ref,
+      features: featuresForCampusEvent(doc.id, doc.data()),
+    })),
+  ];
+
+  const forecasts = await Promise.all(
+      targets.map((target) => forecastAttendance(target.features, statsCache)));
+
+  let written = 0;
+  for (let i = 0; i < targets.length; i += 500) {
+    const batch = db.batch();
+    targets.slice(i, i + 500).forEach((target, offset) => {
+      const forecast = forecasts[i + offset];
+      if (!forecast) return;
+      batch.update(target.ref, {forecast: forecast});
+      written++;
+    });
+    await batch.commit();
+  }
+  return written;
+}
+
+/**
+ * Scheduled: Record outcomes of ended events, then refresh upcoming forecasts
+ */
+exports.refreshCrowdForecasts = functionsV1.pubsub
+    .schedule("every 60 minutes")
+    .onRun(async () => {
+      try {
+        const now = new Date();
+        const outcomes = await recordOutcomes(now);
+        const forecasts = await refreshForecasts(now);
+        console.log(`Recorded ${outcomes} event outcomes, refreshed ${forecasts} forecasts`);
+      } catch (error) {
+        console.error("Error refreshing crowd forecasts:", error);
+      }
+    });
+
+exports.featuresForUserEvent = featuresForUserEvent;
+exports.featuresForCampusEvent = featuresForCampusEvent;
+exports.forecastAttendance = forecastAttendance;
+exports.getForecastForUserEvent = getForecastForUserEvent;
@@ -0,0 +1,287 @@
+/**
+ * Crowd History
+ * Records how busy each event and each geohash cell is over time, and serves
+ * bucketed history for charts ("when did my party peak?").
+ *
+ * Every SNAPSHOT_INTERVAL_MINUTES a scheduled job counts the live signals per
+ * event and per 6-char geohash cell and writes one crowd_snapshots document per
+ * series. Series with no live signals are not written.
+ *
+ * History follows the same privacy rules as live signals: event history is
+ * only served to users who can see the event, and cell samples below
+ * K_ANONYMITY people are dropped. Clients cannot read crowd_snapshots directly.
+ */
+
+const functions = require("firebase-functions");
+const functionsV1 = require("firebase-functions/v1");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {isCounted} = require("./signalFraud");
+const {K_ANONYMITY} = require("./signalPrivacy");
+const {assertCanViewEvent} = require("./eventAccess");
+const {SIGNAL_TTL_MINUTES} = require("./signals");
+
+const db = admin.firestore();
+
+const SNAPSHOTS_COLLECTION = "crowd_snapshots";
+const SNAPSHOT_INTERVAL_MINUTES = 5;
+// Snapshots get an expiresAt this far out; a Firestore TTL policy deletes them
+const SNAPSHOT_RETENTION_DAYS = 90;
+const CELL_PRECISION = 6;
+
+const DEFAULT_BUCKET_MINUTES = 15;
+const MAX_BUCKETS = 500;
+const DEFAULT_RANGE_HOURS = 24;
+
+/**
+ * Build the series ID for an event or a geohash cell
+ * @param {string} scope - "event" or "cell"
+ * @param {string} key - Event ID or geohash
+ * @return {string} Series ID
+ */
+function seriesIdFor(scope, key) {
+  return `${scope}:${key}`;
+}
+
+/**
+ * Add a signal to a series aggregate
+ * @param {Map<string, object>} series - Series ID -> aggregate
+ * @param {string} scope - "event" or "cell"
+ * @param {string} key - Event ID or geohash
+ * @param {object} signal - Signal data
+ */
+function addToSeries(series, scope, key, signal) {
+  const seriesId = seriesIdFor(scope, key);
+  if (!series.has(seriesId)) {
+    series.set(seriesId, {scope, key, peopleCount: 0, totalStrength: 0});
+  }
+  const aggregate = series.get(seriesId);
+  aggregate.peopleCount++;
+  aggregate.totalStrength += signal.signalStrength || 0;
+}
+
+/**
+ * Count live signals per event and per cell and write one snapshot per series
+ * @param {Date} now - Snapshot time
+ * @return {Promise<number>} Snapshots written
+ */
+async function recordSnapshots(now) {
+  const intervalMs = SNAPSHOT_INTERVAL_MINUTES * 60 * 1000;
+  const bucketStartMs = Math.floor(now.getTime() / intervalMs) * intervalMs;
+
+  // Only signals with a recent heartbeat are live; older ones are about to expire
+  const liveCutoff = admin.firestore.Timestamp.fromMillis(
+      now.getTime() - SIGNAL_TTL_MINUTES * 60 * 1000);
+  const signalsSnapshot = await db.collection("signals")
+      .where("lastSeenAt", ">=", liveCutoff)
+      .select("eventId", "geohash", "signalStrength", "fraudStatus")
+      .get();
+
+  const series = new Map();
+  signalsSnapshot.docs.forEach((doc) => {
+    const signal = doc.data();
+    if (!isCounted(signal)) return;
+
+    if (signal.eventId) addToSeries(series, "event", signal.eventId, signal);
+    if (signal.geohash) {
+      addToSeries(series, "cell", signal.geohash.substring(0, CELL_PRECISION), signal);
+    }
+  });
+
+  const bucketStart = admin.firestore.Timestamp.fromMillis(bucketStartMs);
+  const expiresAt = admin.firestore.Timestamp.fromMillis(
+      bucketStartMs + SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const entries = Array.from(series.entries());
+
+  // Deterministic IDs, so a retried run overwrites instead of duplicating
+  for (let i = 0; i < entries.length; i += 500) {
+    const batch = db.batch();
+    entries.slice(i, i + 500).forEach(([seriesId, aggregate]) => {
+      batch.set(db.collection(SNAPSHOTS_COLLECTION).doc(`${seriesId}:${bucketStartMs}`), {
+        seriesId: seriesId,
+        scope: aggregate.scope,
+        eventId: aggregate.scope === "event" ? aggregate.key : null,
+        geohash: aggregate.scope === "cell" ? aggregate.key : null,
+        bucketStart: bucketStart,
+        peopleCount: aggregate.peopleCount,
+        signalStrength: Math.round(aggregate.totalStrength / aggregate.peopleCount * 10) / 10,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: expiresAt,
+      });
+    });
+    await batch.commit();
+  }
+
+  return entries.length;
+}
+
+/**
+ * Scheduled: Snapshot crowd sizes per event and per geohash cell
+ */
+exports.recordCrowdSnapshots = functionsV1.pubsub
+    .schedule(`every ${SNAPSHOT_INTERVAL_MINUTES} minutes`)
+    .onRun(async () => {
+      try {
+        const written = await recordSnapshots(new Date());
+        console.log(`Recorded ${written} crowd snapshots`);
+      } catch (error) {
+        console.error("Error recording crowd snapshots:", error);
+      }
+    });
+
+/**
+ * Parse an optional date argument
+ * @param {*} value - Client supplied value
+ * @param {string} name - Argument name for error messages
+ * @return {Date|null} Parsed date
+ */
+function parseDateArgument(value, name) {
+  if (value === undefined || value === null) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new functions.https.HttpsError("invalid-argument", `${name} must be an ISO date`);
+  }
+  return date;
+}
+
+/**
+ * Group snapshots into fixed buckets. Averages are over the samples present;
+ * buckets with no snapshots are zero.
+ * @param {Array<object>} snapshots - Snapshot data ordered by bucketStart
+ * @param {number} startMs - Range start
+ * @param {number} endMs - Range end
+ * @param {number} bucketMinutes - Bucket width
+ * @return {Array<object>} Buckets
+ */
+function bucketSnapshots(snapshots, startMs, endMs, bucketMinutes) {
+  const bucketMs = bucketMinutes * 60 * 1000;
+  const firstBucketMs = Math.floor(startMs / bucketMs) * bucketMs;
+
+  const buckets = [];
+  for (let bucketStartMs = firstBucketMs; bucketStartMs < endMs; bucketStartMs += bucketMs) {
+    buckets.push({
+      start: new Date(bucketStartMs).toISOString(),
+      end: new Date(bucketStartMs + bucketMs).toISOString(),
+      peakPeopleCount: 0,
+      avgPeopleCount: 0,
+      signalStrength: 0,
+      samples: 0,
+      totalPeople: 0,
+      totalStrength: 0,
+    });
+  }
+
+  snapshots.forEach((snapshot) => {
+    const index = Math.floor((snapshot.bucketStart.toMillis() - firstBucketMs) / bucketMs);
+    const bucket = buckets[index];
+    if (!bucket) return;
+
+    bucket.samples++;
+    bucket.totalPeople += snapshot.peopleCount;
+    bucket.totalStrength += snapshot.signalStrength * snapshot.peopleCount;
+    bucket.peakPeopleCount = Math.max(bucket.peakPeopleCount, snapshot.peopleCount);
+  });
+
+  return buckets.map(({totalPeople, totalStrength, ...bucket}) => ({
+    ...bucket,
+    avgPeopleCount: bucket.samples > 0 ? Math.round(totalPeople / bucket.samples * 10) / 10 : 0,
+    signalStrength: totalPeople > 0 ? Math.round(totalStrength / totalPeople * 10) / 10 : 0,
+  }));
+}
+
+/**
+ * Get bucketed crowd history for an event or a geohash cell
+ * HTTP endpoint: POST /getCrowdHistory
+ *
+ * Arguments: eventId or geohash (6 characters), start/end (ISO; defaults to
+ * the event's schedule or the last 24 hours), bucketMinutes (multiple of 5).
+ * Event history requires access to the event; cell samples below
+ * K_ANONYMITY people are left out.
+ */
+exports.getCrowdHistory = callable("getCrowdHistory", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  if (!data.eventId === !data.geohash) {
+    throw new functions.https.HttpsError("invalid-argument",
+        "Exactly one of eventId or geohash is required");
+  }
+  if (data.geohash && (typeof data.geohash !== "string" ||
+      data.geohash.length !== CELL_PRECISION)) {
+    throw new functions.https.HttpsError("invalid-argument",
+        `geohash must have ${CELL_PRECISION} characters`);
+  }
+
+  const bucketMinutes = data.bucketMinutes === undefined ?
+    DEFAULT_BUCKET_MINUTES :
+    data.bucketMinutes;
+  if (!Number.isInteger(bucketMinutes) || bucketMinutes <= 0 ||
+      bucketMinutes % SNAPSHOT_INTERVAL_MINUTES !== 0) {
+    throw new functions.https.HttpsError("invalid-argument",
+        `bucketMinutes must be a positive multiple of ${SNAPSHOT_INTERVAL_MINUTES}`);
+  }
+
+  let start = parseDateArgument(data.start, "start");
+  let end = parseDateArgument(data.end, "end");
+
+  if (start && end && start >= end) {
+    throw new functions.https.HttpsError("invalid-argument", "start must be before end");
+  }
+
+  if (data.eventId) {
+    const eventDoc = await db.collection("events").doc(data.eventId).get();
+    if (!eventDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Event not found",
+          {code: "EVENT_NOT_FOUND"});
+    }
+    const event = eventDoc.data();
+    await assertCanViewEvent(event, context.auth.uid);
+
+    // Default an event's range to its own schedule
+    if (!start && event.startsAt) start = event.startsAt.toDate();
+    if (!end && event.endsAt) end = new Date(Math.min(event.endsAt.toMillis(), Date.now()));
+  }
+
+  end = end || new Date();
+  start = start || new Date(end.getTime() - DEFAULT_RANGE_HOURS * 60 * 60 * 1000);
+
+  // A defaulted range can be empty (an event that has not started yet)
+  if (start > end) start = end;
+  if ((end - start) / (bucketMinutes * 60 * 1000) > MAX_BUCKETS) {
+    throw new functions.https.HttpsError("invalid-argument",
+        `Range is too long for ${bucketMinutes} minute buckets (max ${MAX_BUCKETS} buckets)`);
+  }
+
+  const seriesId = data.eventId ?
+    seriesIdFor("event", data.eventId) :
+    seriesIdFor("cell", data.geohash);
+
+  const snapshot = await db.collection(SNAPSHOTS_COLLECTION)
+      .where("seriesId", "==", seriesId)
+      .where("bucketStart", ">=", admin.firestore.Timestamp.fromDate(start))
+      .where("bucketStart", "<", admin.firestore.Timestamp.fromDate(end))
+      .orderBy("bucketStart", "asc")
+      .get();
+
+  // Cell series cover anyone nearby, so small groups are suppressed as in live views
+  const snapshots = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((sample) => data.eventId || sample.peopleCount >= K_ANONYMITY);
+  const buckets = bucketSnapshots(snapshots, start.getTime(), end.getTime(), bucketMinutes);
+
+  const peak = buckets.reduce((best, bucket) =>
+    bucket.peakPeopleCount > (best ? best.peakPeopleCount : 0) ? bucket : best, null);
+
+  return {
+    success: true,
+    seriesId: seriesId,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    bucketMinutes: bucketMinutes,
+    buckets: buckets,
+    peak: peak ? {at: peak.start, peopleCount: peak.peakPeopleCount} : null,
+  };
+});
@@ -0,0 +1,257 @@
+/**
+ * Crowd Intensity Tiers
+ * Maps a crowd's peopleCount to the color, radius and label drawn on the map.
+ *
+ * Tiers live in the config/crowdTiers document so the heat-map look can be
+ * changed without a redeploy:
+ *   {
+ *     version: 4,
+ *     tiers: [{label, minPeople, color, radiusMeters}, ...],
+ *     venueTypes: {stadium: [{label, minPeople, color, radiusMeters}, ...]},
+ *     timeOfDay: [{startHour: 22, endHour: 4, tiers: [...]}],
+ *   }
+ * A venue type override wins over a time-of-day override, which wins over the
+ * base tiers. Hours are in campus time and a window may wrap past midnight.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {DateTime} = require("luxon");
+const {isAdmin} = require("./access");
+
+const db = admin.firestore();
+
+const CONFIG_COLLECTION = "config";
+const CROWD_TIERS_DOC = "crowdTiers";
+const TIME_ZONE = "America/Chicago";
+// How long a loaded config is reused before Firestore is read again
+const CACHE_TTL_MS = 60 * 1000;
+
+// Used until a config document exists, and whenever it fails validation
+const DEFAULT_TIER_CONFIG = {
+  version: 0,
+  tiers: [
+    {label: "packed", minPeople: 51, color: "#8B0000", radiusMeters: 200},
+    {label: "busy", minPeople: 26, color: "#FF6B6B", radiusMeters: 125},
+    {label: "quiet", minPeople: 0, color: "#FFD700", radiusMeters: 75},
+  ],
+  venueTypes: {},
+  timeOfDay: [],
+};
+
+let cachedConfig = null;
+let cachedAt = 0;
+
+/**
+ * Check a tier list and return it sorted from the largest threshold down
+ * @param {*} tiers - Candidate tier list
+ * @param {string} path - Location in the config, for error messages
+ * @return {Array<object>} Sorted tiers
+ */
+function validateTiers(tiers, path) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error(`${path} must be a non-empty array`);
+  }
+
+  tiers.forEach((tier, index) => {
+    if (!tier || typeof tier.label !== "string" || !tier.label) {
+      throw new Error(`${path}[${index}].label must be a non-empty string`);
+    }
+    if (!Number.isInteger(tier.minPeople) || tier.minPeople < 0) {
+      throw new Error(`${path}[${index}].minPeople must be a non-negative integer`);
+    }
+    if (typeof tier.color !== "string" || !/^#[0-9A-Fa-f]{6}$/.test(tier.color)) {
+      throw new Error(`${path}[${index}].color must be a hex color like #FFD700`);
+    }
+    if (typeof tier.radiusMeters !== "number" || tier.radiusMeters <= 0) {
+      throw new Error(`${path}[${index}].radiusMeters must be a positive number`);
+    }
+  });
+
+  const sorted = tiers
+      .map(({label, minPeople, color, radiusMeters}) => ({label, minPeople, color, radiusMeters}))
+      .sort((a, b) => b.minPeople - a.minPeople);
+  if (sorted[sorted.length - 1].minPeople !== 0) {
+    throw new Error(`${path} must include a tier with minPeople 0`);
+  }
+  return sorted;
+}
+
+/**
+ * Validate a whole tier config
+ * @param {object} config - Candidate config (without version)
+ * @return {object} Normalized config with sorted tiers
+ */
+function validateTierConfig(config) {
+  if (!config || typeof config !== "object") {
+    throw new Error("Tier config must be an object");
+  }
+
+  const venueTypes = {};
+  Object.entries(config.venueTypes || {}).forEach(([venueType, tiers]) => {
+    venueTypes[venueType] = validateTiers(tiers, `venueTypes.${venueType}`);
+  });
+
+  const timeOfDay = (config.timeOfDay || []).map((window, index) => {
+    const validHour = (hour) => Number.isInteger(hour) && hour >= 0 && hour <= 23;
+    if (!window || !validHour(window.startHour) || !validHour(window.endHour)) {
+      throw new Error(`timeOfDay[${index}] needs startHour and endHour between 0 and 23`);
+    }
+    return {
+      startHour: window.startHour,
+      endHour: window.endHour,
+      tiers: validateTiers(window.tiers, `timeOfDay[${index}].tiers`),
+    };
+  });
+
+  return {
+    tiers: validateTiers(config.tiers, "tiers"),
+    venueTypes: venueTypes,
+    timeOfDay: timeOfDay,
+  };
+}
+
+/**
+ * Load the tier config, cached for CACHE_TTL_MS
+ * @return {Promise<object>} Tier config with version
+ */
+async function getTierConfig() {
+  if (cachedConfig && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedConfig;
+  }
+
+  let config = DEFAULT_TIER_CONFIG;
+  try {
+    const configDoc = await db.collection(CONFIG_COLLECTION).doc(CROWD_TIERS_DOC).get();
+    if (configDoc.exists) {
+      const data = configDoc.data();
+      config = {...validateTierConfig(data), version: data.version || 0};
+    }
+  } catch (error) {
+    console.error("Invalid or unreadable crowd tier config, using defaults:", error);
+  }
+
+  cachedConfig = config;
+  cachedAt = Date.now();
+  return config;
+}
+
+/**
+ * Check whether an hour falls in a window that may wrap past midnight
+ * @param {number} hour - Hour of day (0-23)
+ * @param {object} window - {startHour, endHour}, end exclusive
+ * @return {boolean} True if the hour is inside the window
+ */
+function isInHourWindow(hour, window) {
+  if (window.startHour <= window.endHour) {
+    return hour >= window.startHour && hour < window.endHour;
+  }
+  return hour >= window.startHour || hour < window.endHour;
+}
+
+/**
+ * Pick the tier list that applies to a venue type and time
+ * @param {object} config - Tier config
+ * @param {object} context - Crowd context
+ * @param {string|null} context.venueType - Venue type of the crowd's event
+ * @param {Date} context.date - When the crowd is being drawn
+ * @return {Array<object>} Tiers sorted from the largest threshold down
+ */
+function resolveTiers(config, {venueType = null, date = new Date()} = {}) {
+  if (venueType && config.venueTypes[venueType]) {
+    return config.venueTypes[venueType];
+  }
+
+  const hour = DateTime.fromJSDate(date, {zone: TIME_ZONE}).hour;
+  const window = config.timeOfDay.find((w) => isInHourWindow(hour, w));
+  return window ? window.tiers : config.tiers;
+}
+
+/**
+ * Get the tier for a crowd
+ * @param {object} config - Tier config from getTierConfig
+ * @param {number} peopleCount - People in the crowd
+ * @param {object} context - {venueType, date}, see resolveTiers
+ * @return {object} {label, color, radiusMeters, version}
+ */
+function tierFor(config, peopleCount, context = {}) {
+  const tiers = resolveTiers(config, context);
+  const tier = tiers.find((t) => peopleCount >= t.minPeople) || tiers[tiers.length - 1];
+
+  return {
+    label: tier.label,
+    color: tier.color,
+    radiusMeters: tier.radiusMeters,
+    version: config.version,
+  };
+}
+
+/**
+ * Get the current crowd tier config (for map legends)
+ * HTTP endpoint: POST /getCrowdTiers
+ */
+exports.getCrowdTiers = callable("getCrowdTiers", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const config = await getTierConfig();
+
+  return {
+    success: true,
+    config: config,
+  };
+});
+
+/**
+ * Replace the crowd tier config and bump its version (admins only)
+ * HTTP endpoint: POST /updateCrowdTiers
+ */
+exports.updateCrowdTiers = callable("updateCrowdTiers", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+  if (!isAdmin(context)) {
+    throw new functions.https.HttpsError("permission-denied", "Admin access required",
+        {code: "ADMIN_REQUIRED"});
+  }
+
+  let config;
+  try {
+    config = validateTierConfig(data);
+  } catch (error) {
+    throw new functions.https.HttpsError("invalid-argument", error.message);
+  }
+
+  const configRef = db.collection(CONFIG_COLLECTION).doc(CROWD_TIERS_DOC);
+  const version = await db.runTransaction(async (transaction) => {
+    const configDoc = await transaction.get(configRef);
+    const nextVersion = (configDoc.exists ? configDoc.data().version || 0 : 0) + 1;
+
+    transaction.set(configRef, {
+      ...config,
+      version: nextVersion,
+      updatedBy: context.auth.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return nextVersion;
+  });
+
+  // This instance picks up the new tiers immediately; others within CACHE_TTL_MS
+  cachedConfig = {...config, version: version};
+  cachedAt = Date.now();
+
+  return {
+    success: true,
+    version: version,
+  };
+});
+
+exports.DEFAULT_TIER_CONFIG = DEFAULT_TIER_CONFIG;
+exports.validateTierConfig = validateTierConfig;
+exports.getTierConfig = getTierConfig;
+exports.resolveTiers = resolveTiers;
+exports.tierFor = tierFor;
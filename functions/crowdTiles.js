@@ -0,0 +1,193 @@
+/**
+ * Crowd Tiles
+ * Aggregated signal density for the heat-map overlay. Instead of raw signals,
+ * clients get one cell per geohash (precision chosen from the map zoom) with
+ * a count, crowd tier and centroid.
+ *
+ * Cells are computed per tile (a geohash one character shorter than the
+ * cells) and cached in crowd_tiles for TILE_TTL_SECONDS, so every client
+ * looking at the same area shares the work.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {encodeGeohash, decodeGeohash} = require("./geohash");
+const {getTierConfig, tierFor} = require("./crowdTiers");
+const {isCounted} = require("./signalFraud");
+const {suppressSmallCells} = require("./signalPrivacy");
+
+const db = admin.firestore();
+
+const TILES_COLLECTION = "crowd_tiles";
+const TILE_TTL_SECONDS = 60;
+// Refuse bounding boxes that would need more tiles than this
+const MAX_TILES = 64;
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 22;
+
+/**
+ * Pick the cell geohash precision for a map zoom level
+ * @param {number} zoom - Map zoom (0-22)
+ * @return {number} Geohash precision of the returned cells
+ */
+function cellPrecisionForZoom(zoom) {
+  if (zoom <= 3) return 2; // ~1250km
+  if (zoom <= 6) return 3; // ~156km
+  if (zoom <= 9) return 4; // ~39km
+  if (zoom <= 12) return 5; // ~4.9km
+  if (zoom <= 15) return 6; // ~1.2km
+  return 7; // ~153m
+}
+
+/**
+ * List the geohashes of a precision that cover a bounding box
+ * @param {object} bounds - {north, south, east, west}
+ * @param {number} precision - Geohash precision
+ * @param {number} limit - Stop once more than this many are found
+ * @return {Array<string>} Geohashes (at most limit + 1)
+ */
+function coveringGeohashes({north, south, east, west}, precision, limit) {
+  // Every geohash of a given precision has the same size
+  const {error} = decodeGeohash(encodeGeohash(south, west, precision));
+  const latStep = error.latitude * 2;
+  const lonStep = error.longitude * 2;
+
+  const hashes = new Set();
+  for (let lat = south; lat < north + latStep; lat += latStep) {
+    for (let lon = west; lon < east + lonStep; lon += lonStep) {
+      hashes.add(encodeGeohash(Math.min(lat, north), Math.min(lon, east), precision));
+      if (hashes.size > limit) return Array.from(hashes);
+    }
+  }
+  return Array.from(hashes);
+}
+
+/**
+ * Aggregate the counted signals in a tile into cells
+ * @param {string} tileHash - Tile geohash
+ * @param {number} cellPrecision - Cell geohash precision
+ * @param {object} tierConfig - Crowd tier config
+ * @return {Promise<Array<object>>} Cells
+ */
+async function computeTile(tileHash, cellPrecision, tierConfig) {
+  const snapshot = await db.collection("signals")
+      .where("geohash", ">=", tileHash)
+      .where("geohash", "<=", tileHash + "\uf8ff")
+      .select("latitude", "longitude", "fraudStatus")
+      .get();
+
+  const cells = new Map();
+  snapshot.docs.forEach((doc) => {
+    const signal = doc.data();
+    if (!isCounted(signal) || typeof signal.latitude !== "number") return;
+
+    const cellHash = encodeGeohash(signal.latitude, signal.longitude, cellPrecision);
+    if (!cells.has(cellHash)) cells.set(cellHash, {count: 0, latSum: 0, lonSum: 0});
+    const cell = cells.get(cellHash);
+    cell.count++;
+    cell.latSum += signal.latitude;
+    cell.lonSum += signal.longitude;
+  });
+
+  return Array.from(cells.entries()).map(([geohash, cell]) => {
+    const tier = tierFor(tierConfig, cell.count);
+    return {
+      geohash: geohash,
+      count: cell.count,
+      latitude: cell.latSum / cell.count,
+      longitude: cell.lonSum / cell.count,
+      tierLabel: tier.label,
+      color: tier.color,
+    };
+  });
+}
+
+/**
+ * Get a tile's cells from the cache, recomputing them when stale
+ * @param {string} tileHash - Tile geohash
+ * @param {number} cellPrecision - Cell geohash precision
+ * @param {object} tierConfig - Crowd tier config
+ * @return {Promise<Array<object>>} Cells
+ */
+async function getTile(tileHash, cellPrecision, tierConfig) {
+  const tileRef = db.collection(TILES_COLLECTION).doc(`${tileHash}_${cellPrecision}`);
+  const tileDoc = await tileRef.get();
+
+  if (tileDoc.exists) {
+    const tile = tileDoc.data();
+    if (tile.tierVersion === tierConfig.version &&
+        Date.now() - tile.computedAt.toMillis() < TILE_TTL_SECONDS * 1000) {
+      return tile.cells;
+    }
+  }
+
+  const cells = await computeTile(tileHash, cellPrecision, tierConfig);
+  const now = Date.now();
+  await tileRef.set({
+    tile: tileHash,
+    cellPrecision: cellPrecision,
+    cells: cells,
+    tierVersion: tierConfig.version,
+    computedAt: admin.firestore.Timestamp.fromMillis(now),
+    // For a Firestore TTL policy; stale tiles are recomputed on read regardless
+    expiresAt: admin.firestore.Timestamp.fromMillis(now + 24 * 60 * 60 * 1000),
+  });
+  return cells;
+}
+
+/**
+ * Get heat-map cells for a bounding box
+ * HTTP endpoint: POST /getCrowdTiles
+ *
+ * Arguments: north, south, east, west (degrees) and zoom (0-22).
+ */
+exports.getCrowdTiles = callable("getCrowdTiles", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const {north, south, east, west, zoom} = data;
+  if (![north, south, east, west].every((value) => typeof value === "number")) {
+    throw new functions.https.HttpsError("invalid-argument",
+        "north, south, east and west are required");
+  }
+  if (south < -90 || north > 90 || south >= north) {
+    throw new functions.https.HttpsError("invalid-argument", "Invalid latitude bounds");
+  }
+  if (west < -180 || east > 180 || west >= east) {
+    throw new functions.https.HttpsError("invalid-argument",
+        "Invalid longitude bounds (boxes crossing the antimeridian are not supported)");
+  }
+  if (!Number.isInteger(zoom) || zoom < MIN_ZOOM || zoom > MAX_ZOOM) {
+    throw new functions.https.HttpsError("invalid-argument",
+        `zoom must be an integer between ${MIN_ZOOM} and ${MAX_ZOOM}`);
+  }
+
+  const cellPrecision = cellPrecisionForZoom(zoom);
+  const tilePrecision = cellPrecision - 1;
+  const tiles = coveringGeohashes({north, south, east, west}, tilePrecision, MAX_TILES);
+  if (tiles.length > MAX_TILES) {
+    throw new functions.https.HttpsError("invalid-argument",
+        "Bounding box is too large for this zoom level");
+  }
+
+  const tierConfig = await getTierConfig();
+  const tileCells = await Promise.all(
+      tiles.map((tileHash) => getTile(tileHash, cellPrecision, tierConfig)));
+
+  // Cells with too few people would reveal individual positions
+  const cells = suppressSmallCells(tileCells.flat().filter((cell) =>
+    cell.latitude >= south && cell.latitude <= north &&
+    cell.longitude >= west && cell.longitude <= east));
+
+  return {
+    success: true,
+    cellPrecision: cellPrecision,
+    tiles: tiles,
+    cells: cells,
+    count: cells.length,
+    tierVersion: tierConfig.version,
+  };
+});
@@ -0,0 +1,271 @@
+/**
+ * Discovery Feed Functions
+ * Merges user-hosted events and scraped campus events into one ranked feed
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {getGeohashRange, calculateDistance} = require("./geohash");
+const {toCampusEvent} = require("./campusEvents");
+const {filterVisibleEvents} = require("./eventAccess");
+const {EVENT_STATUS} = require("./eventLifecycle");
+const {expandEvents} = require("./eventOccurrences");
+
+const db = admin.firestore();
+
+const DEFAULT_RADIUS_KM = 10;
+const DEFAULT_WINDOW_HOURS = 48;
+const MAX_WINDOW_HOURS = 14 * 24;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const MAX_CAMPUS_EVENTS = 300;
+
+// Relative weight of each ranking signal; they sum to 1
+const RANKING_WEIGHTS = {
+  time: 0.45,
+  distance: 0.35,
+  crowd: 0.2,
+};
+// Upcoming events lose half their time score every TIME_HALF_LIFE_HOURS
+const TIME_HALF_LIFE_HOURS = 12;
+// Attendee count treated as a "full" crowd score
+const CROWD_SATURATION = 100;
+
+/**
+ * Convert a Firestore Timestamp, Date or ISO string to an ISO string
+ * @param {*} value - Time value
+ * @return {string|null} ISO string
+ */
+function toISO(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Normalize an `events` document, or an occurrence of one, into the feed item shape
+ * @param {object} event - Event document data or occurrence view
+ * @return {object} Feed item
+ */
+function fromUserEvent(event) {
+  return {
+    id: event.id,
+    occurrenceId: event.occurrenceId || null,
+    origin: "user",
+    title: event.title || "",
+    description: event.description || null,
+    startsAt: toISO(event.startsAt),
+    endsAt: toISO(event.endsAt),
+    latitude: typeof event.latitude === "number" ? event.latitude : null,
+    longitude: typeof event.longitude === "number" ? event.longitude : null,
+    locationName: event.locationName || null,
+    hostId: event.hostId || null,
+    sourceOrg: null,
+    sourceUrl: null,
+    imageUrl: event.imageUrl || null,
+    category: null,
+    tags: event.tags || [],
+    attendeeCount: event.attendeeCount || 0,
+    signalStrength: event.signalStrength || 0,
+    forecast: event.forecast || null,
+  };
+}
+
+/**
+ * Normalize a campus_events_live document into the feed item shape
+ * @param {string} id - Document ID
+ * @param {object} data - Document data
+ * @return {object} Feed item
+ */
+function fromCampusEvent(id, data) {
+  const campusEvent = toCampusEvent(id, data);
+
+  return {
+    id: campusEvent.id,
+    occurrenceId: null,
+    origin: "campus",
+    title: campusEvent.title,
+    description: campusEvent.description,
+    startsAt: campusEvent.startTimeISO,
+    endsAt: campusEvent.endTimeISO,
+    latitude: typeof data.latitude === "number" ? data.latitude : null,
+    longitude: typeof data.longitude === "number" ? data.longitude : null,
+    locationName: campusEvent.locationName || campusEvent.address,
+    hostId: null,
+    sourceOrg: campusEvent.sourceOrg,
+    sourceUrl: campusEvent.sourceUrl,
+    imageUrl: campusEvent.imageUrl,
+    category: campusEvent.category,
+    tags: campusEvent.tags,
+    attendeeCount: data.attendeeCount || 0,
+    signalStrength: data.signalStrength || 0,
+    forecast: campusEvent.forecast,
+  };
+}
+
+/**
+ * Score how soon an item happens: 1 while live, decaying for later starts
+ * @param {object} item - Feed item
+ * @param {number} nowMs - Current time in ms
+ * @return {number} Score between 0 and 1
+ */
+function timeScore(item, nowMs) {
+  if (!item.startsAt) return 0.5;
+
+  const startMs = Date.parse(item.startsAt);
+  if (startMs <= nowMs) return 1;
+
+  const hoursUntil = (startMs - nowMs) / (60 * 60 * 1000);
+  return Math.pow(0.5, hoursUntil / TIME_HALF_LIFE_HOURS);
+}
+
+/**
+ * Score proximity: 1 at the user's position, 0 at the edge of the radius.
+ * Items without coordinates get a neutral score.
+ * @param {number|null} distanceKm - Distance from the user
+ * @param {number} radiusKm - Search radius
+ * @return {number} Score between 0 and 1
+ */
+function distanceScore(distanceKm, radiusKm) {
+  if (distanceKm === null) return 0.5;
+  return Math.max(0, 1 - distanceKm / radiusKm);
+}
+
+/**
+ * Score the live crowd from attendee count and average signal strength
+ * @param {object} item - Feed item
+ * @return {number} Score between 0 and 1
+ */
+function crowdScore(item) {
+  const attendance = Math.min(
+      Math.log1p(item.attendeeCount) / Math.log1p(CROWD_SATURATION), 1);
+  const strength = Math.min(item.signalStrength / 5, 1);
+  return 0.8 * attendance + 0.2 * strength;
+}
+
+/**
+ * Check whether an item overlaps the [now, windowEnd] interval
+ * @param {object} item - Feed item
+ * @param {number} nowMs - Current time in ms
+ * @param {number} windowEndMs - End of the feed window in ms
+ * @return {boolean} True if the item should be shown
+ */
+function isInWindow(item, nowMs, windowEndMs) {
+  if (item.endsAt && Date.parse(item.endsAt) < nowMs) return false;
+  if (item.startsAt && Date.parse(item.startsAt) > windowEndMs) return false;
+  return true;
+}
+
+/**
+ * Fetch user-hosted events around a point.
+ * Recurring events are listed once per occurrence in the feed window.
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} radiusKm - Radius in kilometers
+ * @param {string} userId - Viewer UID (private events are only listed for invitees)
+ * @param {number} nowMs - Current time in ms
+ * @param {number} windowEndMs - End of the feed window in ms
+ * @return {Promise<Array<object>>} Feed items
+ */
+async function fetchUserEvents(latitude, longitude, radiusKm, userId, nowMs, windowEndMs) {
+  const geohashRanges = getGeohashRange(latitude, longitude, radiusKm);
+
+  const snapshots = await Promise.all(geohashRanges.map((geohashPrefix) =>
+    db.collection("events")
+        .where("geohash", ">=", geohashPrefix)
+        .where("geohash", "<=", geohashPrefix + "\uf8ff")
+        .get(),
+  ));
+
+  const events = new Map();
+  snapshots.forEach((snapshot) => {
+    snapshot.docs.forEach((doc) => events.set(doc.id, {id: doc.id, ...doc.data()}));
+  });
+
+  const visibleEvents = await filterVisibleEvents(Array.from(events.values()), userId);
+  const expandedEvents = await expandEvents(visibleEvents, new Date(nowMs), new Date(windowEndMs));
+
+  // Drafts, cancelled and ended events (or occurrences) are not worth discovering
+  return expandedEvents
+      .filter((event) => [EVENT_STATUS.SCHEDULED, EVENT_STATUS.LIVE].includes(event.status))
+      .map(fromUserEvent);
+}
+
+/**
+ * Fetch campus events starting inside the feed window.
+ * Events that started up to a day ago are included so live ones are not missed.
+ * @param {number} nowMs - Current time in ms
+ * @param {number} windowEndMs - End of the feed window in ms
+ * @return {Promise<Array<object>>} Feed items
+ */
+async function fetchCampusEvents(nowMs, windowEndMs) {
+  const snapshot = await db.collection("campus_events_live")
+      .where("startTimeISO", ">=", new Date(nowMs - 24 * 60 * 60 * 1000).toISOString())
+      .where("startTimeISO", "<=", new Date(windowEndMs).toISOString())
+      .orderBy("startTimeISO", "asc")
+      .limit(MAX_CAMPUS_EVENTS)
+      .get();
+
+  return snapshot.docs.map((doc) => fromCampusEvent(doc.id, doc.data()));
+}
+
+/**
+ * Get a unified discovery feed of user-hosted and campus events
+ * HTTP endpoint: POST /getDiscoveryFeed
+ */
+exports.getDiscoveryFeed = callable("getDiscoveryFeed", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const {latitude, longitude} = data;
+  const radiusKm = data.radiusKm || DEFAULT_RADIUS_KM;
+  const windowHours = Math.min(data.windowHours || DEFAULT_WINDOW_HOURS, MAX_WINDOW_HOURS);
+  const limit = Math.min(data.limit || DEFAULT_LIMIT, MAX_LIMIT);
+
+  if (typeof latitude !== "number" || typeof longitude !== "number") {
+    throw new functions.https.HttpsError("invalid-argument",
+        "Latitude and longitude are required");
+  }
+
+  const nowMs = Date.now();
+  const windowEndMs = nowMs + windowHours * 60 * 60 * 1000;
+
+  const [userEvents, campusEvents] = await Promise.all([
+    fetchUserEvents(latitude, longitude, radiusKm, context.auth.uid, nowMs, windowEndMs),
+    fetchCampusEvents(nowMs, windowEndMs),
+  ]);
+
+  const items = [...userEvents, ...campusEvents]
+      .filter((item) => isInWindow(item, nowMs, windowEndMs))
+      .map((item) => {
+        const hasLocation = item.latitude !== null && item.longitude !== null;
+        const distanceKm = hasLocation ?
+          calculateDistance(latitude, longitude, item.latitude, item.longitude) :
+          null;
+        return {...item, distanceKm};
+      })
+      .filter((item) => item.distanceKm === null || item.distanceKm <= radiusKm)
+      .map((item) => {
+        const score =
+          RANKING_WEIGHTS.time * timeScore(item, nowMs) +
+          RANKING_WEIGHTS.distance * distanceScore(item.distanceKm, radiusKm) +
+          RANKING_WEIGHTS.crowd * crowdScore(item);
+        return {...item, score: Math.round(score * 1000) / 1000};
+      })
+      .sort((a, b) => b.score - a.score || (a.startsAt || "").localeCompare(b.startsAt || ""))
+      .slice(0, limit);
+
+  console.log(`Discovery feed: ${userEvents.length} user events, ` +
+    `${campusEvents.length} campus events, returning ${items.length}`);
+
+  return {
+    success: true,
+    events: items,
+    count: items.length,
+  };
+});
@@ -0,0 +1,384 @@
+/**
+ * Event Access
+ * Visibility of events and the invitation subsystem.
+ *
+ * An event's `visibility` decides who can see it (and so its address):
+ *   public  - everyone (default)
+ *   friends - friends of the host (the host lists them in users/{hostId}.friendIds)
+ *   invite  - only invited users
+ *   link    - only users who opened a share link
+ * The host, co-hosts, door staff and users in the event's `invitedUserIds` can
+ * always see it. Drafts are only visible to the host, co-hosts and door staff.
+ * Users are added to invitedUserIds by inviteToEvent or by redeeming a share
+ * token; firestore.rules applies the same checks to direct reads.
+ *
+ * Share tokens live in event_share_tokens/{token}. Tokens for invite-only
+ * events default to a single use; link tokens default to unlimited uses.
+ */
+
+const crypto = require("crypto");
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {parsePageSize, fetchPage} = require("./pagination");
+const {PERMISSIONS, roleFor, assertPermission} = require("./eventRoles");
+const {EVENT_STATUS} = require("./eventLifecycle");
+
+const db = admin.firestore();
+
+const VISIBILITY = {
+  PUBLIC: "public",
+  FRIENDS: "friends",
+  INVITE: "invite",
+  LINK: "link",
+};
+const INVITES_COLLECTION = "event_invites";
+const SHARE_TOKENS_COLLECTION = "event_share_tokens";
+const MAX_INVITES_PER_CALL = 100;
+const MAX_TOKEN_HOURS = 30 * 24;
+
+/**
+ * Validate a visibility argument
+ * @param {*} visibility - Client supplied value
+ * @return {string} Visibility (default public)
+ */
+function parseVisibility(visibility) {
+  if (visibility === undefined || visibility === null) return VISIBILITY.PUBLIC;
+  if (!Object.values(VISIBILITY).includes(visibility)) {
+    throw new functions.https.HttpsError("invalid-argument",
+        "visibility must be one of: public, friends, invite, link");
+  }
+  return visibility;
+}
+
+/**
+ * Whether a user can see an event
+ * @param {object} event - Event document data
+ * @param {string} userId - Viewer UID
+ * @param {Array<string>} hostFriendIds - friendIds of the event host
+ * @return {boolean} True if the event is visible to the user
+ */
+function canViewEvent(event, userId, hostFriendIds = []) {
+  if (roleFor(event, userId)) return true;
+  if (event.status === EVENT_STATUS.DRAFT) return false;
+
+  const visibility = event.visibility || VISIBILITY.PUBLIC;
+  if (visibility === VISIBILITY.PUBLIC) return true;
+  if ((event.invitedUserIds || []).includes(userId)) return true;
+  return visibility === VISIBILITY.FRIENDS && hostFriendIds.includes(userId);
+}
+
+/**
+ * Load the friendIds of hosts of friends-only events
+ * @param {Array<object>} events - Event document data
+ * @return {Promise<Map<string, Array<string>>>} friendIds by host ID
+ */
+async function loadHostFriendIds(events) {
+  const hostIds = Array.from(new Set(events
+      .filter((event) => event.visibility === VISIBILITY.FRIENDS && event.hostId)
+      .map((event) => event.hostId)));
+  if (hostIds.length === 0) return new Map();
+
+  const userDocs = await db.getAll(...hostIds.map((id) => db.collection("users").doc(id)));
+  return new Map(userDocs.map((doc) => [doc.id, doc.exists ? doc.data().friendIds || [] : []]));
+}
+
+/**
+ * Keep only the events a user can see
+ * @param {Array<object>} events - Event document data (or occurrence views)
+ * @param {string} userId - Viewer UID
+ * @return {Promise<Array<object>>} Visible events
+ */
+async function filterVisibleEvents(events, userId) {
+  const friendIds = await loadHostFriendIds(events);
+  return events.filter((event) =>
+    canViewEvent(event, userId, friendIds.get(event.hostId) || []));
+}
+
+/**
+ * Throw not-found unless a user can see an event (hidden events are
+ * reported as missing so their existence is not revealed)
+ * @param {object} event - Event document data
+ * @param {string} userId - Viewer UID
+ */
+async function assertCanViewEvent(event, userId) {
+  const visible = await filterVisibleEvents([event], userId);
+  if (visible.length === 0) {
+    throw new functions.https.HttpsError("not-found", "Event not found", {code: "EVENT_NOT_FOUND"});
+  }
+}
+
+/**
+ * Load an event whose invitations the caller manages (owner or co-host)
+ * @param {string} eventId - Event ID
+ * @param {string} userId - Caller UID
+ * @return {Promise<object>} Event document data
+ */
+async function loadHostedEvent(eventId, userId) {
+  if (!eventId) {
+    throw new functions.https.HttpsError("invalid-argument", "Event ID is required");
+  }
+
+  const eventDoc = await db.collection("events").doc(eventId).get();
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Event not found", {code: "EVENT_NOT_FOUND"});
+  }
+  assertPermission(eventDoc.data(), userId, PERMISSIONS.MANAGE_INVITES,
+      "Only the event hosts can manage invitations");
+  return eventDoc.data();
+}
+
+/**
+ * Invite users to an event (event hosts only)
+ * HTTP endpoint: POST /inviteToEvent
+ *
+ * Arguments: eventId and userIds (up to 100).
+ */
+exports.inviteToEvent = callable("inviteToEvent", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const event = await loadHostedEvent(data.eventId, context.auth.uid);
+  const userIds = Array.isArray(data.userIds) ?
+    Array.from(new Set(data.userIds.filter((id) => typeof id === "string" && id))) :
+    [];
+  if (userIds.length === 0 || userIds.length > MAX_INVITES_PER_CALL) {
+    throw new functions.https.HttpsError("invalid-argument",
+        `userIds must list 1 to ${MAX_INVITES_PER_CALL} users`);
+  }
+
+  const batch = db.batch();
+  batch.update(db.collection("events").doc(event.id), {
+    invitedUserIds: admin.firestore.FieldValue.arrayUnion(...userIds),
+  });
+  userIds.forEach((userId) => {
+    batch.set(db.collection(INVITES_COLLECTION).doc(`${event.id}_${userId}`), {
+      eventId: event.id,
+      userId: userId,
+      invitedBy: context.auth.uid,
+      via: "user",
+      title: event.title || "",
+      startsAt: event.startsAt || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+  await batch.commit();
+
+  return {
+    success: true,
+    invitedUserIds: userIds,
+  };
+});
+
+/**
+ * Withdraw a user's invitation (event hosts only)
+ * HTTP endpoint: POST /uninviteFromEvent
+ */
+exports.uninviteFromEvent = callable("uninviteFromEvent", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const event = await loadHostedEvent(data.eventId, context.auth.uid);
+  if (!data.userId) {
+    throw new functions.https.HttpsError("invalid-argument", "userId is required");
+  }
+
+  const batch = db.batch();
+  batch.update(db.collection("events").doc(event.id), {
+    invitedUserIds: admin.firestore.FieldValue.arrayRemove(data.userId),
+  });
+  batch.delete(db.collection(INVITES_COLLECTION).doc(`${event.id}_${data.userId}`));
+  await batch.commit();
+
+  return {
+    success: true,
+    message: "Invitation withdrawn",
+  };
+});
+
+/**
+ * Create a share token for an event (event hosts only)
+ * HTTP endpoint: POST /createEventShareToken
+ *
+ * Arguments: eventId, maxUses (default 1 for invite-only events, unlimited
+ * otherwise) and expiresInHours (optional, up to 30 days).
+ */
+exports.createEventShareToken = callable("createEventShareToken", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const event = await loadHostedEvent(data.eventId, context.auth.uid);
+
+  const maxUses = data.maxUses === undefined ?
+    (event.visibility === VISIBILITY.INVITE ? 1 : null) :
+    data.maxUses;
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    throw new functions.https.HttpsError("invalid-argument",
+        "maxUses must be a positive integer");
+  }
+  if (data.expiresInHours !== undefined &&
+      (typeof data.expiresInHours !== "number" || data.expiresInHours <= 0 ||
+       data.expiresInHours > MAX_TOKEN_HOURS)) {
+    throw new functions.https.HttpsError("invalid-argument",
+        `expiresInHours must be between 0 and ${MAX_TOKEN_HOURS}`);
+  }
+
+  const token = crypto.randomBytes(18).toString("base64url");
+  const tokenData = {
+    token: token,
+    eventId: event.id,
+    createdBy: context.auth.uid,
+    maxUses: maxUses,
+    uses: 0,
+    expiresAt: data.expiresInHours ?
+      admin.firestore.Timestamp.fromMillis(Date.now() + data.expiresInHours * 60 * 60 * 1000) :
+      null,
+    revoked: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  await db.collection(SHARE_TOKENS_COLLECTION).doc(token).set(tokenData);
+
+  return {
+    success: true,
+    token: token,
+    shareToken: tokenData,
+  };
+});
+
+/**
+ * Revoke a share token (event hosts only). Users who already redeemed it
+ * keep access until uninvited.
+ * HTTP endpoint: POST /revokeEventShareToken
+ */
+exports.revokeEventShareToken = callable("revokeEventShareToken", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+  if (!data.token) {
+    throw new functions.https.HttpsError("invalid-argument", "token is required");
+  }
+
+  const tokenRef = db.collection(SHARE_TOKENS_COLLECTION).doc(data.token);
+  const tokenDoc = await tokenRef.get();
+  if (!tokenDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Share token not found",
+        {code: "SHARE_TOKEN_NOT_FOUND"});
+  }
+  await loadHostedEvent(tokenDoc.data().eventId, context.auth.uid);
+
+  await tokenRef.update({revoked: true});
+
+  return {
+    success: true,
+    message: "Share token revoked",
+  };
+});
+
+/**
+ * Redeem a share token, giving the caller access to its event
+ * HTTP endpoint: POST /redeemEventShareToken
+ */
+exports.redeemEventShareToken = callable("redeemEventShareToken", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+  if (!data.token || typeof data.token !== "string") {
+    throw new functions.https.HttpsError("invalid-argument", "token is required");
+  }
+
+  const userId = context.auth.uid;
+  const tokenRef = db.collection(SHARE_TOKENS_COLLECTION).doc(data.token);
+
+  const event = await db.runTransaction(async (transaction) => {
+    const tokenDoc = await transaction.get(tokenRef);
+    if (!tokenDoc.exists || tokenDoc.data().revoked) {
+      throw new functions.https.HttpsError("not-found", "Share link is invalid",
+          {code: "SHARE_LINK_INVALID"});
+    }
+
+    const token = tokenDoc.data();
+    if (token.expiresAt && token.expiresAt.toMillis() < Date.now()) {
+      throw new functions.https.HttpsError("failed-precondition", "Share link has expired",
+          {code: "SHARE_LINK_EXPIRED"});
+    }
+
+    const eventRef = db.collection("events").doc(token.eventId);
+    const eventDoc = await transaction.get(eventRef);
+    if (!eventDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Event not found",
+          {code: "EVENT_NOT_FOUND"});
+    }
+
+    const eventData = eventDoc.data();
+    const alreadyInvited = Boolean(roleFor(eventData, userId)) ||
+      (eventData.invitedUserIds || []).includes(userId);
+    if (alreadyInvited) return eventData;
+
+    if (token.maxUses !== null && token.uses >= token.maxUses) {
+      throw new functions.https.HttpsError("failed-precondition",
+          "Share link has been used up", {code: "SHARE_LINK_USED_UP"});
+    }
+
+    transaction.update(tokenRef, {uses: admin.firestore.FieldValue.increment(1)});
+    transaction.update(eventRef, {
+      invitedUserIds: admin.firestore.FieldValue.arrayUnion(userId),
+    });
+    transaction.set(db.collection(INVITES_COLLECTION).doc(`${eventData.id}_${userId}`), {
+      eventId: eventData.id,
+      userId: userId,
+      invitedBy: token.createdBy,
+      via: "token",
+      title: eventData.title || "",
+      startsAt: eventData.startsAt || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return eventData;
+  });
+
+  return {
+    success: true,
+    eventId: event.id,
+    event: event,
+  };
+});
+
+/**
+ * List the events the caller has been invited to, newest first
+ * HTTP endpoint: POST /getMyInvites
+ *
+ * Arguments: pageSize (default and max 100) and pageToken.
+ */
+exports.getMyInvites = callable("getMyInvites", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const query = db.collection(INVITES_COLLECTION).where("userId", "==", context.auth.uid);
+  const {docs, nextPageToken} = await fetchPage(query, [["createdAt", "desc"]], {
+    pageToken: data.pageToken,
+    pageSize: parsePageSize(data.pageSize, 100),
+  });
+  const invites = docs.map((doc) => doc.data());
+
+  return {
+    success: true,
+    invites: invites,
+    count: invites.length,
+    nextPageToken: nextPageToken,
+  };
+});
+
+exports.VISIBILITY = VISIBILITY;
+exports.parseVisibility = parseVisibility;
+exports.canViewEvent = canViewEvent;
+exports.filterVisibleEvents = filterVisibleEvents;
+exports.assertCanViewEvent = assertCanViewEvent;
@@ -0,0 +1,185 @@
+/**
+ * Event Lifecycle
+ * The states an event moves through and what moves it.
+ *
+ *   draft     - only event staff can see it; publishEvent makes it scheduled
+ *   scheduled - published, not started yet
+ *   live      - between startsAt and the end (endsAt, or startsAt plus
+ *               DEFAULT_EVENT_DURATION_HOURS); a recurring series is live from
+ *               its first occurrence until its last one ends
+ *   ended     - over; rescheduling it into the future makes it scheduled again
+ *   cancelled - called off by the host with a reason; stays visible and never
+ *               changes again
+ *
+ * scheduled/live/ended follow the clock: advanceEventStatuses stores the
+ * change at `nextStatusAt`, and reads use currentStatus so they are right
+ * between runs. draft and cancelled only change through host actions.
+ * Events created before statuses existed have none and count as scheduled.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {parseRRule, lastOccurrenceStart, DEFAULT_TIME_ZONE} = require("./recurrence");
+
+const EVENT_STATUS = {
+  DRAFT: "draft",
+  SCHEDULED: "scheduled",
+  LIVE: "live",
+  ENDED: "ended",
+  CANCELLED: "cancelled",
+};
+// Statuses each status may move to
+const TRANSITIONS = {
+  [EVENT_STATUS.DRAFT]: [EVENT_STATUS.SCHEDULED, EVENT_STATUS.LIVE],
+  [EVENT_STATUS.SCHEDULED]: [EVENT_STATUS.LIVE, EVENT_STATUS.ENDED, EVENT_STATUS.CANCELLED],
+  [EVENT_STATUS.LIVE]: [EVENT_STATUS.SCHEDULED, EVENT_STATUS.ENDED, EVENT_STATUS.CANCELLED],
+  [EVENT_STATUS.ENDED]: [EVENT_STATUS.SCHEDULED, EVENT_STATUS.LIVE],
+  [EVENT_STATUS.CANCELLED]: [],
+};
+// Events without endsAt are treated as running this long after startsAt
+const DEFAULT_EVENT_DURATION_HOURS = 6;
+// What listings show unless asked for other statuses
+const LISTED_STATUSES = [EVENT_STATUS.SCHEDULED, EVENT_STATUS.LIVE];
+
+/**
+ * Convert a Firestore Timestamp or date value to milliseconds
+ * @param {*} value - Timestamp, Date or ISO string
+ * @return {number|null} Milliseconds since epoch
+ */
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+
+  const ms = new Date(value).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Stored status of an event
+ * @param {object} event - Event document data
+ * @return {string} Status (scheduled for events that predate statuses)
+ */
+function statusOf(event) {
+  return event.status || EVENT_STATUS.SCHEDULED;
+}
+
+/**
+ * When an event (or a recurring series) ends
+ * @param {object} event - Event document data
+ * @return {number|null} End in ms, or null if it never ends (or has no schedule)
+ */
+function endMillis(event) {
+  const startMs = toMillis(event.startsAt);
+  if (startMs === null) return null;
+
+  const durationMs = toMillis(event.endsAt) !== null ?
+    toMillis(event.endsAt) - startMs :
+    DEFAULT_EVENT_DURATION_HOURS * 60 * 60 * 1000;
+  if (!event.recurrence || !event.recurrence.rrule) return startMs + durationMs;
+
+  // A series ends with its last occurrence; rules without UNTIL/COUNT go on forever
+  const rule = parseRRule(event.recurrence.rrule);
+  if (!rule.until && !rule.count) return null;
+
+  const lastStart = lastOccurrenceStart({
+    startsAt: new Date(startMs),
+    rrule: event.recurrence.rrule,
+    exdates: event.recurrence.exdates || [],
+    timeZone: event.recurrence.timeZone || DEFAULT_TIME_ZONE,
+  });
+  return (lastStart ? lastStart.getTime() : startMs) + durationMs;
+}
+
+/**
+ * Status an event has right now
+ * @param {object} event - Event document data
+ * @param {number} nowMs - Current time
+ * @return {string} Status
+ */
+function currentStatus(event, nowMs = Date.now()) {
+  const status = statusOf(event);
+  if (status === EVENT_STATUS.DRAFT || status === EVENT_STATUS.CANCELLED) return status;
+
+  // Events without a schedule are open until cancelled
+  const startMs = toMillis(event.startsAt);
+  if (startMs === null || nowMs < startMs) {
+    return startMs === null ? EVENT_STATUS.LIVE : EVENT_STATUS.SCHEDULED;
+  }
+
+  const endMs = endMillis(event);
+  return endMs !== null && nowMs >= endMs ? EVENT_STATUS.ENDED : EVENT_STATUS.LIVE;
+}
+
+/**
+ * The event with its current status filled in
+ * @param {object} event - Event document data
+ * @param {number} nowMs - Current time
+ * @return {object} Event
+ */
+function withCurrentStatus(event, nowMs = Date.now()) {
+  return {...event, status: currentStatus(event, nowMs)};
+}
+
+/**
+ * Status fields to store for an event whose status follows the clock
+ * @param {object} event - Event document data
+ * @param {number} nowMs - Current time
+ * @return {object} {status, nextStatusAt}
+ */
+function scheduleFields(event, nowMs = Date.now()) {
+  const status = currentStatus(event, nowMs);
+
+  // The scheduler next looks at the event when it starts, then when it ends
+  let nextMs = null;
+  if (status === EVENT_STATUS.SCHEDULED) {
+    nextMs = toMillis(event.startsAt);
+  } else if (status === EVENT_STATUS.LIVE) {
+    nextMs = endMillis(event);
+  }
+
+  return {
+    status: status,
+    nextStatusAt: nextMs === null ? null : admin.firestore.Timestamp.fromMillis(nextMs),
+  };
+}
+
+/**
+ * Throw failed-precondition unless an event may move to a status
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ */
+function assertTransition(from, to) {
+  if (!TRANSITIONS[from] || !TRANSITIONS[from].includes(to)) {
+    throw new functions.https.HttpsError("failed-precondition",
+        `A ${from} event cannot become ${to}`,
+        {code: "INVALID_STATUS_TRANSITION", from, to});
+  }
+}
+
+/**
+ * Parse a list of statuses to filter listings by
+ * @param {*} statuses - Client supplied value
+ * @return {Array<string>} Statuses (default: scheduled and live)
+ */
+function parseStatusFilter(statuses) {
+  if (statuses === undefined || statuses === null) return LISTED_STATUSES;
+
+  const valid = Object.values(EVENT_STATUS);
+  if (!Array.isArray(statuses) || statuses.length === 0 ||
+      statuses.some((status) => !valid.includes(status))) {
+    throw new functions.https.HttpsError("invalid-argument",
+        `statuses must be a list of ${valid.join(", ")}`);
+  }
+  return statuses;
+}
+
+module.exports = {
+  EVENT_STATUS,
+  DEFAULT_EVENT_DURATION_HOURS,
+  statusOf,
+  currentStatus,
+  withCurrentStatus,
+  scheduleFields,
+  assertTransition,
+  parseStatusFilter,
+};
@@ -0,0 +1,230 @@
+/**
+ * Event Occurrences
+ * Turns recurring events into the occurrences clients see.
+ *
+ * A recurring event stores its first occurrence in startsAt/endsAt and its
+ * rule in `recurrence` ({rrule, exdates, timeZone}). Per-occurrence data lives
+ * in events/{eventId}/occurrences/{occurrenceId}, created on demand:
+ *   overrides     - fields edited for "this occurrence only" (title,
+ *                   description, locationName, startsAt, endsAt)
+ *   attendeeCount - signals counted for this occurrence
+ *   signalStrength - average strength of those signals
+ *   status        - "cancelled" when just this occurrence was cancelled, with
+ *                   cancellationReason, cancelledAt and cancelledBy
+ * Otherwise an occurrence's status follows the series and its own times.
+ */
+
+const admin = require("firebase-admin");
+const {
+  DEFAULT_TIME_ZONE,
+  parseRRule,
+  occurrenceStartFor,
+  normalizeOccurrenceId,
+  expandOccurrences,
+} = require("./recurrence");
+const {EVENT_STATUS, currentStatus, withCurrentStatus} = require("./eventLifecycle");
+
+const db = admin.firestore();
+
+const OCCURRENCES_COLLECTION = "occurrences";
+// Fields that can be changed for a single occurrence
+const OCCURRENCE_OVERRIDE_FIELDS = ["title", "description", "locationName", "startsAt", "endsAt"];
+const DEFAULT_WINDOW_DAYS = 14;
+const MAX_OCCURRENCES_PER_SERIES = 10;
+
+/**
+ * Convert a Timestamp, Date or ISO string to a Date
+ * @param {*} value - Time value
+ * @return {Date|null} Date
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate();
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whether an event repeats
+ * @param {object} event - Event document data
+ * @return {boolean} True for recurring events
+ */
+function isRecurring(event) {
+  return Boolean(event.recurrence && event.recurrence.rrule && event.startsAt);
+}
+
+/**
+ * Validate and normalize a recurrence argument from a client
+ * @param {object} recurrence - {rrule, exdates}
+ * @return {object} {rrule, exdates, timeZone}
+ */
+function normalizeRecurrence(recurrence) {
+  if (!recurrence || typeof recurrence !== "object") {
+    throw new Error("recurrence must be an object with an rrule");
+  }
+  parseRRule(recurrence.rrule);
+
+  const exdates = Array.isArray(recurrence.exdates) ?
+    recurrence.exdates.map(normalizeOccurrenceId) :
+    [];
+
+  return {
+    rrule: recurrence.rrule.trim().replace(/^RRULE:/i, "").toUpperCase(),
+    exdates: Array.from(new Set(exdates)),
+    timeZone: recurrence.timeZone || DEFAULT_TIME_ZONE,
+  };
+}
+
+/**
+ * Build the series definition expandOccurrences expects from an event
+ * @param {object} event - Event document data
+ * @return {object} Series
+ */
+function seriesFromEvent(event) {
+  return {
+    startsAt: toDate(event.startsAt),
+    endsAt: toDate(event.endsAt),
+    rrule: event.recurrence.rrule,
+    exdates: event.recurrence.exdates || [],
+    timeZone: event.recurrence.timeZone || DEFAULT_TIME_ZONE,
+  };
+}
+
+/**
+ * Merge an occurrence and its stored data into an event-shaped object
+ * @param {object} event - Series event data
+ * @param {object} occurrence - {occurrenceId, startsAt, endsAt}
+ * @param {object|null} stored - Occurrence document data
+ * @return {object} Occurrence view
+ */
+function toOccurrenceView(event, occurrence, stored) {
+  const overrides = (stored && stored.overrides) || {};
+
+  const view = {
+    ...event,
+    seriesId: event.id,
+    occurrenceId: occurrence.occurrenceId,
+    startsAt: admin.firestore.Timestamp.fromDate(occurrence.startsAt),
+    endsAt: occurrence.endsAt ? admin.firestore.Timestamp.fromDate(occurrence.endsAt) : null,
+    attendeeCount: (stored && stored.attendeeCount) || 0,
+    signalStrength: (stored && stored.signalStrength) || 0,
+    ...overrides,
+  };
+
+  if (stored && stored.status === EVENT_STATUS.CANCELLED) {
+    return {
+      ...view,
+      status: EVENT_STATUS.CANCELLED,
+      cancellationReason: stored.cancellationReason || null,
+      cancelledAt: stored.cancelledAt || null,
+      cancelledBy: stored.cancelledBy || null,
+    };
+  }
+  return {...view, status: currentStatus({...view, recurrence: null})};
+}
+
+/**
+ * Load stored data for a list of occurrences
+ * @param {string} eventId - Series event ID
+ * @param {Array<object>} occurrences - Occurrences from expandOccurrences
+ * @return {Promise<Array<object|null>>} Occurrence document data in the same order
+ */
+async function loadOccurrenceDocs(eventId, occurrences) {
+  if (occurrences.length === 0) return [];
+
+  const refs = occurrences.map((occurrence) => occurrenceRef(eventId, occurrence.occurrenceId));
+  const docs = await db.getAll(...refs);
+  return docs.map((doc) => doc.exists ? doc.data() : null);
+}
+
+/**
+ * Get the occurrences of an event within a time range
+ * @param {object} event - Event document data
+ * @param {object} range - {from, to, limit}
+ * @return {Promise<Array<object>>} Occurrence views
+ */
+async function getOccurrences(event, {from, to, limit = MAX_OCCURRENCES_PER_SERIES}) {
+  const occurrences = expandOccurrences(seriesFromEvent(event), {from, to, limit});
+  const stored = await loadOccurrenceDocs(event.id, occurrences);
+  return occurrences.map((occurrence, index) => toOccurrenceView(event, occurrence, stored[index]));
+}
+
+/**
+ * Replace recurring events with their occurrences in a time window.
+ * One-off events are returned with their current status.
+ * @param {Array<object>} events - Event document data (may carry extra fields like distance)
+ * @param {Date} from - Window start (default: now)
+ * @param {Date} to - Window end (default: DEFAULT_WINDOW_DAYS from now)
+ * @return {Promise<Array<object>>} Events and occurrence views
+ */
+async function expandEvents(events, from = new Date(), to = null) {
+  const windowEnd = to || new Date(from.getTime() + DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const expanded = await Promise.all(events.map((event) =>
+    isRecurring(event) ?
+      getOccurrences(event, {from, to: windowEnd}) :
+      [withCurrentStatus(event)]));
+  return expanded.flat();
+}
+
+/**
+ * Find an occurrence of a recurring event.
+ * With an occurrenceId the occurrence must exist; without one, the occurrence
+ * running now (or starting within the hour) is chosen, else the next one.
+ * @param {object} event - Event document data
+ * @param {string|null} occurrenceId - Requested occurrence
+ * @param {number} nowMs - Current time
+ * @return {Promise<object|null>} Occurrence view
+ */
+async function resolveOccurrence(event, occurrenceId, nowMs = Date.now()) {
+  const series = seriesFromEvent(event);
+  const dayMs = 24 * 60 * 60 * 1000;
+  let occurrence;
+
+  if (occurrenceId) {
+    const originalStart = occurrenceStartFor(occurrenceId);
+    if (!originalStart) return null;
+
+    occurrence = expandOccurrences(series, {
+      from: originalStart,
+      to: new Date(originalStart.getTime() + 1),
+      limit: 1,
+    }).find((candidate) => candidate.occurrenceId === occurrenceId);
+  } else {
+    const candidates = expandOccurrences(series, {
+      from: new Date(nowMs - 7 * dayMs),
+      to: new Date(nowMs + 7 * dayMs),
+      limit: 100,
+    });
+    const soon = nowMs + 60 * 60 * 1000;
+    const started = candidates.filter((candidate) => candidate.startsAt.getTime() <= soon);
+    occurrence = started.length > 0 ? started[started.length - 1] : candidates[0];
+  }
+
+  if (!occurrence) return null;
+
+  const [stored] = await loadOccurrenceDocs(event.id, [occurrence]);
+  return toOccurrenceView(event, occurrence, stored);
+}
+
+/**
+ * Reference to an occurrence document
+ * @param {string} eventId - Series event ID
+ * @param {string} occurrenceId - Occurrence ID
+ * @return {FirebaseFirestore.DocumentReference} Occurrence document
+ */
+function occurrenceRef(eventId, occurrenceId) {
+  return db.collection("events").doc(eventId).collection(OCCURRENCES_COLLECTION).doc(occurrenceId);
+}
+
+module.exports = {
+  OCCURRENCE_OVERRIDE_FIELDS,
+  isRecurring,
+  normalizeRecurrence,
+  seriesFromEvent,
+  getOccurrences,
+  expandEvents,
+  resolveOccurrence,
+  occurrenceRef,
+};
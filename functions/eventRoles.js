@@ -0,0 +1,250 @@
+/**
+ * Event Roles
+ * Lets several people run an event.
+ *
+ * Roles are kept in the event's `roles` map ({userId: role}):
+ *   owner  - the creator (hostId); can do everything, including deleting the
+ *            series and managing roles
+ *   cohost - can edit the event, manage invitations and RSVPs
+ *   door   - can approve/reject RSVPs and see who checked in
+ * Every role can check in without an RSVP seat. Each role earns its own
+ * bonus points (ROLE_BONUS_POINTS), awarded when the role is given and
+ * revoked when it is taken away.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {ledgerKey, awardPoints, revokePoints} = require("./pointsLedger");
+
+const db = admin.firestore();
+
+const ROLES = {
+  OWNER: "owner",
+  COHOST: "cohost",
+  DOOR: "door",
+};
+const PERMISSIONS = {
+  EDIT: "edit",
+  DELETE: "delete",
+  MANAGE_ROLES: "manageRoles",
+  MANAGE_INVITES: "manageInvites",
+  MANAGE_RSVPS: "manageRsvps",
+  VIEW_ATTENDEES: "viewAttendees",
+  CHECK_IN_WITHOUT_RSVP: "checkInWithoutRsvp",
+};
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.COHOST]: [
+    PERMISSIONS.EDIT,
+    PERMISSIONS.MANAGE_INVITES,
+    PERMISSIONS.MANAGE_RSVPS,
+    PERMISSIONS.VIEW_ATTENDEES,
+    PERMISSIONS.CHECK_IN_WITHOUT_RSVP,
+  ],
+  [ROLES.DOOR]: [
+    PERMISSIONS.MANAGE_RSVPS,
+    PERMISSIONS.VIEW_ATTENDEES,
+    PERMISSIONS.CHECK_IN_WITHOUT_RSVP,
+  ],
+};
+// Points for running an event, per role
+const ROLE_BONUS_POINTS = {
+  [ROLES.OWNER]: parseInt(process.env.EVENT_BONUS_OWNER || "50", 10),
+  [ROLES.COHOST]: parseInt(process.env.EVENT_BONUS_COHOST || "25", 10),
+  [ROLES.DOOR]: parseInt(process.env.EVENT_BONUS_DOOR || "10", 10),
+};
+const MAX_STAFF = 20;
+
+/**
+ * Role a user has on an event
+ * @param {object} event - Event document data
+ * @param {string} userId - User ID
+ * @return {string|null} Role, or null for none
+ */
+function roleFor(event, userId) {
+  if (!userId) return null;
+  if (event.hostId === userId) return ROLES.OWNER;
+  const role = (event.roles || {})[userId];
+  return ROLE_PERMISSIONS[role] ? role : null;
+}
+
+/**
+ * Whether a user may do something on an event
+ * @param {object} event - Event document data
+ * @param {string} userId - User ID
+ * @param {string} permission - One of PERMISSIONS
+ * @return {boolean} True if one of the user's roles allows it
+ */
+function hasPermission(event, userId, permission) {
+  const role = roleFor(event, userId);
+  return Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Throw permission-denied (EVENT_PERMISSION_REQUIRED) unless a user may do
+ * something on an event
+ * @param {object} event - Event document data
+ * @param {string} userId - User ID
+ * @param {string} permission - One of PERMISSIONS
+ * @param {string} message - Error message
+ */
+function assertPermission(event, userId, permission, message) {
+  if (!hasPermission(event, userId, permission)) {
+    throw new functions.https.HttpsError("permission-denied", message,
+        {code: "EVENT_PERMISSION_REQUIRED", permission});
+  }
+}
+
+/**
+ * Award the bonus for a role on an event (once per user and event)
+ * @param {string} eventId - Event ID
+ * @param {string} userId - User given the role
+ * @param {string} role - Role
+ * @return {Promise<void>}
+ */
+async function awardRoleBonus(eventId, userId, role) {
+  const points = ROLE_BONUS_POINTS[role];
+  if (!points || points <= 0) return;
+
+  await awardPoints({
+    // The owner keeps the original event creation key
+    pointId: role === ROLES.OWNER ?
+      ledgerKey("event", eventId) :
+      ledgerKey("event-role", `${eventId}:${userId}`),
+    userId: userId,
+    points: points,
+    reason: role === ROLES.OWNER ? "Event creation bonus" : `Event ${role} bonus`,
+    source: "event",
+  });
+}
+
+/**
+ * Award and revoke role bonuses after an event's roles changed
+ * @param {string} eventId - Event ID
+ * @param {object} beforeRoles - Roles map before the change
+ * @param {object} afterRoles - Roles map after the change
+ * @return {Promise<void>}
+ */
+async function syncRoleBonuses(eventId, beforeRoles = {}, afterRoles = {}) {
+  for (const [userId, role] of Object.entries(afterRoles)) {
+    if (role === ROLES.OWNER || beforeRoles[userId] === role) continue;
+    if (beforeRoles[userId]) {
+      await revokePoints(ledgerKey("event-role", `${eventId}:${userId}`));
+    }
+    await awardRoleBonus(eventId, userId, role);
+  }
+  for (const [userId, role] of Object.entries(beforeRoles)) {
+    if (role !== ROLES.OWNER && !afterRoles[userId]) {
+      await revokePoints(ledgerKey("event-role", `${eventId}:${userId}`));
+    }
+  }
+}
+
+/**
+ * Give a user a co-host or door staff role (event owner only)
+ * HTTP endpoint: POST /addCoHost
+ *
+ * Arguments: eventId, userId and role ("cohost" default, or "door").
+ */
+exports.addCoHost = callable("addCoHost", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const role = data.role || ROLES.COHOST;
+  if (role !== ROLES.COHOST && role !== ROLES.DOOR) {
+    throw new functions.https.HttpsError("invalid-argument", "role must be cohost or door");
+  }
+  if (!data.eventId || !data.userId || typeof data.userId !== "string") {
+    throw new functions.https.HttpsError("invalid-argument", "eventId and userId are required");
+  }
+
+  const eventRef = db.collection("events").doc(data.eventId);
+  const roles = await db.runTransaction(async (transaction) => {
+    const eventDoc = await transaction.get(eventRef);
+    if (!eventDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Event not found",
+          {code: "EVENT_NOT_FOUND"});
+    }
+
+    const event = eventDoc.data();
+    assertPermission(event, context.auth.uid, PERMISSIONS.MANAGE_ROLES,
+        "Only the event owner can manage co-hosts");
+    if (data.userId === event.hostId) {
+      throw new functions.https.HttpsError("invalid-argument",
+          "The owner already runs the event");
+    }
+
+    const updatedRoles = {...(event.roles || {}), [data.userId]: role};
+    if (Object.keys(updatedRoles).length > MAX_STAFF) {
+      throw new functions.https.HttpsError("failed-precondition",
+          `Events can have at most ${MAX_STAFF} roles`, {code: "TOO_MANY_ROLES"});
+    }
+    transaction.update(eventRef, {
+      [`roles.${data.userId}`]: role,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return updatedRoles;
+  });
+
+  return {
+    success: true,
+    roles: roles,
+  };
+});
+
+/**
+ * Remove a co-host or door staff role (event owner, or the user stepping down)
+ * HTTP endpoint: POST /removeCoHost
+ */
+exports.removeCoHost = callable("removeCoHost", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+  if (!data.eventId || !data.userId) {
+    throw new functions.https.HttpsError("invalid-argument", "eventId and userId are required");
+  }
+
+  const eventRef = db.collection("events").doc(data.eventId);
+  await db.runTransaction(async (transaction) => {
+    const eventDoc = await transaction.get(eventRef);
+    if (!eventDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Event not found",
+          {code: "EVENT_NOT_FOUND"});
+    }
+
+    const event = eventDoc.data();
+    if (data.userId !== context.auth.uid) {
+      assertPermission(event, context.auth.uid, PERMISSIONS.MANAGE_ROLES,
+          "Only the event owner can manage co-hosts");
+    }
+    if (data.userId === event.hostId) {
+      throw new functions.https.HttpsError("invalid-argument", "The owner cannot be removed");
+    }
+    if (!(event.roles || {})[data.userId]) {
+      throw new functions.https.HttpsError("not-found", "User has no role on this event",
+          {code: "ROLE_NOT_FOUND"});
+    }
+
+    transaction.update(eventRef, {
+      [`roles.${data.userId}`]: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+
+  return {
+    success: true,
+    message: "Role removed",
+  };
+});
+
+exports.ROLES = ROLES;
+exports.PERMISSIONS = PERMISSIONS;
+exports.roleFor = roleFor;
+exports.hasPermission = hasPermission;
+exports.assertPermission = assertPermission;
+exports.awardRoleBonus = awardRoleBonus;
+exports.syncRoleBonuses = syncRoleBonuses;
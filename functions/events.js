@@ -6,329 +6,787 @@
 const functions = require("firebase-functions");
 const functionsV1 = require("firebase-functions/v1");
 const admin = require("firebase-admin");
-const {encodeGeohash, getGeohashRange, calculateDistance} = require('./geohash');
+const {callable} = require('./callable');
+const {parsePageSize, fetchFilteredPage, paginateSorted} = require('./pagination');
+const {getForecastForUserEvent} = require('./crowdForecast');
+const {parseVisibility, filterVisibleEvents, assertCanViewEvent} = require('./eventAccess');
+const {
+  OCCURRENCE_OVERRIDE_FIELDS,
+  isRecurring,
+  normalizeRecurrence,
+  seriesFromEvent,
+  getOccurrences,
+  expandEvents,
+  resolveOccurrence,
+  occurrenceRef,
+} = require('./eventOccurrences');
+const {getGeohashRange, calculateDistance} = require('./geohash');
+const {parseCreate, parseUpdate, computeFields} = require('./schema');
+const {ROLES, PERMISSIONS, assertPermission, awardRoleBonus, syncRoleBonuses} = require('./eventRoles');
+const {RSVP_STATUS, TARGET_TYPES, targetKeyFor, promoteWaitlistsForEvent} = require('./rsvps');
+const {
+  EVENT_STATUS,
+  statusOf,
+  currentStatus,
+  withCurrentStatus,
+  scheduleFields,
+  assertTransition,
+  parseStatusFilter,
+} = require('./eventLifecycle');
+const {NOTIFICATION_TYPES, notifyUsers} = require('./notifications');
+const {
+  parseRRule,
+  formatRRule,
+  occurrenceStartFor,
+  countOccurrencesBefore,
+} = require('./recurrence');
 
 const db = admin.firestore();
 
 /**
- * Create a new event
- * HTTP endpoint: POST /createEvent
+ * Validate a recurrence argument, reporting problems as invalid-argument
+ * @param {object} recurrence - {rrule, exdates}
+ * @returns {object} Normalized recurrence
  */
-exports.createEvent = functions.https.onCall(async (data, context) => {
+function parseRecurrenceArgument(recurrence) {
   try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+    return normalizeRecurrence(recurrence);
+  } catch (error) {
+    throw new functions.https.HttpsError('invalid-argument', `Invalid recurrence: ${error.message}`);
+  }
+}
 
-    const hostId = context.auth.uid;
-    const eventId = data.id || admin.firestore().collection('events').doc().id;
-
-    // Generate geohash from coordinates
-    const geohash = encodeGeohash(data.latitude, data.longitude, 6);
-
-    const eventData = {
-      id: eventId,
-      title: data.title,
-      hostId: hostId,
-      latitude: data.latitude,
-      longitude: data.longitude,
-      geohash: geohash,
-      radiusMeters: data.radiusMeters || 60,
-      startsAt: data.startsAt ? admin.firestore.Timestamp.fromDate(new Date(data.startsAt)) : null,
-      endsAt: data.endsAt ? admin.firestore.Timestamp.fromDate(new Date(data.endsAt)) : null,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      signalStrength: 0,
-      attendeeCount: 0,
-      peopleCount: 0,
-      tags: data.tags || [],
-    };
+/**
+ * Parse the optional from/to window used to expand recurring events
+ * @param {object} data - Request data
+ * @returns {object} {from, to} (to may be null for the default window)
+ */
+function parseOccurrenceWindow(data) {
+  const from = data.from ? new Date(data.from) : new Date();
+  const to = data.to ? new Date(data.to) : null;
 
-    // Validate required fields
-    if (!eventData.title || !eventData.latitude || !eventData.longitude) {
-      throw new functions.https.HttpsError('invalid-argument', 'Title, latitude, and longitude are required');
-    }
+  if (isNaN(from.getTime()) || (to && (isNaN(to.getTime()) || to <= from))) {
+    throw new functions.https.HttpsError('invalid-argument', 'Invalid from/to window');
+  }
+  return { from, to };
+}
 
-    // Validate coordinates
-    if (eventData.latitude < -90 || eventData.latitude > 90) {
-      throw new functions.https.HttpsError('invalid-argument', 'Invalid latitude');
-    }
-    if (eventData.longitude < -180 || eventData.longitude > 180) {
-      throw new functions.https.HttpsError('invalid-argument', 'Invalid longitude');
-    }
+/**
+ * End a series just before one of its occurrences.
+ * COUNT rules keep the occurrences already used; UNTIL rules stop a second
+ * before the occurrence's original start.
+ * @param {object} eventData - Series event data
+ * @param {Date} occurrenceStart - Original start of the first occurrence to drop
+ * @returns {object} {before, after} - Rules for the truncated series and for
+ *   a series continuing from the occurrence
+ */
+function splitRule(eventData, occurrenceStart) {
+  const rule = parseRRule(eventData.recurrence.rrule);
+  const before = { ...rule };
+  const after = { ...rule };
+
+  if (rule.count) {
+    const used = countOccurrencesBefore(seriesFromEvent(eventData), occurrenceStart);
+    before.count = used;
+    after.count = rule.count - used;
+  } else {
+    before.until = new Date(occurrenceStart.getTime() - 1000);
+  }
 
-    // Create event document
-    await db.collection('events').doc(eventId).set(eventData);
+  return { before: formatRRule(before), after: formatRRule(after) };
+}
 
-    return {
-      success: true,
-      eventId: eventId,
-      event: eventData,
+/**
+ * Whether anyone has checked in to or RSVPed to an event
+ * @param {object} eventData - Event data
+ * @returns {boolean} True if deleting the event would lose attendance
+ */
+function hasAttendance(eventData) {
+  const rsvpCounts = eventData.rsvpCounts || {};
+  return (eventData.attendeeCount || 0) > 0 ||
+    ['going', 'interested', 'pending', 'waitlisted'].some(field => (rsvpCounts[field] || 0) > 0);
+}
+
+/**
+ * Tell everyone who RSVPed to or checked in to an event (or one occurrence)
+ * that it was cancelled
+ * @param {string} eventId - Event ID
+ * @param {object} eventData - Event data
+ * @param {string|null} occurrenceId - Cancelled occurrence, or null for the whole event
+ * @param {string} reason - Cancellation reason
+ * @param {string} cancelledBy - UID of the host who cancelled (not notified)
+ * @returns {Promise<number>} Users notified
+ */
+async function notifyCancellation(eventId, eventData, occurrenceId, reason, cancelledBy) {
+  let rsvpsQuery = db.collection('rsvps');
+  let signalsQuery = db.collection('signals').where('eventId', '==', eventId);
+  if (occurrenceId) {
+    rsvpsQuery = rsvpsQuery.where('targetKey', '==', targetKeyFor(TARGET_TYPES.EVENT, eventId, occurrenceId));
+    signalsQuery = signalsQuery.where('occurrenceId', '==', occurrenceId);
+  } else {
+    rsvpsQuery = rsvpsQuery
+      .where('targetType', '==', TARGET_TYPES.EVENT)
+      .where('targetId', '==', eventId);
+  }
+
+  const [rsvpsSnapshot, signalsSnapshot] = await Promise.all([
+    rsvpsQuery.select('userId', 'status').get(),
+    signalsQuery.select('userId').get(),
+  ]);
+  const userIds = [
+    ...rsvpsSnapshot.docs
+      .filter(doc => doc.data().status !== RSVP_STATUS.NOT_GOING)
+      .map(doc => doc.data().userId),
+    ...signalsSnapshot.docs.map(doc => doc.data().userId),
+  ].filter(userId => userId !== cancelledBy);
+
+  const key = `${NOTIFICATION_TYPES.EVENT_CANCELLED}_${eventId}` + (occurrenceId ? `_${occurrenceId}` : '');
+  return notifyUsers(userIds, key, {
+    type: NOTIFICATION_TYPES.EVENT_CANCELLED,
+    eventId: eventId,
+    occurrenceId: occurrenceId,
+    title: `${eventData.title} has been cancelled`,
+    body: reason,
+  });
+}
+
+/**
+ * Look up an occurrence of a recurring event for updateEvent/deleteEvent
+ * @param {object} eventData - Series event data
+ * @param {string} occurrenceId - Occurrence ID
+ * @returns {Promise<object>} Occurrence view
+ */
+async function requireOccurrence(eventData, occurrenceId) {
+  if (!isRecurring(eventData)) {
+    throw new functions.https.HttpsError('invalid-argument', 'Event does not repeat');
+  }
+  if (!occurrenceId) {
+    throw new functions.https.HttpsError('invalid-argument', 'occurrenceId is required for this scope');
+  }
+
+  const occurrence = await resolveOccurrence(eventData, occurrenceId);
+  if (!occurrence) {
+    throw new functions.https.HttpsError('not-found', 'Occurrence not found',
+      { code: 'OCCURRENCE_NOT_FOUND' });
+  }
+  return occurrence;
+}
+
+/**
+ * Split a series at an occurrence: the original event stops before it and a
+ * new event, carrying the update, continues from it
+ * @param {string} eventId - Series event ID
+ * @param {object} eventData - Series event data
+ * @param {object} occurrence - First occurrence of the new series
+ * @param {object} updateData - Changes for the new series
+ * @returns {Promise<object>} Callable response
+ */
+async function splitSeries(eventId, eventData, occurrence, updateData) {
+  const occurrenceStart = occurrenceStartFor(occurrence.occurrenceId);
+  const rules = splitRule(eventData, occurrenceStart);
+  const newEventId = db.collection('events').doc().id;
+
+  const recurrence = updateData.recurrence ?
+    parseRecurrenceArgument(updateData.recurrence) :
+    {
+      ...eventData.recurrence,
+      rrule: rules.after,
+      exdates: (eventData.recurrence.exdates || []).filter(id => id >= occurrence.occurrenceId),
     };
-  } catch (error) {
-    console.error('Error creating event:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to create event');
+
+  const newEvent = {
+    ...eventData,
+    ...updateData,
+    id: newEventId,
+    startsAt: updateData.startsAt || admin.firestore.Timestamp.fromDate(occurrenceStart),
+    endsAt: updateData.endsAt || occurrence.endsAt,
+    recurrence: recurrence,
+    splitFromEventId: eventId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    signalStrength: 0,
+    attendeeCount: 0,
+    peopleCount: 0,
+    rsvpCounts: { going: 0, interested: 0, notGoing: 0 },
+  };
+  delete newEvent.forecast;
+  if (statusOf(eventData) !== EVENT_STATUS.DRAFT) {
+    Object.assign(newEvent, scheduleFields(newEvent));
+  }
+
+  const batch = db.batch();
+  batch.update(db.collection('events').doc(eventId), {
+    'recurrence.rrule': rules.before,
+    'updatedAt': admin.firestore.FieldValue.serverTimestamp(),
+  });
+  batch.set(db.collection('events').doc(newEventId), newEvent);
+  await batch.commit();
+
+  const newEventDoc = await db.collection('events').doc(newEventId).get();
+
+  return {
+    success: true,
+    event: newEventDoc.data(),
+    splitFromEventId: eventId,
+  };
+}
+
+/**
+ * Create a new event
+ * HTTP endpoint: POST /createEvent
+ */
+exports.createEvent = callable('createEvent', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const hostId = context.auth.uid;
+  const eventId = db.collection('events').doc().id;
+
+  // Only declared fields are accepted; the ID, counters, ownership and status are set here
+  const fields = parseCreate('events', data);
+
+  const eventData = {
+    radiusMeters: 60,
+    startsAt: null,
+    endsAt: null,
+    tags: [],
+    venueType: null,
+    // Attendance limits; "going" RSVPs beyond capacity are waitlisted
+    capacity: null,
+    requiresApproval: false,
+    ...fields,
+    ...computeFields('events', {}, fields),
+    id: eventId,
+    hostId: hostId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    signalStrength: 0,
+    attendeeCount: 0,
+    peopleCount: 0,
+    rsvpCounts: { going: 0, interested: 0, notGoing: 0 },
+    recurrence: null,
+    // Who can see the event; invitedUserIds is managed by the invitation callables
+    visibility: parseVisibility(fields.visibility),
+    invitedUserIds: [],
+    // Who runs the event; co-hosts and door staff are added with addCoHost
+    roles: { [hostId]: ROLES.OWNER },
+  };
+
+  // Recurring events repeat the startsAt/endsAt slot according to the rule
+  if (fields.recurrence) {
+    if (!eventData.startsAt) {
+      throw new functions.https.HttpsError('invalid-argument', 'Recurring events require startsAt');
+    }
+    eventData.recurrence = parseRecurrenceArgument(fields.recurrence);
   }
+
+  // Events start out as drafts or published; after that the schedule moves them along
+  Object.assign(eventData, fields.status === EVENT_STATUS.DRAFT ?
+    { status: EVENT_STATUS.DRAFT, nextStatusAt: null } :
+    scheduleFields(eventData));
+
+  // Create event document
+  await db.collection('events').doc(eventId).set(eventData);
+
+  return {
+    success: true,
+    eventId: eventId,
+    event: eventData,
+  };
 });
 
 /**
  * Update event data
  * HTTP endpoint: PUT /updateEvent
  */
-exports.updateEvent = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.updateEvent = callable('updateEvent', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const userId = context.auth.uid;
-    const eventId = data.id;
+  const userId = context.auth.uid;
+  const eventId = data.id;
 
-    if (!eventId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
-    }
+  if (!eventId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
+  }
 
-    // Check if user is the host of the event
-    const eventDoc = await db.collection('events').doc(eventId).get();
-    if (!eventDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Event not found');
-    }
+  // Check the caller's role on the event
+  const eventDoc = await db.collection('events').doc(eventId).get();
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Event not found',
+      { code: 'EVENT_NOT_FOUND' });
+  }
+
+  // Owners and co-hosts can edit the event
+  const eventData = eventDoc.data();
+  assertPermission(eventData, userId, PERMISSIONS.EDIT, 'Only the event hosts can update the event');
+  if (statusOf(eventData) === EVENT_STATUS.CANCELLED) {
+    throw new functions.https.HttpsError('failed-precondition', 'Cancelled events cannot be edited',
+      { code: 'EVENT_CANCELLED' });
+  }
+
+  // Recurring events can be edited for the whole series (default), a single
+  // occurrence, or an occurrence and all that follow it
+  const scope = data.scope || 'series';
+  if (!['series', 'occurrence', 'following'].includes(scope)) {
+    throw new functions.https.HttpsError('invalid-argument', 'scope must be series, occurrence or following');
+  }
 
-    const eventData = eventDoc.data();
-    if (eventData.hostId !== userId) {
-      throw new functions.https.HttpsError('permission-denied', 'Only the event host can update the event');
+  // Only declared fields can be changed; moving the event recomputes its geohash
+  const changes = parseUpdate('events', data, ['id', 'scope', 'occurrenceId']);
+  const updateData = {
+    ...changes,
+    ...computeFields('events', eventData, changes),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  if (scope === 'occurrence') {
+    const occurrence = await requireOccurrence(eventData, data.occurrenceId);
+
+    // Only a few fields can differ from the series
+    if (Object.keys(changes).some(field => !OCCURRENCE_OVERRIDE_FIELDS.includes(field))) {
+      throw new functions.https.HttpsError('invalid-argument',
+        `Only ${OCCURRENCE_OVERRIDE_FIELDS.join(', ')} can be changed for one occurrence`);
     }
+    const overrides = changes;
 
-    const updateData = {
-      ...data,
+    await occurrenceRef(eventId, occurrence.occurrenceId).set({
+      occurrenceId: occurrence.occurrenceId,
+      overrides: overrides,
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    return {
+      success: true,
+      event: { ...occurrence, ...overrides },
     };
+  }
 
-    // Remove fields that shouldn't be updated
-    delete updateData.id;
-    delete updateData.createdAt;
-    delete updateData.hostId;
+  if (scope === 'following') {
+    const occurrence = await requireOccurrence(eventData, data.occurrenceId);
+    const occurrenceStart = occurrenceStartFor(occurrence.occurrenceId);
 
-    // Convert dates if provided
-    if (updateData.startsAt) {
-      updateData.startsAt = admin.firestore.Timestamp.fromDate(new Date(updateData.startsAt));
-    }
-    if (updateData.endsAt) {
-      updateData.endsAt = admin.firestore.Timestamp.fromDate(new Date(updateData.endsAt));
+    // Editing "this and following" from the first occurrence edits the series
+    if (countOccurrencesBefore(seriesFromEvent(eventData), occurrenceStart) > 0) {
+      return await splitSeries(eventId, eventData, occurrence, updateData);
     }
+  }
 
-    // Update event document
-    await db.collection('events').doc(eventId).update(updateData);
+  if (updateData.recurrence) {
+    updateData.recurrence = parseRecurrenceArgument(updateData.recurrence);
+  }
+  const startsAt = updateData.startsAt !== undefined ? updateData.startsAt : eventData.startsAt;
+  const recurrence = updateData.recurrence !== undefined ? updateData.recurrence : eventData.recurrence;
+  if (recurrence && !startsAt) {
+    throw new functions.https.HttpsError('invalid-argument', 'Recurring events require startsAt');
+  }
 
-    // Get updated event data
-    const updatedEventDoc = await db.collection('events').doc(eventId).get();
-    const updatedEvent = updatedEventDoc.data();
+  // Update event document
+  await db.collection('events').doc(eventId).update(updateData);
 
-    return {
-      success: true,
-      event: updatedEvent,
-    };
-  } catch (error) {
-    console.error('Error updating event:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to update event');
-  }
+  // Get updated event data
+  const updatedEventDoc = await db.collection('events').doc(eventId).get();
+  const updatedEvent = updatedEventDoc.data();
+
+  return {
+    success: true,
+    event: updatedEvent,
+  };
 });
 
 /**
  * Delete event
  * HTTP endpoint: DELETE /deleteEvent
  */
-exports.deleteEvent = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const userId = context.auth.uid;
-    const eventId = data.id;
+exports.deleteEvent = callable('deleteEvent', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    if (!eventId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
-    }
+  const userId = context.auth.uid;
+  const eventId = data.id;
 
-    // Check if user is the host of the event
-    const eventDoc = await db.collection('events').doc(eventId).get();
-    if (!eventDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Event not found');
-    }
+  if (!eventId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
+  }
 
-    const eventData = eventDoc.data();
-    if (eventData.hostId !== userId) {
-      throw new functions.https.HttpsError('permission-denied', 'Only the event host can delete the event');
-    }
+  // Check the caller's role on the event
+  const eventDoc = await db.collection('events').doc(eventId).get();
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Event not found',
+      { code: 'EVENT_NOT_FOUND' });
+  }
 
-    // Delete event document
-    await db.collection('events').doc(eventId).delete();
+  // Co-hosts can remove occurrences; only the owner can delete the whole event
+  const eventData = eventDoc.data();
+  const scope = data.scope || 'series';
+  assertPermission(eventData, userId, scope === 'series' ? PERMISSIONS.DELETE : PERMISSIONS.EDIT,
+    'Only the event owner can delete the event');
+
+  // Recurring events can drop a single occurrence or end the series at one
+  if (scope === 'occurrence') {
+    const occurrence = await requireOccurrence(eventData, data.occurrenceId);
+    await db.collection('events').doc(eventId).update({
+      'recurrence.exdates': admin.firestore.FieldValue.arrayUnion(occurrence.occurrenceId),
+      'updatedAt': admin.firestore.FieldValue.serverTimestamp(),
+    });
 
     return {
       success: true,
-      message: 'Event deleted successfully',
+      message: 'Occurrence deleted successfully',
     };
-  } catch (error) {
-    console.error('Error deleting event:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to delete event');
   }
+
+  if (scope === 'following') {
+    const occurrence = await requireOccurrence(eventData, data.occurrenceId);
+    const occurrenceStart = occurrenceStartFor(occurrence.occurrenceId);
+
+    // Deleting from the first occurrence on deletes the whole series
+    if (countOccurrencesBefore(seriesFromEvent(eventData), occurrenceStart) > 0) {
+      await db.collection('events').doc(eventId).update({
+        'recurrence.rrule': splitRule(eventData, occurrenceStart).before,
+        'updatedAt': admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return {
+        success: true,
+        message: 'Following occurrences deleted successfully',
+      };
+    }
+  } else if (scope !== 'series') {
+    throw new functions.https.HttpsError('invalid-argument', 'scope must be series, occurrence or following');
+  }
+
+  // Deleting also deletes signals and RSVPs; published events people signed up for are cancelled instead
+  if (statusOf(eventData) !== EVENT_STATUS.DRAFT && hasAttendance(eventData)) {
+    throw new functions.https.HttpsError('failed-precondition',
+      'Event has attendees or RSVPs; cancel it instead', { code: 'EVENT_HAS_ATTENDANCE' });
+  }
+
+  // Delete event document
+  await db.collection('events').doc(eventId).delete();
+
+  return {
+    success: true,
+    message: 'Event deleted successfully',
+  };
 });
 
 /**
- * Get event data
- * HTTP endpoint: GET /getEvent
+ * Publish a draft event
+ * HTTP endpoint: POST /publishEvent
  */
-exports.getEvent = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.publishEvent = callable('publishEvent', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const eventId = data.id;
+  const eventId = data.id;
+  if (!eventId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
+  }
 
-    if (!eventId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
-    }
+  const eventDoc = await db.collection('events').doc(eventId).get();
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Event not found',
+      { code: 'EVENT_NOT_FOUND' });
+  }
 
-    const eventDoc = await db.collection('events').doc(eventId).get();
+  // Owners and co-hosts can publish; the schedule decides whether it is scheduled or live
+  const eventData = eventDoc.data();
+  assertPermission(eventData, context.auth.uid, PERMISSIONS.EDIT, 'Only the event hosts can publish the event');
+  const fields = scheduleFields({ ...eventData, status: EVENT_STATUS.SCHEDULED });
+  assertTransition(statusOf(eventData), fields.status);
 
-    if (!eventDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Event not found');
-    }
+  await db.collection('events').doc(eventId).update({
+    ...fields,
+    publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
 
-    return {
-      success: true,
-      event: eventDoc.data(),
-    };
-  } catch (error) {
-    console.error('Error getting event:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to get event');
+  return {
+    success: true,
+    status: fields.status,
+  };
+});
+
+/**
+ * Cancel an event, or one occurrence of a recurring event, and notify
+ * everyone who RSVPed or checked in
+ * HTTP endpoint: POST /cancelEvent
+ *
+ * Arguments: id, reason (required, up to 500 characters) and occurrenceId to
+ * cancel a single occurrence. Cancelled events stay visible with their reason.
+ */
+exports.cancelEvent = callable('cancelEvent', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const userId = context.auth.uid;
+  const eventId = data.id;
+  const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+
+  if (!eventId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
+  }
+  if (!reason || reason.length > 500) {
+    throw new functions.https.HttpsError('invalid-argument', 'reason is required (up to 500 characters)');
+  }
+
+  const eventDoc = await db.collection('events').doc(eventId).get();
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Event not found',
+      { code: 'EVENT_NOT_FOUND' });
+  }
+
+  // Co-hosts can cancel occurrences; only the owner can cancel the whole event
+  const eventData = eventDoc.data();
+  const occurrenceId = data.occurrenceId || null;
+  assertPermission(eventData, userId, occurrenceId ? PERMISSIONS.EDIT : PERMISSIONS.DELETE,
+    'Only the event owner can cancel the event');
+
+  const cancellation = {
+    status: EVENT_STATUS.CANCELLED,
+    cancellationReason: reason,
+    cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+    cancelledBy: userId,
+  };
+
+  // Occurrences can only be cancelled while the series itself could be
+  assertTransition(currentStatus(eventData), EVENT_STATUS.CANCELLED);
+  if (occurrenceId) {
+    const occurrence = await requireOccurrence(eventData, occurrenceId);
+    assertTransition(occurrence.status, EVENT_STATUS.CANCELLED);
+
+    await occurrenceRef(eventId, occurrence.occurrenceId).set({
+      occurrenceId: occurrence.occurrenceId,
+      ...cancellation,
+    }, { merge: true });
+  } else {
+    await db.collection('events').doc(eventId).update({
+      ...cancellation,
+      nextStatusAt: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
   }
+
+  const notifiedCount = await notifyCancellation(eventId, eventData, occurrenceId, reason, userId);
+  console.log(`Event ${eventId}${occurrenceId ? ` (${occurrenceId})` : ''} cancelled; notified ${notifiedCount} users`);
+
+  return {
+    success: true,
+    status: EVENT_STATUS.CANCELLED,
+    notifiedCount: notifiedCount,
+  };
 });
 
 /**
- * Get events in a region (legacy bounding box approach)
- * HTTP endpoint: GET /getEventsInRegion
+ * Get event data
+ * HTTP endpoint: GET /getEvent
  */
-exports.getEventsInRegion = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.getEvent = callable('getEvent', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const eventId = data.id;
+
+  if (!eventId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
+  }
+
+  const eventDoc = await db.collection('events').doc(eventId).get();
 
-    const { latitude, longitude, radiusKm = 10 } = data;
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Event not found',
+      { code: 'EVENT_NOT_FOUND' });
+  }
 
-    if (!latitude || !longitude) {
-      throw new functions.https.HttpsError('invalid-argument', 'Latitude and longitude are required');
+  // Hidden events are reported as missing
+  await assertCanViewEvent(eventDoc.data(), context.auth.uid);
+
+  // Recurring events return the requested occurrence, or the current/next one
+  let event = withCurrentStatus(eventDoc.data());
+  let upcomingOccurrences;
+  if (isRecurring(event)) {
+    const series = event;
+    event = await resolveOccurrence(series, data.occurrenceId || null);
+    if (!event && data.occurrenceId) {
+      throw new functions.https.HttpsError('not-found', 'Occurrence not found',
+        { code: 'OCCURRENCE_NOT_FOUND' });
     }
+    event = event || series;
+
+    upcomingOccurrences = (await getOccurrences(series, {
+      from: new Date(),
+      to: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000),
+      limit: 5,
+    })).map(occurrence => ({
+      occurrenceId: occurrence.occurrenceId,
+      startsAt: occurrence.startsAt,
+      endsAt: occurrence.endsAt,
+      attendeeCount: occurrence.attendeeCount,
+      status: occurrence.status,
+    }));
+  }
 
-    // Convert radius from km to meters
-    const radiusMeters = radiusKm * 1000;
+  // Upcoming events get a fresh turnout forecast; past events keep their last one
+  const forecast = await getForecastForUserEvent(event);
 
-    // Calculate bounding box for efficient querying
-    const latRange = radiusMeters / 111000; // Rough conversion: 1 degree ≈ 111km
-    const lngRange = radiusMeters / (111000 * Math.cos(latitude * Math.PI / 180));
+  return {
+    success: true,
+    event: {...event, forecast: forecast || event.forecast || null},
+    upcomingOccurrences: upcomingOccurrences,
+  };
+});
 
-    const eventsSnapshot = await db.collection('events')
-      .where('latitude', '>=', latitude - latRange)
-      .where('latitude', '<=', latitude + latRange)
-      .where('longitude', '>=', longitude - lngRange)
-      .where('longitude', '<=', longitude + lngRange)
-      .orderBy('createdAt', 'desc')
-      .limit(50)
-      .get();
+/**
+ * Get events in a region (legacy bounding box approach), newest first
+ * Pages: pageSize (default 25, max 100) events within the radius, and pageToken;
+ * recurring events contribute one entry per occurrence in the window
+ * HTTP endpoint: GET /getEventsInRegion
+ */
+exports.getEventsInRegion = callable('getEventsInRegion', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const events = [];
-    eventsSnapshot.forEach(doc => {
-      const eventData = doc.data();
-      // Calculate exact distance for filtering
-      const distance = calculateDistance(latitude, longitude, eventData.latitude, eventData.longitude);
-      if (distance <= radiusKm) {
-        events.push(eventData);
-      }
-    });
+  const { latitude, longitude, radiusKm = 10 } = data;
 
-    return {
-      success: true,
-      events: events,
-    };
-  } catch (error) {
-    console.error('Error getting events in region:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to get events in region');
+  if (!latitude || !longitude) {
+    throw new functions.https.HttpsError('invalid-argument', 'Latitude and longitude are required');
   }
+  const { from, to } = parseOccurrenceWindow(data);
+  const statuses = parseStatusFilter(data.statuses);
+
+  // Convert radius from km to meters
+  const radiusMeters = radiusKm * 1000;
+
+  // Calculate bounding box for efficient querying
+  const latRange = radiusMeters / 111000; // Rough conversion: 1 degree ≈ 111km
+  const lngRange = radiusMeters / (111000 * Math.cos(latitude * Math.PI / 180));
+
+  const regionQuery = db.collection('events')
+    .where('latitude', '>=', latitude - latRange)
+    .where('latitude', '<=', latitude + latRange)
+    .where('longitude', '>=', longitude - lngRange)
+    .where('longitude', '<=', longitude + lngRange);
+
+  // The box corners, hidden events and occurrences outside the window or
+  // statuses are dropped after reading, so pages are filled from further batches
+  const { items, nextPageToken } = await fetchFilteredPage(regionQuery, [['createdAt', 'desc']], {
+    pageToken: data.pageToken,
+    pageSize: parsePageSize(data.pageSize),
+  }, async docs => {
+    const events = docs.map(doc => doc.data());
+    const inRadius = events.filter(eventData =>
+      calculateDistance(latitude, longitude, eventData.latitude, eventData.longitude) <= radiusKm);
+    const visibleEvents = new Set(await filterVisibleEvents(inRadius, context.auth.uid));
+
+    return Promise.all(events.map(async eventData => {
+      if (!visibleEvents.has(eventData)) return null;
+
+      // Recurring events are listed once per occurrence in the window
+      const occurrences = (await expandEvents([eventData], from, to))
+        .filter(event => statuses.includes(event.status));
+      return occurrences.length > 0 ? occurrences : null;
+    }));
+  });
+
+  return {
+    success: true,
+    events: items.flat(),
+    nextPageToken: nextPageToken,
+  };
 });
 
 /**
- * Get nearby events using geohash-based queries
+ * Get nearby events using geohash-based queries, nearest first
  * This is more efficient than the bounding box approach for spatial queries
+ * Pages: pageSize (default 25, max 100) and pageToken, over the whole area
+ * sorted in memory
  * HTTP endpoint: POST /getNearbyEvents
  */
-exports.getNearbyEvents = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.getNearbyEvents = callable('getNearbyEvents', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const { latitude, longitude, radiusKm = 10 } = data;
+  const { latitude, longitude, radiusKm = 10 } = data;
 
-    if (!latitude || !longitude) {
-      throw new functions.https.HttpsError('invalid-argument', 'Latitude and longitude are required');
-    }
-
-    // Get geohash ranges that cover the search area
-    const geohashRanges = getGeohashRange(latitude, longitude, radiusKm);
+  if (!latitude || !longitude) {
+    throw new functions.https.HttpsError('invalid-argument', 'Latitude and longitude are required');
+  }
+  const { from, to } = parseOccurrenceWindow(data);
+  const statuses = parseStatusFilter(data.statuses);
 
-    console.log(`Searching for events near (${latitude}, ${longitude}) within ${radiusKm}km using geohashes: ${geohashRanges.join(', ')}`);
+  // Get geohash ranges that cover the search area
+  const geohashRanges = getGeohashRange(latitude, longitude, radiusKm);
 
-    // Query events using geohash prefixes
-    const eventPromises = geohashRanges.map(async (geohashPrefix) => {
-      const snapshot = await db.collection('events')
-        .where('geohash', '>=', geohashPrefix)
-        .where('geohash', '<=', geohashPrefix + '\uf8ff')
-        .get();
-      return snapshot.docs.map(doc => doc.data());
-    });
+  console.log(`Searching for events near (${latitude}, ${longitude}) within ${radiusKm}km using geohashes: ${geohashRanges.join(', ')}`);
 
-    const eventArrays = await Promise.all(eventPromises);
-    const allEvents = eventArrays.flat();
-
-    // Remove duplicates (events might appear in multiple geohash ranges)
-    const uniqueEvents = Array.from(
-      new Map(allEvents.map(event => [event.id, event])).values()
-    );
-
-    // Filter by exact distance and add distance field
-    const eventsWithDistance = uniqueEvents
-      .map(event => {
-        const distance = calculateDistance(
-          latitude,
-          longitude,
-          event.latitude,
-          event.longitude
-        );
-        return { ...event, distance };
-      })
-      .filter(event => event.distance <= radiusKm)
-      .sort((a, b) => a.distance - b.distance); // Sort by distance
-
-    console.log(`Found ${eventsWithDistance.length} events within ${radiusKm}km`);
+  // Query events using geohash prefixes
+  const eventPromises = geohashRanges.map(async (geohashPrefix) => {
+    const snapshot = await db.collection('events')
+      .where('geohash', '>=', geohashPrefix)
+      .where('geohash', '<=', geohashPrefix + '\uf8ff')
+      .get();
+    return snapshot.docs.map(doc => doc.data());
+  });
 
-    return {
-      success: true,
-      events: eventsWithDistance,
-      count: eventsWithDistance.length,
-    };
-  } catch (error) {
-    console.error('Error getting nearby events:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to get nearby events');
-  }
+  const eventArrays = await Promise.all(eventPromises);
+  const allEvents = eventArrays.flat();
+
+  // Remove duplicates (events might appear in multiple geohash ranges)
+  const uniqueEvents = Array.from(
+    new Map(allEvents.map(event => [event.id, event])).values()
+  );
+
+  // Filter by exact distance and add distance field
+  const eventsWithDistance = uniqueEvents
+    .map(event => {
+      const distance = calculateDistance(
+        latitude,
+        longitude,
+        event.latitude,
+        event.longitude
+      );
+      return { ...event, distance };
+    })
+    .filter(event => event.distance <= radiusKm);
+
+  // Only events the user may see, in the requested statuses; recurring events
+  // are listed once per occurrence
+  const visibleEvents = await filterVisibleEvents(eventsWithDistance, context.auth.uid);
+  const expandedEvents = (await expandEvents(visibleEvents, from, to))
+    .filter(event => statuses.includes(event.status));
+
+  // Prefix queries return events in geohash order: merge them by distance,
+  // then by event and occurrence so equally distant items keep their order
+  const page = paginateSorted(
+    expandedEvents,
+    event => [event.distance, event.id, event.occurrenceId || ''],
+    { pageToken: data.pageToken, pageSize: parsePageSize(data.pageSize) }
+  );
+
+  console.log(`Found ${expandedEvents.length} events within ${radiusKm}km`);
+
+  return {
+    success: true,
+    events: page.items,
+    count: page.items.length,
+    nextPageToken: page.nextPageToken,
+  };
 });
 
 /**
@@ -344,19 +802,14 @@ exports.onEventCreate = functionsV1.firestore
 
       console.log(`New event created: ${eventId} by ${eventData.hostId}`);
 
-      // Award points to the event host
-      await db.collection('points').add({
-        userId: eventData.hostId,
-        points: 50, // Event creation bonus
-        reason: 'Event creation bonus',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
+      // Splitting a recurring series creates a new event; it is not a new creation
+      if (eventData.splitFromEventId) {
+        console.log(`Event ${eventId} continues series ${eventData.splitFromEventId}`);
+        return;
+      }
 
-      // Update host's aura points
-      await db.collection('users').doc(eventData.hostId).update({
-        auraPoints: admin.firestore.FieldValue.increment(50),
-      });
+      // Award the owner's role bonus to the event host (once per event, even on retries)
+      await awardRoleBonus(eventId, eventData.hostId, ROLES.OWNER);
 
       console.log(`Event ${eventId} created and host awarded bonus points`);
     } catch (error) {
@@ -386,6 +839,29 @@ exports.onEventUpdate = functionsV1.firestore
       if (beforeData.attendeeCount !== afterData.attendeeCount) {
         console.log(`Event ${eventId} attendee count changed from ${beforeData.attendeeCount} to ${afterData.attendeeCount}`);
       }
+
+      // Co-hosts and door staff earn their role bonus while they hold the role
+      if (JSON.stringify(beforeData.roles || {}) !== JSON.stringify(afterData.roles || {})) {
+        await syncRoleBonuses(eventId, beforeData.roles || {}, afterData.roles || {});
+      }
+
+      // Rescheduling can move the event between scheduled, live and ended
+      const scheduleChanged = ['startsAt', 'endsAt', 'recurrence'].some(field =>
+        JSON.stringify(beforeData[field] || null) !== JSON.stringify(afterData[field] || null));
+      const status = statusOf(afterData);
+      if (scheduleChanged && status !== EVENT_STATUS.DRAFT && status !== EVENT_STATUS.CANCELLED) {
+        const fields = scheduleFields(afterData);
+        await change.after.ref.update(fields);
+        console.log(`Event ${eventId} rescheduled; status is now ${fields.status}`);
+      }
+
+      // More seats (or no limit any more): let people in from the waitlist
+      const capacityRaised = beforeData.capacity &&
+        (!afterData.capacity || afterData.capacity > beforeData.capacity);
+      if (capacityRaised) {
+        const promoted = await promoteWaitlistsForEvent(eventId);
+        console.log(`Event ${eventId} capacity raised; promoted ${promoted} waitlisted RSVPs`);
+      }
     } catch (error) {
       console.error('Error in onEventUpdate trigger:', error);
     }
@@ -416,8 +892,76 @@ exports.onEventDelete = functionsV1.firestore
 
       await batch.commit();
 
+      // Clean up RSVPs to the event
+      const rsvpsSnapshot = await db.collection('rsvps')
+        .where('targetType', '==', 'event')
+        .where('targetId', '==', eventId)
+        .get();
+      for (let i = 0; i < rsvpsSnapshot.docs.length; i += 500) {
+        const rsvpsBatch = db.batch();
+        rsvpsSnapshot.docs.slice(i, i + 500).forEach(doc => {
+          rsvpsBatch.delete(doc.ref);
+        });
+        await rsvpsBatch.commit();
+      }
+
+      // Clean up invitations and share links
+      const [invitesSnapshot, tokensSnapshot] = await Promise.all([
+        db.collection('event_invites').where('eventId', '==', eventId).get(),
+        db.collection('event_share_tokens').where('eventId', '==', eventId).get(),
+      ]);
+      const accessDocs = [...invitesSnapshot.docs, ...tokensSnapshot.docs];
+      for (let i = 0; i < accessDocs.length; i += 500) {
+        const accessBatch = db.batch();
+        accessDocs.slice(i, i + 500).forEach(doc => {
+          accessBatch.delete(doc.ref);
+        });
+        await accessBatch.commit();
+      }
+
+      // Clean up per-occurrence data of recurring events
+      const occurrencesSnapshot = await db.collection('events').doc(eventId)
+        .collection('occurrences')
+        .get();
+      if (!occurrencesSnapshot.empty) {
+        const occurrencesBatch = db.batch();
+        occurrencesSnapshot.docs.forEach(doc => {
+          occurrencesBatch.delete(doc.ref);
+        });
+        await occurrencesBatch.commit();
+      }
+
       console.log(`Cleaned up signals for deleted event: ${eventId}`);
     } catch (error) {
       console.error('Error in onEventDelete trigger:', error);
     }
   });
+
+/**
+ * Scheduled: Move events between scheduled, live and ended as their times pass
+ */
+exports.advanceEventStatuses = functionsV1.pubsub
+  .schedule('every 5 minutes')
+  .onRun(async () => {
+    try {
+      const now = Date.now();
+      const snapshot = await db.collection('events')
+        .where('nextStatusAt', '<=', admin.firestore.Timestamp.fromMillis(now))
+        .orderBy('nextStatusAt', 'asc')
+        .limit(500)
+        .get();
+
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => {
+        batch.update(doc.ref, {
+          ...scheduleFields(doc.data(), now),
+          statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      await batch.commit();
+
+      console.log(`Advanced the status of ${snapshot.size} events`);
+    } catch (error) {
+      console.error('Error advancing event statuses:', error);
+    }
+  });
@@ -7,6 +7,11 @@
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
 const crypto = require("crypto");
+const {
+  UNRESOLVED_LOCATIONS_COLLECTION,
+  geocodeFieldsForEvent,
+  unresolvedLocationEntry,
+} = require("./campusGazetteer");
 
 const db = admin.firestore();
 
@@ -200,12 +205,39 @@ async function writeOfficialRaw(calendarId, payload) {
       );
 }
 
+/**
+ * Queue a location the gazetteer could not resolve for manual mapping
+ * @param {object} normalized - Normalized event
+ */
+async function queueUnresolvedLocation(normalized) {
+  const entry = unresolvedLocationEntry(normalized);
+  if (!entry) return;
+
+  await db
+      .collection(UNRESOLVED_LOCATIONS_COLLECTION)
+      .doc(entry.id)
+      .set(
+          {
+            ...entry.data,
+            occurrences: admin.firestore.FieldValue.increment(1),
+            lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          {merge: true},
+      );
+}
+
 /**
  * Write normalized event to Firestore
+ * Adds latitude/longitude/geohash when the location matches a campus building
  */
 async function writeNormalizedEvent(normalized, confidenceOverride) {
   const id = canonicalIdForEvent(normalized);
   const now = admin.firestore.FieldValue.serverTimestamp();
+  const geocoded = geocodeFieldsForEvent(normalized);
+
+  if (!geocoded) {
+    await queueUnresolvedLocation(normalized);
+  }
 
   await db
       .collection("campus_events_live")
@@ -213,6 +245,7 @@ async function writeNormalizedEvent(normalized, confidenceOverride) {
       .set(
           {
             ...normalized,
+            ...geocoded,
             confidence:
           confidenceOverride ??
           (normalized.sourceType === "instagram" ? 0.5 : 1.0),
@@ -1,10 +1,23 @@
 /**
  * Geohash Utilities
  * Provides encoding, decoding, and range calculation for spatial queries
+ *
+ * Radius and bounding box queries are answered with a set of geohash
+ * prefixes, one Firestore range query each. The set is built by starting
+ * from the whole world and repeatedly splitting the prefix whose split saves
+ * the most area outside the query region per extra query, while the set
+ * stays within the query cap. Prefixes can therefore have different
+ * lengths: whole cells inside the region stay short, cells on its edge are
+ * split up to the precision documents store.
  */
 
 // Base32 character set for geohash encoding
 const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+// Precision of the geohash stored on events and signals (~1.2km x 0.6km cells)
+const GEOHASH_PRECISION = 6;
+// Prefixes (Firestore queries) a radius or bounding box query uses at most
+const DEFAULT_MAX_PREFIXES = 12;
+const EARTH_RADIUS_KM = 6371;
 
 /**
  * Encode latitude and longitude into a geohash string
@@ -59,11 +72,11 @@ function encodeGeohash(latitude, longitude, precision = 6) {
 }
 
 /**
- * Decode a geohash string into latitude and longitude
- * @param {string} geohash - Geohash string
- * @returns {object} Object with lat, lon, and error margins
+ * Decode a geohash string into the bounds of its cell
+ * @param {string} geohash - Geohash string ('' is the whole world)
+ * @returns {object} {latMin, latMax, lonMin, lonMax}
  */
-function decodeGeohash(geohash) {
+function decodeBounds(geohash) {
   let evenBit = true;
   let latMin = -90;
   let latMax = 90;
@@ -98,6 +111,16 @@ function decodeGeohash(geohash) {
     }
   }
 
+  return {latMin, latMax, lonMin, lonMax};
+}
+
+/**
+ * Decode a geohash string into latitude and longitude
+ * @param {string} geohash - Geohash string
+ * @returns {object} Object with lat, lon, and error margins
+ */
+function decodeGeohash(geohash) {
+  const {latMin, latMax, lonMin, lonMax} = decodeBounds(geohash);
   const lat = (latMin + latMax) / 2;
   const lon = (lonMin + lonMax) / 2;
   const latError = latMax - lat;
@@ -110,34 +133,183 @@ function decodeGeohash(geohash) {
   };
 }
 
+/**
+ * Degrees between two longitudes, going the short way round
+ * @param {number} a - Longitude
+ * @param {number} b - Longitude
+ * @returns {number} Difference in degrees (0-180)
+ */
+function longitudeDelta(a, b) {
+  return Math.abs((((a - b) % 360) + 540) % 360 - 180);
+}
+
+/**
+ * Shortest distance from a point to a geohash cell
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {object} bounds - Cell bounds from decodeBounds
+ * @returns {number} Distance in kilometers (0 inside the cell)
+ */
+function distanceToBounds(latitude, longitude, bounds) {
+  const {latMin, latMax, lonMin, lonMax} = bounds;
+  const clampLat = (lat) => Math.min(Math.max(lat, latMin), latMax);
+
+  // Within the cell's longitudes the nearest point is due north or south
+  if (longitude >= lonMin && longitude <= lonMax) {
+    return toRadians(Math.abs(latitude - clampLat(latitude))) * EARTH_RADIUS_KM;
+  }
+
+  // Otherwise it lies on the nearer meridian edge: at the latitude closest to
+  // the point on that meridian's great circle, or at one of the edge's ends
+  const edgeLon = longitudeDelta(longitude, lonMin) <= longitudeDelta(longitude, lonMax) ?
+    lonMin :
+    lonMax;
+  const delta = toRadians(longitudeDelta(longitude, edgeLon));
+  const closestLat = delta < Math.PI / 2 ?
+    Math.atan(Math.tan(toRadians(latitude)) / Math.cos(delta)) * 180 / Math.PI :
+    Math.sign(latitude) * 90;
+
+  return Math.min(...[clampLat(closestLat), latMin, latMax].map((lat) =>
+    calculateDistance(latitude, longitude, lat, edgeLon)));
+}
+
+/**
+ * Query region for a circle
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} radiusKm - Radius in kilometers
+ * @returns {object} Region with intersects(bounds) and contains(bounds)
+ */
+function circleRegion(latitude, longitude, radiusKm) {
+  return {
+    intersects: (bounds) => distanceToBounds(latitude, longitude, bounds) <= radiusKm,
+    contains: (bounds) => {
+      if (radiusKm >= Math.PI * EARTH_RADIUS_KM) return true;
+
+      // The farthest point of a cell is a corner, unless the cell holds the antipode
+      const antipodeLon = longitude > 0 ? longitude - 180 : longitude + 180;
+      if (-latitude >= bounds.latMin && -latitude <= bounds.latMax &&
+          antipodeLon >= bounds.lonMin && antipodeLon <= bounds.lonMax) {
+        return false;
+      }
+      return [bounds.latMin, bounds.latMax].every((lat) =>
+        [bounds.lonMin, bounds.lonMax].every((lon) =>
+          calculateDistance(latitude, longitude, lat, lon) <= radiusKm));
+    },
+  };
+}
+
+/**
+ * Query region for a bounding box
+ * @param {object} box - {north, south, east, west}; east < west crosses the antimeridian
+ * @returns {object} Region with intersects(bounds) and contains(bounds)
+ */
+function boxRegion({north, south, east, west}) {
+  const lonRanges = west <= east ? [[west, east]] : [[west, 180], [-180, east]];
+
+  return {
+    intersects: (bounds) => bounds.latMin <= north && bounds.latMax >= south &&
+      lonRanges.some(([min, max]) => bounds.lonMin <= max && bounds.lonMax >= min),
+    contains: (bounds) => bounds.latMin >= south && bounds.latMax <= north &&
+      lonRanges.some(([min, max]) => bounds.lonMin >= min && bounds.lonMax <= max),
+  };
+}
+
+/**
+ * Area of a cell on the unit sphere
+ * @param {object} bounds - Cell bounds from decodeBounds
+ * @returns {number} Area in steradians
+ */
+function cellArea({latMin, latMax, lonMin, lonMax}) {
+  return toRadians(lonMax - lonMin) *
+    (Math.sin(toRadians(latMax)) - Math.sin(toRadians(latMin)));
+}
+
+/**
+ * Find the geohash prefixes that cover a region, mixing precisions
+ * @param {object} region - From circleRegion or boxRegion
+ * @param {object} options - Coverage options
+ * @param {number} options.maxPrefixes - Most prefixes to return (default 12)
+ * @param {number} options.maxPrecision - Longest prefix (default: the stored precision)
+ * @returns {Array<string>} Sorted prefixes; none is a prefix of another
+ */
+function coverRegion(region, options = {}) {
+  const {maxPrefixes = DEFAULT_MAX_PREFIXES, maxPrecision = GEOHASH_PRECISION} = options;
+  if (!Number.isInteger(maxPrefixes) || maxPrefixes < 1) {
+    throw new Error('maxPrefixes must be a positive integer');
+  }
+
+  const cells = new Map();
+  const cellFor = (geohash) => {
+    if (!cells.has(geohash)) {
+      const bounds = decodeBounds(geohash);
+      cells.set(geohash, {bounds, area: cellArea(bounds), children: null});
+    }
+    return cells.get(geohash);
+  };
+  const childrenOf = (geohash) => {
+    const cell = cellFor(geohash);
+    if (!cell.children) {
+      cell.children = BASE32.split('').map((chr) => geohash + chr)
+          .filter((child) => region.intersects(cellFor(child).bounds));
+    }
+    return cell.children;
+  };
+
+  let cover = [''];
+  const settled = new Set();
+
+  for (;;) {
+    let best = null;
+
+    cover.forEach((geohash) => {
+      if (settled.has(geohash) || geohash.length >= maxPrecision) return;
+      const cell = cellFor(geohash);
+      if (region.contains(cell.bounds)) {
+        settled.add(geohash);
+        return;
+      }
+
+      const children = childrenOf(geohash);
+      const added = children.length - 1;
+      if (cover.length + added > maxPrefixes) return;
+
+      // Area outside the region that would no longer be read, per extra query
+      const saved = cell.area - children.reduce((sum, child) => sum + cellFor(child).area, 0);
+      const score = saved / (added + 1);
+      if (saved > 0 && (!best || score > best.score)) {
+        best = {geohash, children, score};
+      }
+    });
+
+    if (!best) break;
+    cover = cover.filter((geohash) => geohash !== best.geohash).concat(best.children);
+  }
+
+  return cover.sort();
+}
+
 /**
  * Calculate geohash ranges (prefixes) that cover a circular area
  * This is used for efficient spatial queries
  * @param {number} latitude - Center latitude
  * @param {number} longitude - Center longitude
  * @param {number} radiusKm - Radius in kilometers
+ * @param {object} options - {maxPrefixes, maxPrecision}, see coverRegion
  * @returns {Array<string>} Array of geohash prefixes to query
  */
-function getGeohashRange(latitude, longitude, radiusKm) {
-  // Determine appropriate geohash precision based on radius
-  // Smaller radius = more precision (longer geohash)
-  let precision;
-  if (radiusKm <= 0.02) precision = 8; // ~20m
-  else if (radiusKm <= 0.15) precision = 7; // ~150m
-  else if (radiusKm <= 1.2) precision = 6; // ~1.2km
-  else if (radiusKm <= 5) precision = 5; // ~5km
-  else if (radiusKm <= 20) precision = 4; // ~20km
-  else if (radiusKm <= 80) precision = 3; // ~80km
-  else precision = 2; // ~300km+
-
-  const centerHash = encodeGeohash(latitude, longitude, precision);
-  
-  // Get neighbor geohashes to ensure full coverage
-  const hashes = [centerHash];
-  const neighbors = getNeighbors(centerHash);
-  hashes.push(...neighbors);
+function getGeohashRange(latitude, longitude, radiusKm, options = {}) {
+  return coverRegion(circleRegion(latitude, longitude, radiusKm), options);
+}
 
-  return hashes;
+/**
+ * Calculate geohash ranges (prefixes) that cover a bounding box
+ * @param {object} box - {north, south, east, west}; east < west crosses the antimeridian
+ * @param {object} options - {maxPrefixes, maxPrecision}, see coverRegion
+ * @returns {Array<string>} Array of geohash prefixes to query
+ */
+function getGeohashRangeForBox(box, options = {}) {
+  return coverRegion(boxRegion(box), options);
 }
 
 /**
@@ -187,15 +359,16 @@ function getAdjacent(geohash, direction) {
     bottom: {even: '028b'},
   };
 
-  neighbor.right.odd = neighbor.left.even;
-  neighbor.left.odd = neighbor.right.even;
-  neighbor.top.odd = neighbor.bottom.even;
-  neighbor.bottom.odd = neighbor.top.even;
+  // Odd-length cells are laid out transposed: east/west swap with north/south
+  neighbor.right.odd = neighbor.top.even;
+  neighbor.left.odd = neighbor.bottom.even;
+  neighbor.top.odd = neighbor.right.even;
+  neighbor.bottom.odd = neighbor.left.even;
 
-  border.right.odd = border.left.even;
-  border.left.odd = border.right.even;
-  border.top.odd = border.bottom.even;
-  border.bottom.odd = border.top.even;
+  border.right.odd = border.top.even;
+  border.left.odd = border.bottom.even;
+  border.top.odd = border.right.even;
+  border.bottom.odd = border.left.even;
 
   const lastChar = geohash.slice(-1);
   let parent = geohash.slice(0, -1);
@@ -219,7 +392,7 @@ function getAdjacent(geohash, direction) {
  * @returns {number} Distance in kilometers
  */
 function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
+  const R = EARTH_RADIUS_KM;
   const dLat = toRadians(lat2 - lat1);
   const dLon = toRadians(lon2 - lon1);
   
@@ -242,9 +415,13 @@ function toRadians(degrees) {
 }
 
 module.exports = {
+  GEOHASH_PRECISION,
+  DEFAULT_MAX_PREFIXES,
   encodeGeohash,
   decodeGeohash,
+  decodeBounds,
   getGeohashRange,
+  getGeohashRangeForBox,
   getNeighbors,
   getAdjacent,
   calculateDistance,
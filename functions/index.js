@@ -13,9 +13,20 @@ admin.initializeApp();
 // Import collection-specific functions
 const userFunctions = require('./users');
 const eventFunctions = require('./events');
+const eventAccessFunctions = require('./eventAccess');
+const eventRoleFunctions = require('./eventRoles');
+const rsvpFunctions = require('./rsvps');
 const signalFunctions = require('./signals');
+const crowdTierFunctions = require('./crowdTiers');
+const signalFraudFunctions = require('./signalFraud');
+const crowdHistoryFunctions = require('./crowdHistory');
+const crowdForecastFunctions = require('./crowdForecast');
+const crowdTileFunctions = require('./crowdTiles');
 const pointFunctions = require('./points');
+const reconciliationFunctions = require('./reconciliation');
 const leaderboardFunctions = require('./leaderboard');
+const campusEventFunctions = require('./campusEvents');
+const discoveryFunctions = require('./discovery');
 const fetchOfficialEventsFunction = require('./fetchOfficialEvents');
 const fetchLinktreeEventsFunction = require('./fetchLinktreeEvents');
 
@@ -34,23 +45,65 @@ module.exports = {
   createEvent: eventFunctions.createEvent,
   updateEvent: eventFunctions.updateEvent,
   deleteEvent: eventFunctions.deleteEvent,
+  publishEvent: eventFunctions.publishEvent,
+  cancelEvent: eventFunctions.cancelEvent,
   getEvent: eventFunctions.getEvent,
   getEventsInRegion: eventFunctions.getEventsInRegion,
   getNearbyEvents: eventFunctions.getNearbyEvents,
   onEventCreate: eventFunctions.onEventCreate,
   onEventUpdate: eventFunctions.onEventUpdate,
   onEventDelete: eventFunctions.onEventDelete,
+  advanceEventStatuses: eventFunctions.advanceEventStatuses,
+
+  // Event role functions
+  addCoHost: eventRoleFunctions.addCoHost,
+  removeCoHost: eventRoleFunctions.removeCoHost,
+
+  // Event invitation functions
+  inviteToEvent: eventAccessFunctions.inviteToEvent,
+  uninviteFromEvent: eventAccessFunctions.uninviteFromEvent,
+  createEventShareToken: eventAccessFunctions.createEventShareToken,
+  revokeEventShareToken: eventAccessFunctions.revokeEventShareToken,
+  redeemEventShareToken: eventAccessFunctions.redeemEventShareToken,
+  getMyInvites: eventAccessFunctions.getMyInvites,
+
+  // RSVP functions
+  setRsvp: rsvpFunctions.setRsvp,
+  deleteRsvp: rsvpFunctions.deleteRsvp,
+  getMyRsvps: rsvpFunctions.getMyRsvps,
+  getEventRsvps: rsvpFunctions.getEventRsvps,
+  approveRsvp: rsvpFunctions.approveRsvp,
+  rejectRsvp: rsvpFunctions.rejectRsvp,
+  onRsvpWrite: rsvpFunctions.onRsvpWrite,
 
   // Signal functions
   createSignal: signalFunctions.createSignal,
   updateSignal: signalFunctions.updateSignal,
   deleteSignal: signalFunctions.deleteSignal,
+  heartbeatSignal: signalFunctions.heartbeatSignal,
   getSignal: signalFunctions.getSignal,
   getSignalsForEvent: signalFunctions.getSignalsForEvent,
   getNearbySignals: signalFunctions.getNearbySignals,
   onSignalCreate: signalFunctions.onSignalCreate,
   onSignalUpdate: signalFunctions.onSignalUpdate,
   onSignalDelete: signalFunctions.onSignalDelete,
+  expireStaleSignals: signalFunctions.expireStaleSignals,
+
+  // Signal fraud review functions
+  getFlaggedSignals: signalFraudFunctions.getFlaggedSignals,
+  reviewSignal: signalFraudFunctions.reviewSignal,
+
+  // Crowd heat-map functions
+  getCrowdTiles: crowdTileFunctions.getCrowdTiles,
+
+  // Crowd history functions
+  getCrowdHistory: crowdHistoryFunctions.getCrowdHistory,
+  recordCrowdSnapshots: crowdHistoryFunctions.recordCrowdSnapshots,
+  refreshCrowdForecasts: crowdForecastFunctions.refreshCrowdForecasts,
+
+  // Crowd tier functions
+  getCrowdTiers: crowdTierFunctions.getCrowdTiers,
+  updateCrowdTiers: crowdTierFunctions.updateCrowdTiers,
 
   // Point functions
   createPoint: pointFunctions.createPoint,
@@ -61,11 +114,19 @@ module.exports = {
   onPointCreate: pointFunctions.onPointCreate,
   onPointUpdate: pointFunctions.onPointUpdate,
   onPointDelete: pointFunctions.onPointDelete,
+  reconcileAuraPoints: reconciliationFunctions.reconcileAuraPoints,
+  scheduledReconcileAuraPoints: reconciliationFunctions.scheduledReconcileAuraPoints,
 
   // Leaderboard functions
   getLeaderboard: leaderboardFunctions.getLeaderboard,
   getUserRank: leaderboardFunctions.getUserRank,
 
+  // Campus event functions
+  getCampusEvents: campusEventFunctions.getCampusEvents,
+
+  // Discovery functions
+  getDiscoveryFeed: discoveryFunctions.getDiscoveryFeed,
+
   // Scraper functions
   fetchOfficialEvents: fetchOfficialEventsFunction.fetchOfficialEvents,
   cleanupLinktreeEvents: fetchLinktreeEventsFunction.cleanupLinktreeEvents,
@@ -5,171 +5,325 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { callable } = require('./callable');
+const { parsePageSize, fetchPage } = require('./pagination');
+const { DateTime } = require('luxon');
 
 const db = admin.firestore();
 
+const TZ = 'America/Chicago';
+
+// Leaderboard timeframes backed by per-period buckets in leaderboards/{periodKey}/entries
+const PERIOD_TIMEFRAMES = ['today', 'week', 'month', 'semester'];
+
+// One marker per applied trigger event, so a retried trigger is not counted twice
+const UPDATES_COLLECTION = 'leaderboard_updates';
+// Triggers are retried within minutes; a Firestore TTL policy on expiresAt prunes markers
+const UPDATE_MARKER_DAYS = 7;
+
 /**
- * Get leaderboard of top users
- * HTTP endpoint: POST /getLeaderboard
+ * Get the semester a date falls in (spring: Jan-May, summer: Jun-Jul, fall: Aug-Dec)
+ * @param {DateTime} dt - Date in campus time zone
+ * @returns {string} Semester key, e.g. "2025-fall"
  */
-exports.getLeaderboard = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const { timeframe = 'week', limit = 50 } = data;
-    const currentUserId = context.auth.uid;
-
-    // Calculate time filter based on timeframe
-    let startDate = null;
-    const now = new Date();
-    
-    switch (timeframe) {
-      case 'today':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        break;
-      case 'week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'month':
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    }
+function semesterKey(dt) {
+  let term = 'fall';
+  if (dt.month <= 5) term = 'spring';
+  else if (dt.month <= 7) term = 'summer';
+  return `${dt.year}-${term}`;
+}
 
-    console.log(`Fetching leaderboard for timeframe: ${timeframe}, startDate: ${startDate.toISOString()}`);
+/**
+ * Get the leaderboard period keys a point awarded at `date` counts toward
+ * @param {Date} date - When the point was awarded
+ * @returns {object} Period key for each timeframe
+ */
+function periodKeysForDate(date) {
+  const dt = DateTime.fromJSDate(date).setZone(TZ);
+  return {
+    today: `daily_${dt.toFormat('yyyy-LL-dd')}`,
+    week: `weekly_${dt.toFormat("kkkk-'W'WW")}`,
+    month: `monthly_${dt.toFormat('yyyy-LL')}`,
+    semester: `semester_${semesterKey(dt)}`,
+  };
+}
 
-    // For now, we'll just fetch top users by total auraPoints
-    // In the future, we can add time-based point tracking
-    const usersSnapshot = await db.collection('users')
-      .orderBy('auraPoints', 'desc')
-      .limit(limit)
-      .get();
+/**
+ * Apply a points delta to every leaderboard period containing `date`
+ * Called by the points triggers so period totals stay in sync with the ledger.
+ * The trigger's event ID is recorded in the same transaction, so a retried
+ * trigger finds it and changes nothing.
+ * @param {string} updateId - Trigger event ID (context.eventId)
+ * @param {string} userId - User whose total changes
+ * @param {number} delta - Points to add (negative to subtract)
+ * @param {Date} date - When the underlying point was awarded
+ * @returns {Promise<boolean>} False if this update was already applied
+ */
+async function recordPeriodPoints(updateId, userId, delta, date) {
+  if (!userId || !delta) return false;
 
-    const leaderboard = [];
-    let rank = 1;
-    let currentUserRank = null;
-    let currentUserEntry = null;
+  const markerRef = db.collection(UPDATES_COLLECTION).doc(updateId);
 
-    usersSnapshot.forEach(doc => {
-      const userData = doc.data();
-      const userId = doc.id;
+  return db.runTransaction(async (transaction) => {
+    const markerDoc = await transaction.get(markerRef);
+    if (markerDoc.exists) return false;
 
-      const entry = {
-        rank: rank,
+    Object.values(periodKeysForDate(date)).forEach(periodKey => {
+      const entryRef = db.collection('leaderboards').doc(periodKey)
+        .collection('entries').doc(userId);
+      transaction.set(entryRef, {
         userId: userId,
-        displayName: userData.displayName || 'Guest',
-        auraPoints: userData.auraPoints || 0,
-        avatarColorHex: userData.avatarColorHex || '#808080',
-        profileImageURL: userData.profileImageURL || null,
-        isCurrentUser: userId === currentUserId,
-      };
+        points: admin.firestore.FieldValue.increment(delta),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    });
+
+    transaction.set(markerRef, {
+      userId: userId,
+      delta: delta,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + UPDATE_MARKER_DAYS * 24 * 60 * 60 * 1000),
+    });
+    return true;
+  });
+}
 
-      leaderboard.push(entry);
+/**
+ * Compute a user's rank within a leaderboard period
+ * @param {string} periodKey - Period key from periodKeysForDate
+ * @param {string} userId - User to rank
+ * @returns {Promise<object>} Rank, points and number of ranked users
+ */
+async function getPeriodRank(periodKey, userId) {
+  const entriesRef = db.collection('leaderboards').doc(periodKey).collection('entries');
+  const entryDoc = await entriesRef.doc(userId).get();
+  const userPoints = entryDoc.exists ? (entryDoc.data().points || 0) : 0;
 
-      if (userId === currentUserId) {
-        currentUserRank = rank;
-        currentUserEntry = entry;
-      }
+  const [higherRankedCount, totalCount] = await Promise.all([
+    entriesRef.where('points', '>', userPoints).count().get(),
+    entriesRef.where('points', '>', 0).count().get(),
+  ]);
 
-      rank++;
-    });
+  return {
+    rank: higherRankedCount.data().count + 1,
+    points: userPoints,
+    totalUsers: totalCount.data().count,
+  };
+}
+
+/**
+ * Build a leaderboard entry from a user profile
+ * @param {number} rank - Rank within the timeframe
+ * @param {string} userId - User ID
+ * @param {object} userData - User document data (may be empty)
+ * @param {number} points - Points within the timeframe
+ * @param {string} currentUserId - Caller's user ID
+ * @returns {object} Leaderboard entry
+ */
+function buildEntry(rank, userId, userData, points, currentUserId) {
+  return {
+    rank: rank,
+    userId: userId,
+    displayName: userData.displayName || 'Guest',
+    auraPoints: points,
+    avatarColorHex: userData.avatarColorHex || '#808080',
+    profileImageURL: userData.profileImageURL || null,
+    isCurrentUser: userId === currentUserId,
+  };
+}
+
+/**
+ * Get a page of the all-time leaderboard from users' lifetime auraPoints
+ * @param {object} page - {pageToken, pageSize}
+ * @param {string} currentUserId - Caller's user ID
+ * @returns {Promise<object>} Leaderboard, next page token, current user's rank and entry
+ */
+async function getLifetimeLeaderboard(page, currentUserId) {
+  const { docs, nextPageToken, offset } =
+    await fetchPage(db.collection('users'), [['auraPoints', 'desc']], page);
+
+  const leaderboard = docs.map((doc, index) =>
+    buildEntry(offset + index + 1, doc.id, doc.data(), doc.data().auraPoints || 0, currentUserId));
+  let currentUserEntry = leaderboard.find(entry => entry.isCurrentUser) || null;
+
+  // If current user is not in top results, fetch their rank separately
+  if (!currentUserEntry) {
+    const userDoc = await db.collection('users').doc(currentUserId).get();
+
+    if (userDoc.exists) {
+      const userData = userDoc.data();
+      const userPoints = userData.auraPoints || 0;
+
+      // Count how many users have more points
+      const higherRankedCount = await db.collection('users')
+        .where('auraPoints', '>', userPoints)
+        .count()
+        .get();
+
+      const rank = higherRankedCount.data().count + 1;
+      currentUserEntry = buildEntry(rank, currentUserId, userData, userPoints, currentUserId);
+    }
+  }
 
-    // If current user is not in top results, fetch their rank separately
-    if (!currentUserRank) {
-      const userDoc = await db.collection('users').doc(currentUserId).get();
-      
-      if (userDoc.exists) {
-        const userData = userDoc.data();
-        const userPoints = userData.auraPoints || 0;
-        
-        // Count how many users have more points
-        const higherRankedCount = await db.collection('users')
-          .where('auraPoints', '>', userPoints)
-          .count()
-          .get();
-        
-        currentUserRank = higherRankedCount.data().count + 1;
-        
-        currentUserEntry = {
-          rank: currentUserRank,
-          userId: currentUserId,
-          displayName: userData.displayName || 'Guest',
-          auraPoints: userPoints,
-          avatarColorHex: userData.avatarColorHex || '#808080',
-          profileImageURL: userData.profileImageURL || null,
-          isCurrentUser: true,
-        };
-      }
+  return {
+    leaderboard: leaderboard,
+    nextPageToken: nextPageToken,
+    currentUserRank: currentUserEntry ? currentUserEntry.rank : null,
+    currentUserEntry: currentUserEntry,
+  };
+}
+
+/**
+ * Get a page of the leaderboard for one period from its points buckets
+ * @param {string} periodKey - Period key from periodKeysForDate
+ * @param {object} page - {pageToken, pageSize}
+ * @param {string} currentUserId - Caller's user ID
+ * @returns {Promise<object>} Leaderboard, next page token, current user's rank and entry
+ */
+async function getPeriodLeaderboard(periodKey, page, currentUserId) {
+  const entriesQuery = db.collection('leaderboards').doc(periodKey)
+    .collection('entries')
+    .where('points', '>', 0);
+  const { docs, nextPageToken, offset } =
+    await fetchPage(entriesQuery, [['points', 'desc']], page);
+
+  const userRefs = docs.map(doc => db.collection('users').doc(doc.id));
+  const userDocs = userRefs.length > 0 ? await db.getAll(...userRefs) : [];
+
+  const leaderboard = docs.map((doc, index) => {
+    const userData = userDocs[index].exists ? userDocs[index].data() : {};
+    return buildEntry(offset + index + 1, doc.id, userData, doc.data().points, currentUserId);
+  });
+  let currentUserEntry = leaderboard.find(entry => entry.isCurrentUser) || null;
+
+  // If current user is not in top results, fetch their rank separately
+  if (!currentUserEntry) {
+    const userDoc = await db.collection('users').doc(currentUserId).get();
+
+    if (userDoc.exists) {
+      const { rank, points } = await getPeriodRank(periodKey, currentUserId);
+      currentUserEntry = buildEntry(rank, currentUserId, userDoc.data(), points, currentUserId);
     }
+  }
+
+  return {
+    leaderboard: leaderboard,
+    nextPageToken: nextPageToken,
+    currentUserRank: currentUserEntry ? currentUserEntry.rank : null,
+    currentUserEntry: currentUserEntry,
+  };
+}
+
+/**
+ * Get leaderboard of top users
+ * Timeframes: 'today', 'week' (ISO week), 'month', 'semester' or 'all' (lifetime)
+ * Pages: pageSize (default 50, max 100; `limit` is accepted too) and pageToken
+ * HTTP endpoint: POST /getLeaderboard
+ */
+exports.getLeaderboard = callable('getLeaderboard', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const page = {
+    pageToken: data.pageToken,
+    pageSize: parsePageSize(data.pageSize || data.limit, 50),
+  };
+  const currentUserId = context.auth.uid;
 
-    console.log(`Leaderboard fetched: ${leaderboard.length} entries, current user rank: ${currentUserRank}`);
-
-    return {
-      success: true,
-      leaderboard: leaderboard,
-      currentUserRank: currentUserRank,
-      currentUserEntry: currentUserEntry,
-      timeframe: timeframe,
-    };
-  } catch (error) {
-    console.error('Error fetching leaderboard:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to fetch leaderboard');
+  // Unknown timeframes fall back to the weekly leaderboard
+  let timeframe = data.timeframe || 'week';
+  if (timeframe !== 'all' && !PERIOD_TIMEFRAMES.includes(timeframe)) {
+    timeframe = 'week';
   }
+
+  let result;
+  let periodKey = null;
+  if (timeframe === 'all') {
+    result = await getLifetimeLeaderboard(page, currentUserId);
+  } else {
+    periodKey = periodKeysForDate(new Date())[timeframe];
+    result = await getPeriodLeaderboard(periodKey, page, currentUserId);
+  }
+
+  console.log(`Leaderboard fetched for ${periodKey || 'all time'}: ${result.leaderboard.length} entries, current user rank: ${result.currentUserRank}`);
+
+  return {
+    success: true,
+    leaderboard: result.leaderboard,
+    nextPageToken: result.nextPageToken,
+    currentUserRank: result.currentUserRank,
+    currentUserEntry: result.currentUserEntry,
+    timeframe: timeframe,
+    periodKey: periodKey,
+  };
 });
 
 /**
  * Get user's rank
+ * Uses lifetime auraPoints unless a period timeframe is requested
  * HTTP endpoint: POST /getUserRank
  */
-exports.getUserRank = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.getUserRank = callable('getUserRank', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const userId = data.userId || context.auth.uid;
+  const userId = data.userId || context.auth.uid;
+  const timeframe = data.timeframe || 'all';
 
-    const userDoc = await db.collection('users').doc(userId).get();
-    
-    if (!userDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'User not found');
-    }
+  if (timeframe !== 'all' && !PERIOD_TIMEFRAMES.includes(timeframe)) {
+    throw new functions.https.HttpsError('invalid-argument', `Unknown timeframe: ${timeframe}`);
+  }
+
+  const userDoc = await db.collection('users').doc(userId).get();
+  
+  if (!userDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'User not found', {code: 'USER_NOT_FOUND'});
+  }
+
+  let rank;
+  let userPoints;
+  let totalUsers;
+
+  if (timeframe === 'all') {
+    userPoints = userDoc.data().auraPoints || 0;
 
-    const userData = userDoc.data();
-    const userPoints = userData.auraPoints || 0;
-    
     // Count how many users have more points
     const higherRankedCount = await db.collection('users')
       .where('auraPoints', '>', userPoints)
       .count()
       .get();
-    
-    const rank = higherRankedCount.data().count + 1;
+
+    rank = higherRankedCount.data().count + 1;
 
     // Get total user count for percentile
     const totalUsersCount = await db.collection('users').count().get();
-    const totalUsers = totalUsersCount.data().count;
-    const percentile = totalUsers > 0 ? Math.round((1 - (rank - 1) / totalUsers) * 100) : 100;
-
-    console.log(`User ${userId} rank: ${rank} out of ${totalUsers} (${percentile}th percentile)`);
-
-    return {
-      success: true,
-      rank: rank,
-      auraPoints: userPoints,
-      totalUsers: totalUsers,
-      percentile: percentile,
-    };
-  } catch (error) {
-    console.error('Error fetching user rank:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to fetch user rank');
+    totalUsers = totalUsersCount.data().count;
+  } else {
+    const periodRank = await getPeriodRank(periodKeysForDate(new Date())[timeframe], userId);
+    rank = periodRank.rank;
+    userPoints = periodRank.points;
+    // Users without points this period rank after everyone who has some
+    totalUsers = Math.max(periodRank.totalUsers, rank);
   }
-});
 
+  const percentile = totalUsers > 0 ? Math.round((1 - (rank - 1) / totalUsers) * 100) : 100;
 
+  console.log(`User ${userId} ${timeframe} rank: ${rank} out of ${totalUsers} (${percentile}th percentile)`);
+
+  return {
+    success: true,
+    rank: rank,
+    auraPoints: userPoints,
+    totalUsers: totalUsers,
+    percentile: percentile,
+    timeframe: timeframe,
+  };
+});
 
+exports.periodKeysForDate = periodKeysForDate;
+exports.recordPeriodPoints = recordPeriodPoints;
@@ -0,0 +1,47 @@
+/**
+ * Notifications
+ * In-app notifications, one document per recipient in `notifications`.
+ * Clients list their own (userId, createdAt desc) and mark them read.
+ *
+ * Notification IDs are derived from what they are about, so sending the same
+ * notification twice (e.g. on a retry) leaves a single document.
+ */
+
+const admin = require("firebase-admin");
+
+const db = admin.firestore();
+
+const NOTIFICATIONS_COLLECTION = "notifications";
+const NOTIFICATION_TYPES = {
+  EVENT_CANCELLED: "event_cancelled",
+};
+
+/**
+ * Send a notification to several users
+ * @param {Array<string>} userIds - Recipients
+ * @param {string} key - What the notification is about (part of each document ID)
+ * @param {object} notification - {type, title, body, ...extra fields}
+ * @return {Promise<number>} Recipients notified
+ */
+async function notifyUsers(userIds, key, notification) {
+  const recipients = Array.from(new Set(userIds.filter(Boolean)));
+
+  for (let i = 0; i < recipients.length; i += 500) {
+    const batch = db.batch();
+    recipients.slice(i, i + 500).forEach((userId) => {
+      const id = `${key}_${userId}`;
+      batch.set(db.collection(NOTIFICATIONS_COLLECTION).doc(id), {
+        ...notification,
+        id: id,
+        userId: userId,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+  return recipients.length;
+}
+
+exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+exports.notifyUsers = notifyUsers;
@@ -0,0 +1,229 @@
+/**
+ * Pagination
+ * Cursor pagination shared by the list callables.
+ *
+ * Lists come back in a stable order with `nextPageToken`, which clients pass
+ * back as `pageToken` (with the same arguments) to get the next page; it is
+ * null on the last page. Tokens are opaque to clients: base64url JSON of the
+ * sort key of the last item returned. Sort keys end with the document ID, so
+ * items that tie on the other fields are neither skipped nor repeated.
+ *
+ * fetchPage pages a Firestore query. fetchFilteredPage does the same when some
+ * documents are dropped after reading (e.g. by distance or visibility) and
+ * keeps reading until the page is full.
+ *
+ * paginateSorted is not cursor pagination: it pages a list that was read in
+ * full and sorted in memory (e.g. results of several geohash prefix queries
+ * ordered by distance), so every page costs as much as the whole list.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+// fetchFilteredPage reads at most this many batches of documents per page
+const MAX_FILTER_BATCHES = 10;
+
+/**
+ * Parse the requested page size
+ * @param {*} value - Client supplied value
+ * @param {number} defaultSize - Size when none is requested
+ * @param {number} maxSize - Largest size allowed
+ * @return {number} Page size
+ */
+function parsePageSize(value, defaultSize = DEFAULT_PAGE_SIZE, maxSize = MAX_PAGE_SIZE) {
+  return Math.min(Math.max(parseInt(value, 10) || defaultSize, 1), maxSize);
+}
+
+/**
+ * Encode a sort key as a page token
+ * @param {Array} key - Sort key values (strings, numbers, null or Timestamps)
+ * @return {string} Page token
+ */
+function encodePageToken(key) {
+  const values = key.map((value) => value instanceof admin.firestore.Timestamp ?
+    {ts: [value.seconds, value.nanoseconds]} :
+    value);
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+/**
+ * Decode a page token produced by encodePageToken
+ * @param {string} pageToken - Page token (may be empty)
+ * @param {number|null} length - Expected key length (null for any)
+ * @return {Array|null} Sort key, or null for the first page
+ */
+function decodePageToken(pageToken, length = null) {
+  if (pageToken === undefined || pageToken === null || pageToken === "") return null;
+
+  let values = null;
+  try {
+    values = JSON.parse(Buffer.from(String(pageToken), "base64url").toString("utf8"));
+  } catch (error) {
+    values = null;
+  }
+
+  const isTimestamp = (value) => value !== null && typeof value === "object" &&
+    Array.isArray(value.ts) && value.ts.length === 2 && value.ts.every(Number.isInteger);
+  const valid = Array.isArray(values) && values.length > 0 &&
+    (length === null || values.length === length) &&
+    values.every((value) => value === null || typeof value === "string" ||
+      Number.isFinite(value) || isTimestamp(value));
+  if (!valid) {
+    throw new functions.https.HttpsError("invalid-argument", "Invalid page token",
+        {code: "INVALID_PAGE_TOKEN"});
+  }
+
+  return values.map((value) => isTimestamp(value) ?
+    new admin.firestore.Timestamp(value.ts[0], value.ts[1]) :
+    value);
+}
+
+/**
+ * Read one page of a Firestore query.
+ * The query is ordered by `orderBy` and then by document ID (in the direction
+ * of the last field, so single-field and existing composite indexes apply).
+ * @param {object} query - Firestore query with its filters, but no ordering or limit
+ * @param {Array<Array<string>>} orderBy - [field, "asc" | "desc"] pairs
+ * @param {object} options - Page options
+ * @param {string} options.pageToken - Token from the previous page
+ * @param {number} options.pageSize - Page size
+ * @return {Promise<object>} {docs, nextPageToken, offset}; offset is the
+ *   number of documents on earlier pages
+ */
+async function fetchPage(query, orderBy, {pageToken, pageSize}) {
+  const direction = orderBy.length > 0 ? orderBy[orderBy.length - 1][1] : "asc";
+  let ordered = orderBy
+      .reduce((result, [field, fieldDirection]) => result.orderBy(field, fieldDirection), query)
+      .orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+  // Tokens carry the sort key of the last document and the documents read so far
+  const cursor = decodePageToken(pageToken, orderBy.length + 2);
+  const offset = cursor ? cursor[cursor.length - 1] : 0;
+  if (cursor) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new functions.https.HttpsError("invalid-argument", "Invalid page token",
+          {code: "INVALID_PAGE_TOKEN"});
+    }
+    ordered = ordered.startAfter(...cursor.slice(0, -1));
+  }
+
+  // One extra document tells whether there is another page
+  const snapshot = await ordered.limit(pageSize + 1).get();
+  const docs = snapshot.docs.slice(0, pageSize);
+
+  let nextPageToken = null;
+  if (snapshot.size > pageSize) {
+    const last = docs[docs.length - 1];
+    nextPageToken = encodePageToken([
+      ...orderBy.map(([field]) => last.get(field) === undefined ? null : last.get(field)),
+      last.id,
+      offset + docs.length,
+    ]);
+  }
+
+  return {docs, nextPageToken, offset};
+}
+
+/**
+ * Read one page of a Firestore query whose results are filtered in code.
+ * Documents are read in batches, in the order of fetchPage, until pageSize
+ * of them are kept and one more kept document shows there is another page.
+ * After MAX_FILTER_BATCHES batches the page is returned as it is, and its
+ * token continues from the last document read.
+ * @param {object} query - Firestore query with its filters, but no ordering or limit
+ * @param {Array<Array<string>>} orderBy - [field, "asc" | "desc"] pairs
+ * @param {object} options - Page options
+ * @param {string} options.pageToken - Token from the previous page
+ * @param {number} options.pageSize - Page size
+ * @param {function(Array<object>): Promise<Array>} select - Maps a batch of
+ *   documents to one value per document: null drops it, anything else is kept
+ * @return {Promise<object>} {items, nextPageToken}; items are the kept values
+ */
+async function fetchFilteredPage(query, orderBy, {pageToken, pageSize}, select) {
+  const direction = orderBy.length > 0 ? orderBy[orderBy.length - 1][1] : "asc";
+  const ordered = orderBy
+      .reduce((result, [field, fieldDirection]) => result.orderBy(field, fieldDirection), query)
+      .orderBy(admin.firestore.FieldPath.documentId(), direction);
+  const keyOf = (doc) => [
+    ...orderBy.map(([field]) => doc.get(field) === undefined ? null : doc.get(field)),
+    doc.id,
+  ];
+
+  let cursor = decodePageToken(pageToken, orderBy.length + 1);
+  const batchSize = pageSize + 1;
+  const items = [];
+  let lastKept = null;
+
+  for (let batch = 0; batch < MAX_FILTER_BATCHES; batch++) {
+    const page = cursor ? ordered.startAfter(...cursor) : ordered;
+    const snapshot = await page.limit(batchSize).get();
+    const values = await select(snapshot.docs);
+
+    for (let i = 0; i < snapshot.docs.length; i++) {
+      if (values[i] === null || values[i] === undefined) continue;
+      // A kept document past a full page: the next page starts after the last one returned
+      if (items.length === pageSize) {
+        return {items, nextPageToken: encodePageToken(keyOf(lastKept))};
+      }
+      items.push(values[i]);
+      lastKept = snapshot.docs[i];
+    }
+
+    if (snapshot.size < batchSize) return {items, nextPageToken: null};
+    cursor = keyOf(snapshot.docs[snapshot.docs.length - 1]);
+  }
+
+  return {items, nextPageToken: encodePageToken(cursor)};
+}
+
+/**
+ * Compare two sort keys element by element
+ * @param {Array} a - Sort key
+ * @param {Array} b - Sort key
+ * @return {number} Negative, zero or positive
+ */
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Sort a list in memory and return one page of it
+ * @param {Array<object>} items - All items
+ * @param {function(object): Array} keyOf - Sort key of an item (ascending
+ *   strings and numbers, ending with something unique such as the ID)
+ * @param {object} options - Page options
+ * @param {string} options.pageToken - Token from the previous page
+ * @param {number} options.pageSize - Page size
+ * @return {object} {items, nextPageToken}
+ */
+function paginateSorted(items, keyOf, {pageToken, pageSize}) {
+  const cursor = decodePageToken(pageToken);
+  const sorted = items
+      .map((item) => ({item, key: keyOf(item)}))
+      .sort((a, b) => compareKeys(a.key, b.key));
+
+  const remaining = cursor ? sorted.filter(({key}) => compareKeys(key, cursor) > 0) : sorted;
+  const page = remaining.slice(0, pageSize);
+
+  return {
+    items: page.map(({item}) => item),
+    nextPageToken: remaining.length > pageSize ? encodePageToken(page[page.length - 1].key) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageSize,
+  encodePageToken,
+  decodePageToken,
+  fetchPage,
+  fetchFilteredPage,
+  paginateSorted,
+};
@@ -6,235 +6,209 @@
 const functions = require("firebase-functions");
 const functionsV1 = require("firebase-functions/v1");
 const admin = require("firebase-admin");
+const {callable} = require('./callable');
+const {parsePageSize, fetchPage} = require('./pagination');
+const {recordPeriodPoints} = require('./leaderboard');
+const {ledgerKey, awardPoints, adjustPoints, revokePoints} = require('./pointsLedger');
+const {parseCreate, parseUpdate} = require('./schema');
 
 const db = admin.firestore();
 
+/**
+ * Get the time a point was awarded, used to pick its leaderboard periods
+ * @param {object} pointData - Point document data
+ * @returns {Date} Award time (now if the server timestamp is not set yet)
+ */
+function pointAwardedAt(pointData) {
+  return pointData.createdAt && typeof pointData.createdAt.toDate === 'function' ?
+    pointData.createdAt.toDate() :
+    new Date();
+}
+
 /**
  * Create a new point entry
  * HTTP endpoint: POST /createPoint
  */
-exports.createPoint = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.createPoint = callable('createPoint', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const userId = context.auth.uid;
-    const pointId = data.id || admin.firestore().collection('points').doc().id;
-
-    const pointData = {
-      id: pointId,
-      userId: userId,
-      points: data.points,
-      reason: data.reason,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    // Validate required fields
-    if (!pointData.points || !pointData.reason) {
-      throw new functions.https.HttpsError('invalid-argument', 'Points and reason are required');
-    }
+  const userId = context.auth.uid;
+  const pointId = ledgerKey('manual', db.collection('points').doc().id);
 
-    // Validate points value
-    if (pointData.points <= 0) {
-      throw new functions.https.HttpsError('invalid-argument', 'Points must be greater than 0');
-    }
+  // Validate points (an integer from 1 to 100) and reason
+  const fields = parseCreate('points', data);
 
-    // Create point document
-    await db.collection('points').doc(pointId).set(pointData);
-
-    return {
-      success: true,
-      pointId: pointId,
-      point: pointData,
-    };
-  } catch (error) {
-    console.error('Error creating point:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to create point');
-  }
+  // Write the ledger entry and credit aura points
+  const result = await awardPoints({
+    pointId: pointId,
+    userId: userId,
+    points: fields.points,
+    reason: fields.reason,
+    source: 'manual',
+  });
+
+  return {
+    success: true,
+    pointId: pointId,
+    point: result.point,
+  };
 });
 
 /**
  * Update point data
  * HTTP endpoint: PUT /updatePoint
  */
-exports.updatePoint = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const userId = context.auth.uid;
-    const pointId = data.id;
-
-    if (!pointId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Point ID is required');
-    }
+exports.updatePoint = callable('updatePoint', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    // Check if point exists and belongs to user
-    const pointDoc = await db.collection('points').doc(pointId).get();
-    if (!pointDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Point not found');
-    }
+  const userId = context.auth.uid;
+  const pointId = data.id;
 
-    const pointData = pointDoc.data();
-    if (pointData.userId !== userId) {
-      throw new functions.https.HttpsError('permission-denied', 'Only the point owner can update the point');
-    }
+  if (!pointId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Point ID is required');
+  }
 
-    const updateData = {
-      ...data,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+  // Check if point exists and belongs to user
+  const pointDoc = await db.collection('points').doc(pointId).get();
+  if (!pointDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Point not found', {code: 'POINT_NOT_FOUND'});
+  }
 
-    // Remove fields that shouldn't be updated
-    delete updateData.id;
-    delete updateData.createdAt;
-    delete updateData.userId;
+  const pointData = pointDoc.data();
+  if (pointData.userId !== userId) {
+    throw new functions.https.HttpsError('permission-denied', 'Only the point owner can update the point',
+        {code: 'NOT_POINT_OWNER'});
+  }
 
-    // Validate points value if provided
-    if (updateData.points && updateData.points <= 0) {
-      throw new functions.https.HttpsError('invalid-argument', 'Points must be greater than 0');
-    }
+  // Only points and reason can be changed
+  const changes = parseUpdate('points', data, ['id']);
 
-    // Update point document
-    await db.collection('points').doc(pointId).update(updateData);
+  // Update the ledger entry and apply any difference to aura points
+  await adjustPoints(pointId, changes);
 
-    // Get updated point data
-    const updatedPointDoc = await db.collection('points').doc(pointId).get();
-    const updatedPoint = updatedPointDoc.data();
+  // Get updated point data
+  const updatedPointDoc = await db.collection('points').doc(pointId).get();
+  const updatedPoint = updatedPointDoc.data();
 
-    return {
-      success: true,
-      point: updatedPoint,
-    };
-  } catch (error) {
-    console.error('Error updating point:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to update point');
-  }
+  return {
+    success: true,
+    point: updatedPoint,
+  };
 });
 
 /**
  * Delete point
  * HTTP endpoint: DELETE /deletePoint
  */
-exports.deletePoint = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.deletePoint = callable('deletePoint', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const userId = context.auth.uid;
-    const pointId = data.id;
+  const userId = context.auth.uid;
+  const pointId = data.id;
 
-    if (!pointId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Point ID is required');
-    }
+  if (!pointId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Point ID is required');
+  }
 
-    // Check if point exists and belongs to user
-    const pointDoc = await db.collection('points').doc(pointId).get();
-    if (!pointDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Point not found');
-    }
+  // Check if point exists and belongs to user
+  const pointDoc = await db.collection('points').doc(pointId).get();
+  if (!pointDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Point not found', {code: 'POINT_NOT_FOUND'});
+  }
 
-    const pointData = pointDoc.data();
-    if (pointData.userId !== userId) {
-      throw new functions.https.HttpsError('permission-denied', 'Only the point owner can delete the point');
-    }
+  const pointData = pointDoc.data();
+  if (pointData.userId !== userId) {
+    throw new functions.https.HttpsError('permission-denied', 'Only the point owner can delete the point',
+        {code: 'NOT_POINT_OWNER'});
+  }
 
-    // Delete point document
-    await db.collection('points').doc(pointId).delete();
+  // Remove the ledger entry and take its points back
+  await revokePoints(pointId);
 
-    return {
-      success: true,
-      message: 'Point deleted successfully',
-    };
-  } catch (error) {
-    console.error('Error deleting point:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to delete point');
-  }
+  return {
+    success: true,
+    message: 'Point deleted successfully',
+  };
 });
 
 /**
  * Get point data
  * HTTP endpoint: GET /getPoint
  */
-exports.getPoint = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const pointId = data.id;
+exports.getPoint = callable('getPoint', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    if (!pointId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Point ID is required');
-    }
+  const pointId = data.id;
 
-    const pointDoc = await db.collection('points').doc(pointId).get();
+  if (!pointId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Point ID is required');
+  }
 
-    if (!pointDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Point not found');
-    }
+  const pointDoc = await db.collection('points').doc(pointId).get();
 
-    return {
-      success: true,
-      point: pointDoc.data(),
-    };
-  } catch (error) {
-    console.error('Error getting point:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to get point');
+  if (!pointDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Point not found', {code: 'POINT_NOT_FOUND'});
   }
+
+  return {
+    success: true,
+    point: pointDoc.data(),
+  };
 });
 
 /**
- * Get user's points
+ * Get user's points, newest first
  * HTTP endpoint: GET /getUserPoints
+ *
+ * Arguments: pageSize (default 50, max 100; `limit` is accepted too) and pageToken.
+ * totalPoints is the sum of the points on the page.
  */
-exports.getUserPoints = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const userId = context.auth.uid;
-    const limit = data.limit || 50;
-
-    const pointsSnapshot = await db.collection('points')
-      .where('userId', '==', userId)
-      .orderBy('createdAt', 'desc')
-      .limit(limit)
-      .get();
-
-    const points = [];
-    let totalPoints = 0;
-
-    pointsSnapshot.forEach(doc => {
-      const pointData = doc.data();
-      points.push(pointData);
-      totalPoints += pointData.points;
-    });
-
-    return {
-      success: true,
-      points: points,
-      totalPoints: totalPoints,
-    };
-  } catch (error) {
-    console.error('Error getting user points:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to get user points');
+exports.getUserPoints = callable('getUserPoints', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
   }
+
+  const userId = context.auth.uid;
+
+  const {docs, nextPageToken} = await fetchPage(
+    db.collection('points').where('userId', '==', userId),
+    [['createdAt', 'desc']],
+    {pageToken: data.pageToken, pageSize: parsePageSize(data.pageSize || data.limit, 50)}
+  );
+
+  const points = [];
+  let totalPoints = 0;
+
+  docs.forEach(doc => {
+    const pointData = doc.data();
+    points.push(pointData);
+    totalPoints += pointData.points;
+  });
+
+  return {
+    success: true,
+    points: points,
+    totalPoints: totalPoints,
+    nextPageToken: nextPageToken,
+  };
 });
 
 /**
  * Trigger: When a point is created
- * Updates user's total aura points
+ * Updates leaderboard period totals (auraPoints is credited by pointsLedger)
  */
 exports.onPointCreate = functionsV1.firestore
   .document("points/{pointId}")
@@ -246,12 +220,15 @@ exports.onPointCreate = functionsV1.firestore
 
       console.log(`New point created: ${pointId} for user ${userId}`);
 
-      // Update user's aura points
-      await db.collection('users').doc(userId).update({
-        auraPoints: admin.firestore.FieldValue.increment(pointData.points),
-      });
+      // Corrections repair auraPoints drift; they are not earned points
+      if (pointData.source === 'correction') {
+        return;
+      }
+
+      const applied = await recordPeriodPoints(
+        context.eventId, userId, pointData.points, pointAwardedAt(pointData));
 
-      console.log(`User ${userId} aura points increased by ${pointData.points}`);
+      if (applied) console.log(`User ${userId} period totals increased by ${pointData.points}`);
     } catch (error) {
       console.error('Error in onPointCreate trigger:', error);
     }
@@ -259,7 +236,7 @@ exports.onPointCreate = functionsV1.firestore
 
 /**
  * Trigger: When a point is updated
- * Updates user's total aura points based on the difference
+ * Updates leaderboard period totals based on the difference
  */
 exports.onPointUpdate = functionsV1.firestore
   .document("points/{pointId}")
@@ -276,12 +253,10 @@ exports.onPointUpdate = functionsV1.firestore
       const pointsDifference = afterData.points - beforeData.points;
 
       if (pointsDifference !== 0) {
-        // Update user's aura points by the difference
-        await db.collection('users').doc(userId).update({
-          auraPoints: admin.firestore.FieldValue.increment(pointsDifference),
-        });
+        const applied = await recordPeriodPoints(
+          context.eventId, userId, pointsDifference, pointAwardedAt(afterData));
 
-        console.log(`User ${userId} aura points adjusted by ${pointsDifference}`);
+        if (applied) console.log(`User ${userId} period totals adjusted by ${pointsDifference}`);
       }
     } catch (error) {
       console.error('Error in onPointUpdate trigger:', error);
@@ -290,7 +265,7 @@ exports.onPointUpdate = functionsV1.firestore
 
 /**
  * Trigger: When a point is deleted
- * Decreases user's total aura points
+ * Decreases leaderboard period totals
  */
 exports.onPointDelete = functionsV1.firestore
   .document("points/{pointId}")
@@ -302,12 +277,15 @@ exports.onPointDelete = functionsV1.firestore
 
       console.log(`Point deleted: ${pointId} for user ${userId}`);
 
-      // Decrease user's aura points
-      await db.collection('users').doc(userId).update({
-        auraPoints: admin.firestore.FieldValue.increment(-pointData.points),
-      });
+      // Corrections were never added to period totals
+      if (pointData.source === 'correction') {
+        return;
+      }
+
+      const applied = await recordPeriodPoints(
+        context.eventId, userId, -pointData.points, pointAwardedAt(pointData));
 
-      console.log(`User ${userId} aura points decreased by ${pointData.points}`);
+      if (applied) console.log(`User ${userId} period totals decreased by ${pointData.points}`);
     } catch (error) {
       console.error('Error in onPointDelete trigger:', error);
     }
@@ -0,0 +1,179 @@
+/**
+ * Points Ledger Service
+ * The only code path that mutates users.auraPoints.
+ *
+ * Every award is written to the points collection under a deterministic
+ * document ID (the idempotency key, e.g. "signal:{signalId}") in the same
+ * transaction that increments auraPoints, so a retried trigger finds the
+ * existing ledger entry and does not award twice.
+ */
+
+const admin = require("firebase-admin");
+
+const db = admin.firestore();
+
+/**
+ * Build the idempotency key for an award
+ * @param {string} source - What the award is for ("signal", "event", "welcome")
+ * @param {string} sourceId - ID of the document that earned the award
+ * @return {string} Ledger document ID
+ */
+function ledgerKey(source, sourceId) {
+  return `${source}:${sourceId}`;
+}
+
+/**
+ * Award points exactly once for a given key
+ * @param {object} award - Award details
+ * @param {string} award.pointId - Idempotency key, used as the ledger doc ID
+ * @param {string} award.userId - User receiving the points
+ * @param {number} award.points - Points to award (positive integer)
+ * @param {string} award.reason - Human-readable reason
+ * @param {string} award.source - Award source ("signal", "event", "welcome", "manual")
+ * @return {Promise<object>} {awarded, pointId, point}; awarded is false when
+ *   the key was already used
+ */
+async function awardPoints({pointId, userId, points, reason, source}) {
+  if (!pointId || !userId) {
+    throw new Error("pointId and userId are required to award points");
+  }
+  if (!Number.isInteger(points) || points <= 0) {
+    throw new Error(`Invalid points value: ${points}`);
+  }
+
+  const pointRef = db.collection("points").doc(pointId);
+  const userRef = db.collection("users").doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const [pointDoc, userDoc] = await transaction.getAll(pointRef, userRef);
+
+    if (pointDoc.exists) {
+      return {awarded: false, pointId: pointId, point: pointDoc.data()};
+    }
+    if (!userDoc.exists) {
+      throw new Error(`Cannot award points to missing user ${userId}`);
+    }
+
+    const pointData = {
+      id: pointId,
+      userId: userId,
+      points: points,
+      reason: reason,
+      source: source || "manual",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    transaction.set(pointRef, pointData);
+    transaction.update(userRef, {
+      auraPoints: admin.firestore.FieldValue.increment(points),
+    });
+
+    return {awarded: true, pointId: pointId, point: pointData};
+  });
+}
+
+/**
+ * Change the value of an existing ledger entry and apply the difference
+ * @param {string} pointId - Ledger document ID
+ * @param {object} changes - Fields to change (points, reason)
+ * @return {Promise<boolean>} True if the entry exists and was updated
+ */
+async function adjustPoints(pointId, changes) {
+  const pointRef = db.collection("points").doc(pointId);
+
+  return db.runTransaction(async (transaction) => {
+    const pointDoc = await transaction.get(pointRef);
+    if (!pointDoc.exists) return false;
+
+    const pointData = pointDoc.data();
+    const update = {updatedAt: admin.firestore.FieldValue.serverTimestamp()};
+    if (changes.reason !== undefined) update.reason = changes.reason;
+
+    if (changes.points !== undefined && changes.points !== pointData.points) {
+      if (!Number.isInteger(changes.points) || changes.points <= 0) {
+        throw new Error(`Invalid points value: ${changes.points}`);
+      }
+      update.points = changes.points;
+      transaction.update(db.collection("users").doc(pointData.userId), {
+        auraPoints: admin.firestore.FieldValue.increment(changes.points - pointData.points),
+      });
+    }
+
+    transaction.update(pointRef, update);
+    return true;
+  });
+}
+
+/**
+ * Remove a ledger entry and take its points back
+ * @param {string} pointId - Ledger document ID
+ * @return {Promise<boolean>} True if an entry was removed
+ */
+async function revokePoints(pointId) {
+  const pointRef = db.collection("points").doc(pointId);
+
+  return db.runTransaction(async (transaction) => {
+    const pointDoc = await transaction.get(pointRef);
+    if (!pointDoc.exists) return false;
+
+    const pointData = pointDoc.data();
+    const userRef = db.collection("users").doc(pointData.userId);
+    const userDoc = await transaction.get(userRef);
+
+    transaction.delete(pointRef);
+    if (userDoc.exists) {
+      transaction.update(userRef, {
+        auraPoints: admin.firestore.FieldValue.increment(-pointData.points),
+      });
+    }
+    return true;
+  });
+}
+
+/**
+ * Record a correction that brings auraPoints back in line with the ledger.
+ * Correction entries (source "correction") are an audit trail of repairs and
+ * are excluded when the ledger total is computed.
+ * @param {object} correction - Correction details
+ * @param {string} correction.pointId - Ledger document ID for the correction
+ * @param {string} correction.userId - User being corrected
+ * @param {number} correction.expectedAuraPoints - auraPoints value the delta
+ *   was computed from; the correction is skipped if it has changed since
+ * @param {number} correction.delta - Amount to add to auraPoints (may be negative)
+ * @param {string} correction.reason - Human-readable reason
+ * @return {Promise<boolean>} True if the correction was applied
+ */
+async function applyCorrection({pointId, userId, expectedAuraPoints, delta, reason}) {
+  const pointRef = db.collection("points").doc(pointId);
+  const userRef = db.collection("users").doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const [pointDoc, userDoc] = await transaction.getAll(pointRef, userRef);
+
+    if (pointDoc.exists || !userDoc.exists) return false;
+    if ((userDoc.data().auraPoints || 0) !== expectedAuraPoints) return false;
+
+    transaction.set(pointRef, {
+      id: pointId,
+      userId: userId,
+      points: delta,
+      reason: reason,
+      source: "correction",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.update(userRef, {
+      auraPoints: admin.firestore.FieldValue.increment(delta),
+    });
+    return true;
+  });
+}
+
+module.exports = {
+  ledgerKey,
+  awardPoints,
+  adjustPoints,
+  revokePoints,
+  applyCorrection,
+};
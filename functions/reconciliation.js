@@ -0,0 +1,199 @@
+/**
+ * Aura Points Reconciliation
+ * Compares each user's auraPoints with the total of their points ledger,
+ * reports discrepancies and optionally repairs them with correction entries.
+ */
+
+const functions = require("firebase-functions");
+const functionsV1 = require("firebase-functions/v1");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {applyCorrection} = require("./pointsLedger");
+const {isAdmin} = require("./access");
+
+const db = admin.firestore();
+
+const RUNS_COLLECTION = "reconciliation_runs";
+const USER_PAGE_SIZE = 200;
+// Summary documents keep at most this many discrepancy rows
+const MAX_REPORTED_DISCREPANCIES = 500;
+
+/**
+ * Sum a user's ledger, excluding correction entries
+ * @param {string} userId - User ID
+ * @return {Promise<number>} Ledger total
+ */
+async function getLedgerTotal(userId) {
+  const sumPoints = {total: admin.firestore.AggregateField.sum("points")};
+  const userPoints = db.collection("points").where("userId", "==", userId);
+
+  const [all, corrections] = await Promise.all([
+    userPoints.aggregate(sumPoints).get(),
+    userPoints.where("source", "==", "correction").aggregate(sumPoints).get(),
+  ]);
+
+  return (all.data().total || 0) - (corrections.data().total || 0);
+}
+
+/**
+ * Check one user and repair the drift if requested
+ * @param {string} runId - Reconciliation run ID
+ * @param {FirebaseFirestore.DocumentSnapshot} userDoc - User document
+ * @param {boolean} repair - Whether to write a correction
+ * @return {Promise<object|null>} Discrepancy row, or null if in sync
+ */
+async function reconcileUser(runId, userDoc, repair) {
+  const auraPoints = userDoc.data().auraPoints || 0;
+  const ledgerTotal = await getLedgerTotal(userDoc.id);
+  const delta = ledgerTotal - auraPoints;
+
+  if (delta === 0) return null;
+
+  let repaired = false;
+  if (repair) {
+    repaired = await applyCorrection({
+      pointId: `correction:${runId}:${userDoc.id}`,
+      userId: userDoc.id,
+      expectedAuraPoints: auraPoints,
+      delta: delta,
+      reason: `Reconciliation ${runId}: auraPoints ${auraPoints} -> ledger total ${ledgerTotal}`,
+    });
+  }
+
+  return {
+    userId: userDoc.id,
+    auraPoints: auraPoints,
+    ledgerTotal: ledgerTotal,
+    delta: delta,
+    repaired: repaired,
+  };
+}
+
+/**
+ * Reconcile every user (or the given users) and write a summary document
+ * @param {object} options - Run options
+ * @param {boolean} options.repair - Write correction entries for discrepancies
+ * @param {Array<string>} options.userIds - Limit the run to these users
+ * @param {string} options.trigger - "scheduled" or "manual"
+ * @param {string} options.requestedBy - UID of the admin who started the run
+ * @return {Promise<object>} Run summary
+ */
+async function runReconciliation({repair = false, userIds = null, trigger, requestedBy = null}) {
+  const runRef = db.collection(RUNS_COLLECTION).doc();
+  const runId = runRef.id;
+  const startedAt = new Date();
+
+  console.log(`Starting aura points reconciliation ${runId} (repair: ${repair})`);
+
+  const discrepancies = [];
+  let usersScanned = 0;
+
+  if (userIds) {
+    const userDocs = userIds.length > 0 ?
+      await db.getAll(...userIds.map((id) => db.collection("users").doc(id))) :
+      [];
+    for (const userDoc of userDocs.filter((doc) => doc.exists)) {
+      usersScanned++;
+      const row = await reconcileUser(runId, userDoc, repair);
+      if (row) discrepancies.push(row);
+    }
+  } else {
+    let lastDoc = null;
+    for (;;) {
+      let query = db.collection("users")
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(USER_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      for (const userDoc of snapshot.docs) {
+        usersScanned++;
+        const row = await reconcileUser(runId, userDoc, repair);
+        if (row) discrepancies.push(row);
+      }
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < USER_PAGE_SIZE) break;
+    }
+  }
+
+  const summary = {
+    id: runId,
+    trigger: trigger,
+    requestedBy: requestedBy,
+    repair: repair,
+    startedAt: admin.firestore.Timestamp.fromDate(startedAt),
+    finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    usersScanned: usersScanned,
+    discrepancyCount: discrepancies.length,
+    repairedCount: discrepancies.filter((row) => row.repaired).length,
+    totalDrift: discrepancies.reduce((sum, row) => sum + Math.abs(row.delta), 0),
+    discrepancies: discrepancies.slice(0, MAX_REPORTED_DISCREPANCIES),
+    discrepanciesTruncated: discrepancies.length > MAX_REPORTED_DISCREPANCIES,
+  };
+
+  await runRef.set(summary);
+
+  console.log(`Reconciliation ${runId}: ${usersScanned} users, ` +
+    `${summary.discrepancyCount} discrepancies, ${summary.repairedCount} repaired`);
+
+  return summary;
+}
+
+/**
+ * Scheduled reconciliation, nightly in campus time.
+ * Reports only unless AURA_RECONCILE_AUTO_REPAIR is "true".
+ */
+exports.scheduledReconcileAuraPoints = functionsV1.pubsub
+    .schedule("every day 04:00")
+    .timeZone("America/Chicago")
+    .onRun(async () => {
+      try {
+        await runReconciliation({
+          repair: process.env.AURA_RECONCILE_AUTO_REPAIR === "true",
+          trigger: "scheduled",
+        });
+      } catch (error) {
+        console.error("Error in scheduled aura points reconciliation:", error);
+      }
+    });
+
+/**
+ * Run a reconciliation on demand (admins only)
+ * HTTP endpoint: POST /reconcileAuraPoints
+ */
+exports.reconcileAuraPoints = callable("reconcileAuraPoints", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+  if (!isAdmin(context)) {
+    throw new functions.https.HttpsError("permission-denied", "Admin access required",
+        {code: "ADMIN_REQUIRED"});
+  }
+
+  if (data.userIds !== undefined &&
+      (!Array.isArray(data.userIds) || data.userIds.some((id) => typeof id !== "string"))) {
+    throw new functions.https.HttpsError("invalid-argument",
+        "userIds must be an array of strings");
+  }
+
+  const summary = await runReconciliation({
+    repair: data.repair === true,
+    userIds: data.userIds || null,
+    trigger: "manual",
+    requestedBy: context.auth.uid,
+  });
+
+  return {
+    success: true,
+    runId: summary.id,
+    usersScanned: summary.usersScanned,
+    discrepancyCount: summary.discrepancyCount,
+    repairedCount: summary.repairedCount,
+    totalDrift: summary.totalDrift,
+    discrepancies: summary.discrepancies,
+  };
+});
@@ -0,0 +1,367 @@
+/**
+ * Event Recurrence
+ * Parses and expands the subset of RFC 5545 recurrence rules events support:
+ *   FREQ=WEEKLY|MONTHLY, INTERVAL, BYDAY (MONTHLY also accepts ordinals such
+ *   as 1FR or -1SU), BYMONTHDAY (MONTHLY), UNTIL, COUNT
+ * plus exception dates (EXDATE) listed separately on the event.
+ *
+ * Occurrences keep the series' wall-clock time in the event's time zone, so
+ * a 7pm weekly meeting stays at 7pm across daylight saving changes. Each
+ * occurrence is identified by its original start in UTC ("20261023T000000Z",
+ * like RECURRENCE-ID), which stays the same if the occurrence is moved.
+ */
+
+const {DateTime} = require("luxon");
+
+const DEFAULT_TIME_ZONE = "America/Chicago";
+const WEEKDAYS = {MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7};
+// Upper bound on weeks/months walked while expanding, whatever the rule
+const MAX_PERIODS = 1000;
+
+/**
+ * Parse an RRULE string
+ * @param {string} rrule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20261215T000000Z"
+ * @return {object} {freq, interval, byDay: [{weekday, ordinal}], byMonthDay, until, count}
+ */
+function parseRRule(rrule) {
+  if (typeof rrule !== "string" || !rrule.trim()) {
+    throw new Error("Recurrence rule is required");
+  }
+
+  const parts = {};
+  rrule.trim().replace(/^RRULE:/i, "").split(";").forEach((part) => {
+    const [key, value] = part.split("=");
+    if (!key || value === undefined) throw new Error(`Malformed rule part "${part}"`);
+    parts[key.toUpperCase()] = value.toUpperCase();
+  });
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    until: null,
+    count: null,
+  };
+
+  if (rule.freq !== "WEEKLY" && rule.freq !== "MONTHLY") {
+    throw new Error("FREQ must be WEEKLY or MONTHLY");
+  }
+
+  Object.keys(parts).forEach((key) => {
+    if (!["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY", "UNTIL", "COUNT"].includes(key)) {
+      throw new Error(`Unsupported rule part ${key}`);
+    }
+  });
+
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = parseInt(parts.INTERVAL, 10);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 52) {
+      throw new Error("INTERVAL must be between 1 and 52");
+    }
+  }
+
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(",").map((day) => {
+      const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(day);
+      if (!match) throw new Error(`Invalid BYDAY value ${day}`);
+
+      const ordinal = match[1] ? parseInt(match[1], 10) : null;
+      if (ordinal !== null && (rule.freq !== "MONTHLY" || ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw new Error(`Invalid BYDAY ordinal in ${day}`);
+      }
+      return {weekday: WEEKDAYS[match[2]], ordinal: ordinal};
+    });
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (rule.freq !== "MONTHLY") throw new Error("BYMONTHDAY is only supported with MONTHLY");
+    rule.byMonthDay = parts.BYMONTHDAY.split(",").map((day) => {
+      const value = parseInt(day, 10);
+      if (!Number.isInteger(value) || value === 0 || Math.abs(value) > 31) {
+        throw new Error(`Invalid BYMONTHDAY value ${day}`);
+      }
+      return value;
+    });
+  }
+
+  if (parts.UNTIL && parts.COUNT) {
+    throw new Error("UNTIL and COUNT cannot both be set");
+  }
+  if (parts.UNTIL) {
+    const until = /^\d{8}$/.test(parts.UNTIL) ?
+      DateTime.fromFormat(parts.UNTIL, "yyyyMMdd", {zone: "utc"}).endOf("day") :
+      DateTime.fromFormat(parts.UNTIL, "yyyyMMdd'T'HHmmss'Z'", {zone: "utc"});
+    if (!until.isValid) throw new Error("UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ");
+    rule.until = until.toJSDate();
+  }
+  if (parts.COUNT) {
+    rule.count = parseInt(parts.COUNT, 10);
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 500) {
+      throw new Error("COUNT must be between 1 and 500");
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Format a parsed rule back into an RRULE string
+ * @param {object} rule - Output of parseRRule
+ * @return {string} RRULE string
+ */
+function formatRRule(rule) {
+  const codes = Object.fromEntries(Object.entries(WEEKDAYS).map(([code, day]) => [day, code]));
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push("BYDAY=" + rule.byDay
+        .map((day) => `${day.ordinal === null ? "" : day.ordinal}${codes[day.weekday]}`)
+        .join(","));
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.until) {
+    parts.push("UNTIL=" + DateTime.fromJSDate(rule.until, {zone: "utc"})
+        .toFormat("yyyyMMdd'T'HHmmss'Z'"));
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(";");
+}
+
+/**
+ * Build the ID of an occurrence from its original start
+ * @param {Date} start - Original occurrence start
+ * @return {string} Occurrence ID such as "20261023T000000Z"
+ */
+function occurrenceIdFor(start) {
+  return DateTime.fromJSDate(start, {zone: "utc"}).toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+/**
+ * Read the original start back out of an occurrence ID
+ * @param {string} occurrenceId - Occurrence ID such as "20261023T000000Z"
+ * @return {Date|null} Original start, or null if the ID is malformed
+ */
+function occurrenceStartFor(occurrenceId) {
+  if (typeof occurrenceId !== "string") return null;
+
+  const start = DateTime.fromFormat(occurrenceId, "yyyyMMdd'T'HHmmss'Z'", {zone: "utc"});
+  return start.isValid ? start.toJSDate() : null;
+}
+
+/**
+ * Normalize an exception date given as an occurrence ID or an ISO date
+ * @param {string} value - Occurrence ID or ISO date
+ * @return {string} Occurrence ID
+ */
+function normalizeOccurrenceId(value) {
+  if (typeof value === "string" && /^\d{8}T\d{6}Z$/.test(value)) return value;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid occurrence date ${value}`);
+  return occurrenceIdFor(date);
+}
+
+/**
+ * List the candidate days of one month for a MONTHLY rule. As in RFC 5545,
+ * BYDAY and BYMONTHDAY together select the days matching both, e.g.
+ * BYDAY=FR;BYMONTHDAY=13 is every Friday the 13th.
+ * @param {DateTime} monthStart - First day of the month (zoned)
+ * @param {object} rule - Parsed rule
+ * @param {DateTime} dtstart - Series start
+ * @return {Array<DateTime>} Candidate days, unsorted
+ */
+function monthlyCandidates(monthStart, rule, dtstart) {
+  const daysInMonth = monthStart.daysInMonth;
+
+  // Without BYDAY/BYMONTHDAY, repeat on the start's day of month (skipping short months)
+  if (rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+    return dtstart.day <= daysInMonth ? [monthStart.set({day: dtstart.day})] : [];
+  }
+
+  const monthDays = new Set();
+  rule.byMonthDay.forEach((day) => {
+    const dayOfMonth = day > 0 ? day : daysInMonth + day + 1;
+    if (dayOfMonth >= 1 && dayOfMonth <= daysInMonth) monthDays.add(dayOfMonth);
+  });
+
+  const weekdayDays = new Set();
+  rule.byDay.forEach(({weekday, ordinal}) => {
+    const matching = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+      if (monthStart.set({day}).weekday === weekday) matching.push(day);
+    }
+    if (ordinal === null) {
+      matching.forEach((day) => weekdayDays.add(day));
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day) weekdayDays.add(day);
+    }
+  });
+
+  let days;
+  if (rule.byDay.length === 0) days = Array.from(monthDays);
+  else if (rule.byMonthDay.length === 0) days = Array.from(weekdayDays);
+  else days = Array.from(monthDays).filter((day) => weekdayDays.has(day));
+
+  return days.map((day) => monthStart.set({day}));
+}
+
+/**
+ * Prepare a series for walking its rule period by period (weeks or months)
+ * @param {object} series - See expandOccurrences
+ * @return {object} {rule, dtstart, periodStart, startsIn(period)}; startsIn lists the
+ *   sorted candidate starts (ms) of a period, including any before dtstart
+ */
+function periodWalker(series) {
+  const rule = parseRRule(series.rrule);
+  const zone = series.timeZone || DEFAULT_TIME_ZONE;
+  const dtstart = DateTime.fromJSDate(series.startsAt, {zone});
+  const timeOfDay = {
+    hour: dtstart.hour,
+    minute: dtstart.minute,
+    second: dtstart.second,
+    millisecond: 0,
+  };
+  const periodStart = rule.freq === "WEEKLY" ? dtstart.startOf("week") : dtstart.startOf("month");
+
+  const startsIn = (period) => {
+    let days;
+    if (rule.freq === "WEEKLY") {
+      const weekStart = periodStart.plus({weeks: period * rule.interval});
+      const weekdays = rule.byDay.length > 0 ?
+        rule.byDay.map((day) => day.weekday) :
+        [dtstart.weekday];
+      days = weekdays.map((weekday) => weekStart.plus({days: weekday - 1}));
+    } else {
+      const monthStart = periodStart.plus({months: period * rule.interval});
+      days = monthlyCandidates(monthStart, rule, dtstart);
+    }
+    return Array.from(new Set(days.map((day) => day.set(timeOfDay).toMillis())))
+        .sort((a, b) => a - b);
+  };
+
+  return {rule, dtstart, periodStart, startsIn};
+}
+
+/**
+ * Expand a recurring series into occurrences overlapping a time range
+ * @param {object} series - Series definition
+ * @param {Date} series.startsAt - First occurrence start (DTSTART)
+ * @param {Date|null} series.endsAt - First occurrence end; sets every occurrence's duration
+ * @param {string} series.rrule - RRULE string
+ * @param {Array<string>} series.exdates - Occurrence IDs to skip
+ * @param {string} series.timeZone - IANA zone for wall-clock times
+ * @param {object} range - Range to return
+ * @param {Date} range.from - Range start
+ * @param {Date} range.to - Range end
+ * @param {number} range.limit - Maximum occurrences to return
+ * @return {Array<object>} [{occurrenceId, startsAt, endsAt}]
+ */
+function expandOccurrences(series, {from, to, limit = 50}) {
+  const {rule, dtstart, startsIn} = periodWalker(series);
+  const durationMs = series.endsAt ? series.endsAt.getTime() - series.startsAt.getTime() : 0;
+  const exdates = new Set(series.exdates || []);
+
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const occurrences = [];
+  let emitted = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const startMs of startsIn(period)) {
+      if (startMs < dtstart.toMillis()) continue;
+      if (rule.until && startMs > rule.until.getTime()) return occurrences;
+      if (rule.count && emitted >= rule.count) return occurrences;
+      if (startMs >= toMs) return occurrences;
+
+      // Exception dates still use up COUNT, as in RFC 5545
+      emitted++;
+      const start = new Date(startMs);
+      const occurrenceId = occurrenceIdFor(start);
+      if (exdates.has(occurrenceId) || startMs + durationMs < fromMs) continue;
+
+      occurrences.push({
+        occurrenceId: occurrenceId,
+        startsAt: start,
+        endsAt: durationMs > 0 ? new Date(startMs + durationMs) : null,
+      });
+      if (occurrences.length >= limit) return occurrences;
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Find the start of the last occurrence of a bounded series without
+ * expanding it: COUNT rules stop after COUNT candidates, and UNTIL rules are
+ * searched backwards from the period containing UNTIL.
+ * @param {object} series - See expandOccurrences
+ * @return {Date|null} Last occurrence start, or null if the rule has no
+ *   UNTIL/COUNT or every occurrence is an exception date
+ */
+function lastOccurrenceStart(series) {
+  const {rule, dtstart, periodStart, startsIn} = periodWalker(series);
+  if (!rule.until && !rule.count) return null;
+
+  const exdates = new Set(series.exdates || []);
+  const isOccurrence = (startMs) => startMs >= dtstart.toMillis() &&
+    (!rule.until || startMs <= rule.until.getTime()) &&
+    !exdates.has(occurrenceIdFor(new Date(startMs)));
+
+  if (rule.count) {
+    // COUNT is at most 500, and exception dates use it up too
+    let emitted = 0;
+    let lastMs = null;
+    for (let period = 0; period < MAX_PERIODS && emitted < rule.count; period++) {
+      for (const startMs of startsIn(period)) {
+        if (startMs < dtstart.toMillis()) continue;
+        if (emitted >= rule.count) break;
+        emitted++;
+        if (isOccurrence(startMs)) lastMs = startMs;
+      }
+    }
+    return lastMs === null ? null : new Date(lastMs);
+  }
+
+  const until = DateTime.fromJSDate(rule.until, {zone: dtstart.zone});
+  const periodsToUntil = rule.freq === "WEEKLY" ?
+    Math.round(until.startOf("week").diff(periodStart, "weeks").weeks) :
+    (until.year - periodStart.year) * 12 + until.month - periodStart.month;
+  const lastPeriod = Math.min(Math.floor(periodsToUntil / rule.interval), MAX_PERIODS - 1);
+
+  for (let period = lastPeriod; period >= 0; period--) {
+    const starts = startsIn(period).filter(isOccurrence);
+    if (starts.length > 0) return new Date(starts[starts.length - 1]);
+  }
+  return null;
+}
+
+/**
+ * Count the occurrences of a series that start before a given time,
+ * including exception dates (used to split COUNT rules)
+ * @param {object} series - See expandOccurrences
+ * @param {Date} before - Cut-off
+ * @return {number} Occurrences starting before the cut-off
+ */
+function countOccurrencesBefore(series, before) {
+  return expandOccurrences({...series, exdates: []}, {
+    from: series.startsAt,
+    to: before,
+    limit: Number.MAX_SAFE_INTEGER,
+  }).length;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  parseRRule,
+  formatRRule,
+  occurrenceIdFor,
+  occurrenceStartFor,
+  normalizeOccurrenceId,
+  expandOccurrences,
+  lastOccurrenceStart,
+  countOccurrencesBefore,
+};
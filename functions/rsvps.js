@@ -0,0 +1,743 @@
+/**
+ * RSVP Functions
+ * Lets users say whether they plan to attend an event before it starts.
+ *
+ * RSVPs are separate from signals: an RSVP records intent ("going",
+ * "interested", "not_going"), a signal records a physical check-in, so hosts
+ * can compare the two. Both user events (`events`) and scraped campus events
+ * (`campus_events_live`) can be RSVPed to; occurrences of recurring events are
+ * RSVPed to individually.
+ *
+ * Each user has at most one RSVP per target, stored as
+ * rsvps/{targetType}_{targetId}[_{occurrenceId}]_{userId}. Counts per status
+ * are kept on the target in `rsvpCounts` by onRsvpWrite.
+ *
+ * Events with a `capacity` or `requiresApproval` admit "going" RSVPs through
+ * `approvalStatus`:
+ *   approved   - has a seat (the only "going" RSVPs counted against capacity)
+ *   pending    - waiting for the host (requiresApproval)
+ *   waitlisted - approved but the event was full; promoted in waitlistedAt
+ *                order when a seat frees up
+ *   rejected   - declined by the host; cannot RSVP "going" again
+ * Only users with an approved seat can check in to these events.
+ */
+
+const functions = require("firebase-functions");
+const functionsV1 = require("firebase-functions/v1");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {parsePageSize, fetchPage} = require("./pagination");
+const {isAdmin} = require("./access");
+const {assertCanViewEvent} = require("./eventAccess");
+const {PERMISSIONS, hasPermission, assertPermission} = require("./eventRoles");
+const {isRecurring, resolveOccurrence, occurrenceRef} = require("./eventOccurrences");
+const {EVENT_STATUS, withCurrentStatus} = require("./eventLifecycle");
+
+const db = admin.firestore();
+
+const RSVPS_COLLECTION = "rsvps";
+const TARGET_TYPES = {
+  EVENT: "event",
+  CAMPUS: "campus",
+};
+const RSVP_STATUS = {
+  GOING: "going",
+  INTERESTED: "interested",
+  NOT_GOING: "not_going",
+};
+const APPROVAL_STATUS = {
+  APPROVED: "approved",
+  PENDING: "pending",
+  WAITLISTED: "waitlisted",
+  REJECTED: "rejected",
+};
+// Key of each status in a target's rsvpCounts map; "going" RSVPs are counted
+// by approval status
+const COUNT_FIELDS = {
+  [RSVP_STATUS.INTERESTED]: "interested",
+  [RSVP_STATUS.NOT_GOING]: "notGoing",
+  [APPROVAL_STATUS.APPROVED]: "going",
+  [APPROVAL_STATUS.PENDING]: "pending",
+  [APPROVAL_STATUS.WAITLISTED]: "waitlisted",
+};
+
+/**
+ * Key identifying what an RSVP is for (one event, occurrence or campus event)
+ * @param {string} targetType - "event" or "campus"
+ * @param {string} targetId - Event or campus event ID
+ * @param {string|null} occurrenceId - Occurrence of a recurring event
+ * @return {string} Target key
+ */
+function targetKeyFor(targetType, targetId, occurrenceId = null) {
+  return occurrenceId ?
+    `${targetType}_${targetId}_${occurrenceId}` :
+    `${targetType}_${targetId}`;
+}
+
+/**
+ * Document ID of a user's RSVP to a target
+ * @param {string} targetKey - Target key
+ * @param {string} userId - User ID
+ * @return {string} RSVP ID
+ */
+function rsvpIdFor(targetKey, userId) {
+  return `${targetKey}_${userId}`;
+}
+
+/**
+ * rsvpCounts key an RSVP is counted under
+ * @param {object|null} rsvp - RSVP document data
+ * @return {string|null} Count key, or null if not counted
+ */
+function countFieldFor(rsvp) {
+  if (!rsvp) return null;
+  if (rsvp.status !== RSVP_STATUS.GOING) return COUNT_FIELDS[rsvp.status] || null;
+  return COUNT_FIELDS[rsvp.approvalStatus || APPROVAL_STATUS.APPROVED] || null;
+}
+
+/**
+ * Whether an RSVP holds a seat
+ * @param {object|null} rsvp - RSVP document data
+ * @return {boolean} True for approved "going" RSVPs
+ */
+function holdsSeat(rsvp) {
+  return Boolean(rsvp) && rsvp.status === RSVP_STATUS.GOING &&
+    (rsvp.approvalStatus || APPROVAL_STATUS.APPROVED) === APPROVAL_STATUS.APPROVED;
+}
+
+/**
+ * Whether an event limits who can attend
+ * @param {object} event - Event document data
+ * @return {boolean} True when the event has a capacity or requires approval
+ */
+function isLimited(event) {
+  return Boolean(event.requiresApproval || event.capacity);
+}
+
+/**
+ * Count the seats taken for a target inside a transaction
+ * @param {FirebaseFirestore.Transaction} transaction - Transaction
+ * @param {string} targetKey - Target key
+ * @return {Promise<number>} Approved "going" RSVPs
+ */
+async function countSeats(transaction, targetKey) {
+  const snapshot = await transaction.get(db.collection(RSVPS_COLLECTION)
+      .where("targetKey", "==", targetKey)
+      .where("status", "==", RSVP_STATUS.GOING)
+      .where("approvalStatus", "==", APPROVAL_STATUS.APPROVED)
+      .select());
+  return snapshot.size;
+}
+
+/**
+ * Load what is being RSVPed to
+ * @param {string} targetType - "event" or "campus"
+ * @param {string} targetId - Event or campus event ID
+ * @param {string|null} occurrenceId - Occurrence of a recurring event
+ * @param {string|null} viewerId - When set, hidden events are reported as missing
+ * @return {Promise<object>} {hostId, roles, title, startsAt, occurrenceId, capacity,
+ *   requiresApproval, status, cancellationReason}
+ */
+async function loadRsvpTarget(targetType, targetId, occurrenceId, viewerId = null) {
+  if (targetType === TARGET_TYPES.CAMPUS) {
+    const campusDoc = await db.collection("campus_events_live").doc(targetId).get();
+    if (!campusDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Campus event not found",
+          {code: "CAMPUS_EVENT_NOT_FOUND"});
+    }
+
+    const campusEvent = campusDoc.data();
+    const startsAt = campusEvent.startTimeISO ? new Date(campusEvent.startTimeISO) : null;
+    return {
+      hostId: null,
+      roles: {},
+      title: campusEvent.title || "",
+      startsAt: startsAt && !isNaN(startsAt.getTime()) ?
+        admin.firestore.Timestamp.fromDate(startsAt) :
+        null,
+      occurrenceId: null,
+      capacity: null,
+      requiresApproval: false,
+      status: null,
+      cancellationReason: null,
+    };
+  }
+
+  const eventDoc = await db.collection("events").doc(targetId).get();
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Event not found", {code: "EVENT_NOT_FOUND"});
+  }
+
+  let event = eventDoc.data();
+  if (viewerId) {
+    await assertCanViewEvent(event, viewerId);
+  }
+  if (isRecurring(event)) {
+    // RSVPs to a recurring event are for one occurrence (default: the next one)
+    event = await resolveOccurrence(event, occurrenceId || null);
+    if (!event) {
+      throw new functions.https.HttpsError("not-found", "Occurrence not found",
+          {code: "OCCURRENCE_NOT_FOUND"});
+    }
+  } else if (occurrenceId) {
+    throw new functions.https.HttpsError("invalid-argument", "Event does not repeat");
+  } else {
+    event = withCurrentStatus(event);
+  }
+
+  return {
+    hostId: event.hostId,
+    roles: event.roles || {},
+    title: event.title || "",
+    startsAt: event.startsAt || null,
+    occurrenceId: event.occurrenceId || null,
+    capacity: event.capacity || null,
+    requiresApproval: Boolean(event.requiresApproval),
+    status: event.status,
+    cancellationReason: event.cancellationReason || null,
+  };
+}
+
+/**
+ * Parse and check the target arguments shared by the RSVP callables
+ * @param {object} data - Callable arguments
+ * @return {object} {targetType, targetId, occurrenceId}
+ */
+function parseTarget(data) {
+  const targetType = data.targetType || TARGET_TYPES.EVENT;
+  if (!Object.values(TARGET_TYPES).includes(targetType)) {
+    throw new functions.https.HttpsError("invalid-argument", "targetType must be event or campus");
+  }
+  if (!data.targetId || typeof data.targetId !== "string") {
+    throw new functions.https.HttpsError("invalid-argument", "targetId is required");
+  }
+  return {targetType, targetId: data.targetId, occurrenceId: data.occurrenceId || null};
+}
+
+/**
+ * Document holding the rsvpCounts of an RSVP's target
+ * @param {object} rsvp - RSVP document data
+ * @return {FirebaseFirestore.DocumentReference} Target document
+ */
+function countsRefFor(rsvp) {
+  if (rsvp.targetType === TARGET_TYPES.CAMPUS) {
+    return db.collection("campus_events_live").doc(rsvp.targetId);
+  }
+  if (rsvp.occurrenceId) {
+    return occurrenceRef(rsvp.targetId, rsvp.occurrenceId);
+  }
+  return db.collection("events").doc(rsvp.targetId);
+}
+
+/**
+ * Decide the approval fields of an RSVP being set
+ * @param {FirebaseFirestore.Transaction} transaction - Transaction
+ * @param {object} target - Output of loadRsvpTarget
+ * @param {string} targetKey - Target key
+ * @param {object|null} existing - Current RSVP
+ * @param {string} status - Requested RSVP status
+ * @return {Promise<object>} {approvalStatus, waitlistedAt}
+ */
+async function admit(transaction, target, targetKey, existing, status) {
+  const wasRejected = Boolean(existing) && existing.approvalStatus === APPROVAL_STATUS.REJECTED;
+
+  if (status !== RSVP_STATUS.GOING) {
+    // A rejection sticks, so switching status cannot be used to ask again
+    return {
+      approvalStatus: wasRejected ? APPROVAL_STATUS.REJECTED : null,
+      waitlistedAt: null,
+    };
+  }
+  if (wasRejected) {
+    throw new functions.https.HttpsError("permission-denied",
+        "The host declined your request for this event", {code: "RSVP_DECLINED"});
+  }
+
+  // Already going: keep the seat, request or waitlist position
+  if (existing && existing.status === RSVP_STATUS.GOING && existing.approvalStatus) {
+    return {
+      approvalStatus: existing.approvalStatus,
+      waitlistedAt: existing.waitlistedAt || null,
+    };
+  }
+
+  if (target.requiresApproval) {
+    return {approvalStatus: APPROVAL_STATUS.PENDING, waitlistedAt: null};
+  }
+  if (target.capacity && await countSeats(transaction, targetKey) >= target.capacity) {
+    return {
+      approvalStatus: APPROVAL_STATUS.WAITLISTED,
+      waitlistedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+  }
+  return {approvalStatus: APPROVAL_STATUS.APPROVED, waitlistedAt: null};
+}
+
+/**
+ * Give free seats of a target to the longest-waiting waitlisted RSVPs
+ * @param {string} targetKey - Target key
+ * @param {number|null} capacity - Seats available (null: unlimited)
+ * @return {Promise<number>} RSVPs promoted
+ */
+async function promoteWaitlist(targetKey, capacity) {
+  return db.runTransaction(async (transaction) => {
+    const freeSeats = capacity ?
+      capacity - await countSeats(transaction, targetKey) :
+      Number.MAX_SAFE_INTEGER;
+    if (freeSeats <= 0) return 0;
+
+    const waitlisted = await transaction.get(db.collection(RSVPS_COLLECTION)
+        .where("targetKey", "==", targetKey)
+        .where("approvalStatus", "==", APPROVAL_STATUS.WAITLISTED)
+        .orderBy("waitlistedAt", "asc")
+        .limit(Math.min(freeSeats, 500)));
+
+    waitlisted.docs.forEach((doc) => {
+      transaction.update(doc.ref, {
+        approvalStatus: APPROVAL_STATUS.APPROVED,
+        waitlistedAt: null,
+        promotedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    return waitlisted.size;
+  });
+}
+
+/**
+ * Promote waitlisted RSVPs on every occurrence of an event, e.g. after the
+ * host raises or removes its capacity
+ * @param {string} eventId - Event ID
+ * @return {Promise<number>} RSVPs promoted
+ */
+async function promoteWaitlistsForEvent(eventId) {
+  const eventDoc = await db.collection("events").doc(eventId).get();
+  if (!eventDoc.exists) return 0;
+
+  const waitlisted = await db.collection(RSVPS_COLLECTION)
+      .where("targetType", "==", TARGET_TYPES.EVENT)
+      .where("targetId", "==", eventId)
+      .where("approvalStatus", "==", APPROVAL_STATUS.WAITLISTED)
+      .select("targetKey")
+      .get();
+
+  const targetKeys = new Set(waitlisted.docs.map((doc) => doc.data().targetKey));
+  let promoted = 0;
+  for (const targetKey of targetKeys) {
+    promoted += await promoteWaitlist(targetKey, eventDoc.data().capacity || null);
+  }
+  return promoted;
+}
+
+/**
+ * Check that a user may check in to an event that limits attendance,
+ * throwing a failed-precondition HttpsError (details.code RSVP_REQUIRED,
+ * RSVP_PENDING, RSVP_WAITLISTED or RSVP_REJECTED) if not
+ * @param {object} event - Event (or occurrence view) data
+ * @param {string} eventId - Event ID
+ * @param {string|null} occurrenceId - Occurrence of a recurring event
+ * @param {string} userId - User checking in
+ */
+async function assertAdmitted(event, eventId, occurrenceId, userId) {
+  if (!isLimited(event)) return;
+
+  const rsvpId = rsvpIdFor(targetKeyFor(TARGET_TYPES.EVENT, eventId, occurrenceId), userId);
+  const rsvpDoc = await db.collection(RSVPS_COLLECTION).doc(rsvpId).get();
+  const rsvp = rsvpDoc.exists ? rsvpDoc.data() : null;
+  if (holdsSeat(rsvp)) return;
+
+  let code = "RSVP_REQUIRED";
+  let message = "RSVP as going to check in to this event";
+  if (rsvp && rsvp.approvalStatus === APPROVAL_STATUS.PENDING) {
+    code = "RSVP_PENDING";
+    message = "The host has not approved your RSVP yet";
+  } else if (rsvp && rsvp.approvalStatus === APPROVAL_STATUS.WAITLISTED) {
+    code = "RSVP_WAITLISTED";
+    message = "You are on the waitlist for this event";
+  } else if (rsvp && rsvp.approvalStatus === APPROVAL_STATUS.REJECTED) {
+    code = "RSVP_REJECTED";
+    message = "The host declined your request for this event";
+  }
+  throw new functions.https.HttpsError("failed-precondition", message, {code});
+}
+
+/**
+ * RSVP to an event, occurrence or campus event, or change an existing RSVP
+ * HTTP endpoint: POST /setRsvp
+ *
+ * Arguments: targetType ("event" default, or "campus"), targetId,
+ * occurrenceId (recurring events; default the next occurrence) and status
+ * ("going", "interested" or "not_going"). For events with a capacity or
+ * approval, check the returned approvalStatus.
+ */
+exports.setRsvp = callable("setRsvp", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const userId = context.auth.uid;
+  const {targetType, targetId, occurrenceId} = parseTarget(data);
+  if (!Object.values(RSVP_STATUS).includes(data.status)) {
+    throw new functions.https.HttpsError("invalid-argument",
+        "status must be one of: going, interested, not_going");
+  }
+
+  const target = await loadRsvpTarget(targetType, targetId, occurrenceId, userId);
+  if (target.status === EVENT_STATUS.CANCELLED) {
+    throw new functions.https.HttpsError("failed-precondition", "Event has been cancelled",
+        {code: "EVENT_CANCELLED", reason: target.cancellationReason});
+  }
+  if (target.status === EVENT_STATUS.DRAFT) {
+    throw new functions.https.HttpsError("failed-precondition", "Event has not been published",
+        {code: "EVENT_NOT_PUBLISHED"});
+  }
+  if (target.startsAt && target.startsAt.toMillis() < Date.now() - 24 * 60 * 60 * 1000) {
+    throw new functions.https.HttpsError("failed-precondition", "Event is over",
+        {code: "EVENT_ENDED"});
+  }
+
+  const targetKey = targetKeyFor(targetType, targetId, target.occurrenceId);
+  const rsvpId = rsvpIdFor(targetKey, userId);
+  const rsvpRef = db.collection(RSVPS_COLLECTION).doc(rsvpId);
+
+  const rsvpData = await db.runTransaction(async (transaction) => {
+    const existingDoc = await transaction.get(rsvpRef);
+    const existing = existingDoc.exists ? existingDoc.data() : null;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const admission = await admit(transaction, target, targetKey, existing, data.status);
+    const rsvp = {
+      id: rsvpId,
+      userId: userId,
+      targetType: targetType,
+      targetId: targetId,
+      occurrenceId: target.occurrenceId,
+      targetKey: targetKey,
+      title: target.title,
+      startsAt: target.startsAt,
+      status: data.status,
+      ...admission,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+    transaction.set(rsvpRef, rsvp);
+    return rsvp;
+  });
+
+  return {
+    success: true,
+    rsvpId: rsvpId,
+    rsvp: rsvpData,
+  };
+});
+
+/**
+ * Withdraw an RSVP
+ * HTTP endpoint: POST /deleteRsvp
+ *
+ * Arguments: targetType, targetId and occurrenceId as for setRsvp. Rejected
+ * RSVPs cannot be withdrawn, so a rejection cannot be undone by asking again.
+ */
+exports.deleteRsvp = callable("deleteRsvp", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const {targetType, targetId, occurrenceId} = parseTarget(data);
+  const target = await loadRsvpTarget(targetType, targetId, occurrenceId);
+  const rsvpId = rsvpIdFor(
+      targetKeyFor(targetType, targetId, target.occurrenceId), context.auth.uid);
+  const rsvpRef = db.collection(RSVPS_COLLECTION).doc(rsvpId);
+
+  const rsvpDoc = await rsvpRef.get();
+  if (!rsvpDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "RSVP not found", {code: "RSVP_NOT_FOUND"});
+  }
+  // The rejected RSVP is the record admit() checks, so it cannot be withdrawn
+  if (rsvpDoc.data().approvalStatus === APPROVAL_STATUS.REJECTED) {
+    throw new functions.https.HttpsError("permission-denied",
+        "The host declined your request for this event", {code: "RSVP_DECLINED"});
+  }
+  await rsvpRef.delete();
+
+  return {
+    success: true,
+    message: "RSVP deleted successfully",
+  };
+});
+
+/**
+ * Load an RSVP for a host decision, checking the caller manages the event's
+ * RSVPs (owner, co-host or door staff)
+ * @param {string} rsvpId - RSVP ID
+ * @param {object} context - Callable context
+ * @return {Promise<object>} {rsvpRef, rsvp, event}
+ */
+async function loadRsvpForHost(rsvpId, context) {
+  if (!rsvpId) {
+    throw new functions.https.HttpsError("invalid-argument", "RSVP ID is required");
+  }
+
+  const rsvpRef = db.collection(RSVPS_COLLECTION).doc(rsvpId);
+  const rsvpDoc = await rsvpRef.get();
+  if (!rsvpDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "RSVP not found", {code: "RSVP_NOT_FOUND"});
+  }
+
+  const rsvp = rsvpDoc.data();
+  if (rsvp.targetType !== TARGET_TYPES.EVENT) {
+    throw new functions.https.HttpsError("failed-precondition", "Campus events have no host",
+        {code: "CAMPUS_EVENT_HAS_NO_HOST"});
+  }
+  const eventDoc = await db.collection("events").doc(rsvp.targetId).get();
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Event not found", {code: "EVENT_NOT_FOUND"});
+  }
+  assertPermission(eventDoc.data(), context.auth.uid, PERMISSIONS.MANAGE_RSVPS,
+      "Only the event hosts can approve or reject RSVPs");
+  return {rsvpRef, rsvp, event: eventDoc.data()};
+}
+
+/**
+ * Approve a pending RSVP (event staff only). The user gets a seat, or joins
+ * the waitlist if the event is full.
+ * HTTP endpoint: POST /approveRsvp
+ */
+exports.approveRsvp = callable("approveRsvp", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const {rsvpRef, event} = await loadRsvpForHost(data.rsvpId, context);
+
+  const approvalStatus = await db.runTransaction(async (transaction) => {
+    const rsvpDoc = await transaction.get(rsvpRef);
+    const rsvp = rsvpDoc.data();
+    if (rsvp.status !== RSVP_STATUS.GOING || rsvp.approvalStatus !== APPROVAL_STATUS.PENDING) {
+      throw new functions.https.HttpsError("failed-precondition",
+          "RSVP is not awaiting approval", {code: "RSVP_NOT_PENDING"});
+    }
+
+    const full = Boolean(event.capacity) &&
+      await countSeats(transaction, rsvp.targetKey) >= event.capacity;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(rsvpRef, {
+      approvalStatus: full ? APPROVAL_STATUS.WAITLISTED : APPROVAL_STATUS.APPROVED,
+      waitlistedAt: full ? now : null,
+      reviewedBy: context.auth.uid,
+      reviewedAt: now,
+      updatedAt: now,
+    });
+    return full ? APPROVAL_STATUS.WAITLISTED : APPROVAL_STATUS.APPROVED;
+  });
+
+  return {
+    success: true,
+    rsvpId: data.rsvpId,
+    approvalStatus: approvalStatus,
+  };
+});
+
+/**
+ * Reject a "going" RSVP (event staff only). Works on pending, waitlisted and
+ * approved RSVPs; a freed seat goes to the waitlist.
+ * HTTP endpoint: POST /rejectRsvp
+ */
+exports.rejectRsvp = callable("rejectRsvp", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const {rsvpRef, rsvp} = await loadRsvpForHost(data.rsvpId, context);
+  if (rsvp.status !== RSVP_STATUS.GOING || rsvp.approvalStatus === APPROVAL_STATUS.REJECTED) {
+    throw new functions.https.HttpsError("failed-precondition", "RSVP cannot be rejected",
+        {code: "RSVP_NOT_REJECTABLE"});
+  }
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await rsvpRef.update({
+    approvalStatus: APPROVAL_STATUS.REJECTED,
+    waitlistedAt: null,
+    reviewedBy: context.auth.uid,
+    reviewedAt: now,
+    updatedAt: now,
+  });
+
+  return {
+    success: true,
+    rsvpId: data.rsvpId,
+    approvalStatus: APPROVAL_STATUS.REJECTED,
+  };
+});
+
+/**
+ * List the caller's RSVPs to upcoming events, soonest first
+ * HTTP endpoint: POST /getMyRsvps
+ *
+ * Arguments: status (optional filter), includePast (default false),
+ * pageSize (default 25, max 100) and pageToken (from nextPageToken).
+ */
+exports.getMyRsvps = callable("getMyRsvps", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  if (data.status && !Object.values(RSVP_STATUS).includes(data.status)) {
+    throw new functions.https.HttpsError("invalid-argument", "Unknown RSVP status");
+  }
+
+  let query = db.collection(RSVPS_COLLECTION).where("userId", "==", context.auth.uid);
+  if (data.status) {
+    query = query.where("status", "==", data.status);
+  }
+  if (!data.includePast) {
+    // Events that started in the last few hours may still be running
+    const since = admin.firestore.Timestamp.fromMillis(Date.now() - 6 * 60 * 60 * 1000);
+    query = query.where("startsAt", ">=", since);
+  }
+
+  const {docs, nextPageToken} = await fetchPage(query, [["startsAt", "asc"]], {
+    pageToken: data.pageToken,
+    pageSize: parsePageSize(data.pageSize),
+  });
+  const rsvps = docs.map((doc) => doc.data());
+
+  return {
+    success: true,
+    rsvps: rsvps,
+    count: rsvps.length,
+    nextPageToken: nextPageToken,
+  };
+});
+
+/**
+ * List the RSVPs to an event (event staff only; admins for campus events).
+ * Each RSVP is marked `checkedIn` when the user also has a signal for the
+ * event, so hosts can compare intent with turnout.
+ * HTTP endpoint: POST /getEventRsvps
+ *
+ * Arguments: targetType, targetId, occurrenceId, status and approvalStatus
+ * (optional filters), pageSize and pageToken.
+ */
+exports.getEventRsvps = callable("getEventRsvps", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const {targetType, targetId, occurrenceId} = parseTarget(data);
+  if (data.status && !Object.values(RSVP_STATUS).includes(data.status)) {
+    throw new functions.https.HttpsError("invalid-argument", "Unknown RSVP status");
+  }
+  if (data.approvalStatus && !Object.values(APPROVAL_STATUS).includes(data.approvalStatus)) {
+    throw new functions.https.HttpsError("invalid-argument", "Unknown approval status");
+  }
+
+  const target = await loadRsvpTarget(targetType, targetId, occurrenceId);
+  if (!isAdmin(context) && !hasPermission(target, context.auth.uid, PERMISSIONS.VIEW_ATTENDEES)) {
+    throw new functions.https.HttpsError("permission-denied",
+        "Only the event hosts can see its RSVPs",
+        {code: "EVENT_PERMISSION_REQUIRED", permission: PERMISSIONS.VIEW_ATTENDEES});
+  }
+
+  let query = db.collection(RSVPS_COLLECTION)
+      .where("targetKey", "==", targetKeyFor(targetType, targetId, target.occurrenceId));
+  if (data.status) {
+    query = query.where("status", "==", data.status);
+  }
+  if (data.approvalStatus) {
+    query = query.where("approvalStatus", "==", data.approvalStatus);
+  }
+
+  const [page, signalsSnapshot] = await Promise.all([
+    fetchPage(query, [["createdAt", "asc"]], {
+      pageToken: data.pageToken,
+      pageSize: parsePageSize(data.pageSize),
+    }),
+    targetType === TARGET_TYPES.EVENT ?
+      db.collection("signals").where("eventId", "==", targetId)
+          .select("userId", "occurrenceId").get() :
+      null,
+  ]);
+
+  const checkedIn = new Set();
+  if (signalsSnapshot) {
+    signalsSnapshot.docs.forEach((doc) => {
+      const signal = doc.data();
+      if (!target.occurrenceId || signal.occurrenceId === target.occurrenceId) {
+        checkedIn.add(signal.userId);
+      }
+    });
+  }
+
+  const rsvps = page.docs.map((doc) => {
+    const rsvp = doc.data();
+    return {...rsvp, checkedIn: checkedIn.has(rsvp.userId)};
+  });
+
+  return {
+    success: true,
+    rsvps: rsvps,
+    count: rsvps.length,
+    nextPageToken: page.nextPageToken,
+  };
+});
+
+/**
+ * Trigger: When an RSVP is created, changed or deleted
+ * Keeps rsvpCounts on the event, occurrence or campus event in step
+ */
+exports.onRsvpWrite = functionsV1.firestore
+    .document("rsvps/{rsvpId}")
+    .onWrite(async (change, context) => {
+      try {
+        const before = change.before.exists ? change.before.data() : null;
+        const after = change.after.exists ? change.after.data() : null;
+        const rsvp = after || before;
+
+        const beforeField = countFieldFor(before);
+        const afterField = countFieldFor(after);
+
+        if (beforeField !== afterField) {
+          const counts = {};
+          if (beforeField) {
+            counts[`rsvpCounts.${beforeField}`] = admin.firestore.FieldValue.increment(-1);
+          }
+          if (afterField) {
+            counts[`rsvpCounts.${afterField}`] = admin.firestore.FieldValue.increment(1);
+          }
+
+          // Occurrence documents are created on demand; events and campus events
+          // must still exist (update fails once they are deleted)
+          const countsRef = countsRefFor(rsvp);
+          if (rsvp.occurrenceId) {
+            await countsRef.set({occurrenceId: rsvp.occurrenceId}, {merge: true});
+          }
+          await countsRef.update(counts);
+        }
+
+        // A freed seat goes to the first person on the waitlist
+        if (holdsSeat(before) && !holdsSeat(after) && rsvp.targetType === TARGET_TYPES.EVENT) {
+          const eventDoc = await db.collection("events").doc(rsvp.targetId).get();
+          if (eventDoc.exists && eventDoc.data().capacity) {
+            const promoted = await promoteWaitlist(rsvp.targetKey, eventDoc.data().capacity);
+            console.log(`Promoted ${promoted} waitlisted RSVPs for ${rsvp.targetKey}`);
+          }
+        }
+
+        console.log(`RSVP ${context.params.rsvpId}: ${beforeField} -> ${afterField}`);
+      } catch (error) {
+        console.error("Error in onRsvpWrite trigger:", error);
+      }
+    });
+
+exports.RSVP_STATUS = RSVP_STATUS;
+exports.targetKeyFor = targetKeyFor;
+exports.APPROVAL_STATUS = APPROVAL_STATUS;
+exports.TARGET_TYPES = TARGET_TYPES;
+exports.assertAdmitted = assertAdmitted;
+exports.promoteWaitlistsForEvent = promoteWaitlistsForEvent;
@@ -0,0 +1,285 @@
+/**
+ * Document Schemas
+ * Declares which fields clients may write to each collection and checks
+ * create/update callable payloads against them.
+ *
+ * Every field a client sends must be declared in `fields`; server-managed
+ * fields (counters, ownership, timestamps, status) and computed fields are
+ * rejected rather than silently dropped. Callable arguments that are not
+ * document fields (e.g. the document ID) are passed as `args` and skipped.
+ *
+ * Field specs:
+ *   type       - string, number, integer, boolean, timestamp, array or object
+ *   required   - must be present on create
+ *   nullable   - null is accepted
+ *   createOnly - can be set on create but never changed
+ *   min/max, maxLength, maxItems, items (array element type), enum
+ *
+ * Computed fields are derived from other fields by the server, e.g. geohash
+ * from latitude/longitude, and are recomputed whenever those change.
+ *
+ * Rejections are invalid-argument HttpsErrors with details.code
+ * INVALID_FIELDS and details.errors: [{field, code, message}], where code is
+ * UNKNOWN_FIELD, READ_ONLY_FIELD, MISSING_FIELD or INVALID_FIELD.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {GEOHASH_PRECISION, encodeGeohash} = require("./geohash");
+const {VISIBILITY} = require("./eventAccess");
+const {EVENT_STATUS} = require("./eventLifecycle");
+
+const FIELD_ERRORS = {
+  UNKNOWN: "UNKNOWN_FIELD",
+  READ_ONLY: "READ_ONLY_FIELD",
+  MISSING: "MISSING_FIELD",
+  INVALID: "INVALID_FIELD",
+};
+
+const geohashFromCoordinates = {
+  from: ["latitude", "longitude"],
+  compute: (doc) => encodeGeohash(doc.latitude, doc.longitude, GEOHASH_PRECISION),
+};
+
+const SCHEMAS = {
+  users: {
+    fields: {
+      displayName: {type: "string", maxLength: 100},
+      interests: {type: "array", items: "string", maxItems: 50},
+      friendIds: {type: "array", items: "string", maxItems: 1000},
+    },
+    serverFields: ["id", "auraPoints", "createdAt", "updatedAt"],
+  },
+  events: {
+    fields: {
+      title: {type: "string", required: true, maxLength: 200},
+      description: {type: "string", nullable: true, maxLength: 5000},
+      locationName: {type: "string", nullable: true, maxLength: 200},
+      imageUrl: {type: "string", nullable: true, maxLength: 2000},
+      latitude: {type: "number", required: true, min: -90, max: 90},
+      longitude: {type: "number", required: true, min: -180, max: 180},
+      radiusMeters: {type: "number", min: 1, max: 5000},
+      startsAt: {type: "timestamp", nullable: true},
+      endsAt: {type: "timestamp", nullable: true},
+      tags: {type: "array", items: "string", maxItems: 20},
+      venueType: {type: "string", nullable: true, maxLength: 50},
+      recurrence: {type: "object", nullable: true},
+      capacity: {type: "integer", nullable: true, min: 1},
+      requiresApproval: {type: "boolean"},
+      visibility: {type: "string", enum: Object.values(VISIBILITY)},
+      // Events can start as drafts; later status changes go through the lifecycle callables
+      status: {type: "string", enum: [EVENT_STATUS.DRAFT], createOnly: true},
+    },
+    serverFields: [
+      "id", "hostId", "roles", "invitedUserIds", "createdAt", "updatedAt",
+      "signalStrength", "attendeeCount", "peopleCount", "rsvpCounts", "forecast",
+      "splitFromEventId", "nextStatusAt", "statusChangedAt", "publishedAt",
+      "cancellationReason", "cancelledAt", "cancelledBy",
+    ],
+    computed: {
+      geohash: geohashFromCoordinates,
+    },
+  },
+  signals: {
+    fields: {
+      eventId: {type: "string", required: true, createOnly: true},
+      occurrenceId: {type: "string", nullable: true, createOnly: true},
+      // Location is fixed at check-in so it cannot be moved out of the geofence
+      latitude: {type: "number", required: true, min: -90, max: 90, createOnly: true},
+      longitude: {type: "number", required: true, min: -180, max: 180, createOnly: true},
+      accuracyMeters: {type: "number", nullable: true, min: 0, createOnly: true},
+      attestation: {type: "object", nullable: true, createOnly: true},
+      signalStrength: {type: "integer", min: 1, max: 5},
+    },
+    serverFields: [
+      "id", "userId", "clusterId", "peopleCount", "color", "radiusMeters",
+      "tierLabel", "tierVersion", "createdAt", "updatedAt", "lastSeenAt",
+      "checkInDistanceMeters", "checkInAccuracyMeters",
+      "fraudScore", "fraudReasons", "fraudStatus", "fraudEvidence",
+      "reviewedBy", "reviewedAt", "reviewNote",
+    ],
+    computed: {
+      geohash: geohashFromCoordinates,
+    },
+  },
+  points: {
+    fields: {
+      // Self-awarded, so kept to the size of the largest built-in award
+      points: {type: "integer", required: true, min: 1, max: 100},
+      reason: {type: "string", required: true, maxLength: 200},
+    },
+    serverFields: ["id", "userId", "source", "createdAt", "updatedAt"],
+  },
+};
+
+/**
+ * Check one value against its spec
+ * @param {*} value - Client supplied value (not undefined)
+ * @param {object} spec - Field spec
+ * @return {object} {value} converted for storage, or {error} describing the problem
+ */
+function checkValue(value, spec) {
+  if (value === null) {
+    return spec.nullable ? {value: null} : {error: "cannot be null"};
+  }
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return {error: "must be a string"};
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return {error: `must be at most ${spec.maxLength} characters`};
+      }
+      break;
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) return {error: "must be a number"};
+      if (spec.type === "integer" && !Number.isInteger(value)) return {error: "must be an integer"};
+      if (spec.min !== undefined && value < spec.min) {
+        return {error: `must be at least ${spec.min}`};
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return {error: `must be at most ${spec.max}`};
+      }
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return {error: "must be a boolean"};
+      break;
+    case "timestamp": {
+      const date = new Date(value);
+      if ((typeof value !== "string" && typeof value !== "number") || isNaN(date.getTime())) {
+        return {error: "must be an ISO date"};
+      }
+      return {value: admin.firestore.Timestamp.fromDate(date)};
+    }
+    case "array":
+      if (!Array.isArray(value)) return {error: "must be an array"};
+      if (spec.maxItems && value.length > spec.maxItems) {
+        return {error: `must have at most ${spec.maxItems} items`};
+      }
+      if (spec.items && value.some((item) => typeof item !== spec.items)) {
+        return {error: `must only contain ${spec.items}s`};
+      }
+      break;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) return {error: "must be an object"};
+      break;
+    default:
+      throw new Error(`Unknown field type ${spec.type}`);
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return {error: `must be one of: ${spec.enum.join(", ")}`};
+  }
+  return {value};
+}
+
+/**
+ * Validate a callable payload against a collection schema
+ * @param {string} collection - Collection name (key of SCHEMAS)
+ * @param {object} data - Callable data
+ * @param {string} mode - "create" or "update"
+ * @param {Array<string>} args - Callable arguments that are not document fields
+ * @return {object} Fields to write, converted for storage
+ */
+function parseFields(collection, data, mode, args) {
+  const schema = SCHEMAS[collection];
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new functions.https.HttpsError("invalid-argument", "Request data must be an object");
+  }
+
+  const fields = {};
+  const errors = [];
+  const reject = (field, code, message) =>
+    errors.push({field, code, message: `${field} ${message}`});
+
+  Object.entries(data).forEach(([field, value]) => {
+    if (args.includes(field) || value === undefined) return;
+
+    const spec = schema.fields[field];
+    if (!spec) {
+      const managed = schema.serverFields.includes(field) || (schema.computed || {})[field];
+      if (managed) {
+        reject(field, FIELD_ERRORS.READ_ONLY, "is managed by the server");
+      } else {
+        reject(field, FIELD_ERRORS.UNKNOWN, "is not a known field");
+      }
+      return;
+    }
+    if (mode === "update" && spec.createOnly) {
+      reject(field, FIELD_ERRORS.READ_ONLY, "cannot be changed");
+      return;
+    }
+
+    const result = checkValue(value, spec);
+    if (result.error) {
+      reject(field, FIELD_ERRORS.INVALID, result.error);
+    } else {
+      fields[field] = result.value;
+    }
+  });
+
+  if (mode === "create") {
+    Object.entries(schema.fields).forEach(([field, spec]) => {
+      if (spec.required && (data[field] === undefined || data[field] === null)) {
+        reject(field, FIELD_ERRORS.MISSING, "is required");
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument",
+        errors.map((error) => error.message).join("; "),
+        {code: "INVALID_FIELDS", errors});
+  }
+  if (mode === "update" && Object.keys(fields).length === 0) {
+    throw new functions.https.HttpsError("invalid-argument", "No fields to update",
+        {code: "INVALID_FIELDS", errors: []});
+  }
+  return fields;
+}
+
+/**
+ * Validate the fields of a new document
+ * @param {string} collection - Collection name
+ * @param {object} data - Callable data
+ * @param {Array<string>} args - Callable arguments that are not document fields
+ * @return {object} Fields to write
+ */
+function parseCreate(collection, data, args = []) {
+  return parseFields(collection, data, "create", args);
+}
+
+/**
+ * Validate changes to an existing document
+ * @param {string} collection - Collection name
+ * @param {object} data - Callable data
+ * @param {Array<string>} args - Callable arguments that are not document fields
+ * @return {object} Fields to change
+ */
+function parseUpdate(collection, data, args = []) {
+  return parseFields(collection, data, "update", args);
+}
+
+/**
+ * Computed fields to write along with a create or update
+ * @param {string} collection - Collection name
+ * @param {object} current - Current document data ({} when creating)
+ * @param {object} changes - Validated fields being written
+ * @return {object} Computed fields whose inputs changed
+ */
+function computeFields(collection, current, changes) {
+  const doc = {...current, ...changes};
+  const computed = {};
+
+  Object.entries(SCHEMAS[collection].computed || {}).forEach(([field, rule]) => {
+    if (rule.from.some((input) => changes[input] !== undefined)) {
+      computed[field] = rule.compute(doc);
+    }
+  });
+  return computed;
+}
+
+exports.FIELD_ERRORS = FIELD_ERRORS;
+exports.parseCreate = parseCreate;
+exports.parseUpdate = parseUpdate;
+exports.computeFields = computeFields;
@@ -0,0 +1,323 @@
+/**
+ * Signal Fraud Detection
+ * Scores new signals for location spoofing and crowd inflation, and lets
+ * admins review the suspicious ones.
+ *
+ * Each check adds weight to a score between 0 and 1:
+ *   IMPOSSIBLE_TRAVEL  - faster than MAX_TRAVEL_SPEED_KMH since the user's last signal
+ *   MOCK_LOCATION      - the client reports a mock location provider
+ *   COMPROMISED_DEVICE - the client reports a jailbroken/rooted device
+ *   NO_APP_CHECK       - the request carried no valid App Check token
+ *   NO_PROFILE         - the user has no profile document
+ *   NEW_ACCOUNT        - the Auth account is younger than NEW_ACCOUNT_HOURS
+ *   CELL_BURST         - many signals in the same geohash cell within minutes
+ *
+ * Signals scoring FLAG_THRESHOLD or more are "flagged" and queued for review;
+ * at QUARANTINE_THRESHOLD or more they are "quarantined". Neither counts
+ * toward peopleCount, attendeeCount or points until an admin clears them, so
+ * a combination of weaker checks cannot inflate a crowd while it waits.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {callable} = require("./callable");
+const {parsePageSize, fetchPage} = require("./pagination");
+const {calculateDistance} = require("./geohash");
+const {isAdmin} = require("./access");
+
+const db = admin.firestore();
+
+const FLAG_THRESHOLD = 0.4;
+const QUARANTINE_THRESHOLD = 0.7;
+const FRAUD_WEIGHTS = {
+  IMPOSSIBLE_TRAVEL: 0.6,
+  MOCK_LOCATION: 0.7,
+  COMPROMISED_DEVICE: 0.3,
+  NO_APP_CHECK: 0.15,
+  NO_PROFILE: 0.3,
+  NEW_ACCOUNT: 0.25,
+  CELL_BURST: 0.2,
+};
+
+// Faster than a car on the highway between check-ins is not plausible
+const MAX_TRAVEL_SPEED_KMH = 150;
+// Ignore jumps shorter than this; GPS noise and nearby events are normal
+const MIN_TRAVEL_DISTANCE_KM = 1;
+const NEW_ACCOUNT_HOURS = 24;
+const BURST_WINDOW_MINUTES = 10;
+const BURST_THRESHOLD = parseInt(process.env.SIGNAL_BURST_THRESHOLD || "40", 10);
+
+const FRAUD_STATUS = {
+  CLEAR: "clear",
+  FLAGGED: "flagged",
+  QUARANTINED: "quarantined",
+  REJECTED: "rejected",
+};
+const REVIEW_DECISIONS = {
+  clear: FRAUD_STATUS.CLEAR,
+  quarantine: FRAUD_STATUS.QUARANTINED,
+  reject: FRAUD_STATUS.REJECTED,
+};
+
+/**
+ * Whether a signal counts toward crowds, attendee counts and points
+ * @param {object} signal - Signal document data
+ * @return {boolean} True for clear signals (and those scored before fraud checks)
+ */
+function isCounted(signal) {
+  return !signal.fraudStatus || signal.fraudStatus === FRAUD_STATUS.CLEAR;
+}
+
+/**
+ * Check travel speed from the user's previous signal
+ * @param {string} userId - User ID
+ * @param {object} location - {latitude, longitude}
+ * @param {number} nowMs - Time of the new signal
+ * @return {Promise<object|null>} Evidence if the travel is impossible
+ */
+async function checkTravel(userId, {latitude, longitude}, nowMs) {
+  const previous = await db.collection("signals")
+      .where("userId", "==", userId)
+      .orderBy("createdAt", "desc")
+      .limit(1)
+      .get();
+  if (previous.empty) return null;
+
+  const last = previous.docs[0].data();
+  if (!last.createdAt || typeof last.latitude !== "number") return null;
+
+  const distanceKm = calculateDistance(last.latitude, last.longitude, latitude, longitude);
+  if (distanceKm < MIN_TRAVEL_DISTANCE_KM) return null;
+
+  const hours = Math.max(nowMs - last.createdAt.toMillis(), 1000) / (60 * 60 * 1000);
+  const speedKmh = distanceKm / hours;
+  if (speedKmh <= MAX_TRAVEL_SPEED_KMH) return null;
+
+  return {
+    previousSignalId: previous.docs[0].id,
+    distanceKm: Math.round(distanceKm * 10) / 10,
+    speedKmh: Math.round(speedKmh),
+  };
+}
+
+/**
+ * Reason code for a user's account, from their profile and Auth record.
+ * The age comes from Firebase Auth: the profile's createdAt is written by the
+ * client and can be backdated.
+ * @param {object|null} profile - User profile data, or null if there is none
+ * @param {object} authUser - Firebase Auth user record
+ * @param {number} nowMs - Current time
+ * @return {string|null} Reason code, if any
+ */
+function accountReasonFor(profile, authUser, nowMs) {
+  if (!profile) return "NO_PROFILE";
+
+  const createdMs = Date.parse(authUser.metadata.creationTime);
+  if (!Number.isFinite(createdMs) || nowMs - createdMs < NEW_ACCOUNT_HOURS * 60 * 60 * 1000) {
+    return "NEW_ACCOUNT";
+  }
+  return null;
+}
+
+/**
+ * Check the user's profile and the age of their account
+ * @param {string} userId - User ID
+ * @param {number} nowMs - Current time
+ * @return {Promise<string|null>} Reason code, if any
+ */
+async function checkAccount(userId, nowMs) {
+  const [userDoc, authUser] = await Promise.all([
+    db.collection("users").doc(userId).get(),
+    admin.auth().getUser(userId),
+  ]);
+  return accountReasonFor(userDoc.exists ? userDoc.data() : null, authUser, nowMs);
+}
+
+/**
+ * Count recent signals in the same geohash cell
+ * @param {string} geohash - Signal geohash (6 characters)
+ * @param {number} nowMs - Current time
+ * @return {Promise<number>} Signals created in the burst window
+ */
+async function countRecentInCell(geohash, nowMs) {
+  const since = admin.firestore.Timestamp.fromMillis(nowMs - BURST_WINDOW_MINUTES * 60 * 1000);
+  const snapshot = await db.collection("signals")
+      .where("geohash", "==", geohash)
+      .where("createdAt", ">=", since)
+      .count()
+      .get();
+  return snapshot.data().count;
+}
+
+/**
+ * Combine the results of the fraud checks into a score and status
+ * @param {object} checks - Results of the lookups
+ * @param {object|null} checks.travel - Evidence from checkTravel
+ * @param {string|null} checks.accountReason - Reason code from checkAccount
+ * @param {number} checks.recentInCell - Signals in the cell within the burst window
+ * @param {object} attestation - Device metadata reported by the client
+ * @param {boolean} appCheckVerified - Whether the request had a valid App Check token
+ * @return {object} {fraudScore, fraudReasons, fraudStatus, fraudEvidence}
+ */
+function combineChecks({travel, accountReason, recentInCell}, attestation, appCheckVerified) {
+  const reasons = [];
+  const evidence = {};
+
+  if (travel) {
+    reasons.push("IMPOSSIBLE_TRAVEL");
+    evidence.travel = travel;
+  }
+  if (accountReason) reasons.push(accountReason);
+  if (recentInCell >= BURST_THRESHOLD) {
+    reasons.push("CELL_BURST");
+    evidence.recentInCell = recentInCell;
+  }
+  if (attestation && attestation.isMockLocation === true) reasons.push("MOCK_LOCATION");
+  if (attestation && attestation.isCompromised === true) reasons.push("COMPROMISED_DEVICE");
+  if (!appCheckVerified) reasons.push("NO_APP_CHECK");
+
+  const score = Math.min(1, reasons.reduce((sum, reason) => sum + FRAUD_WEIGHTS[reason], 0));
+
+  let status = FRAUD_STATUS.CLEAR;
+  if (score >= QUARANTINE_THRESHOLD) status = FRAUD_STATUS.QUARANTINED;
+  else if (score >= FLAG_THRESHOLD) status = FRAUD_STATUS.FLAGGED;
+
+  return {
+    fraudScore: Math.round(score * 100) / 100,
+    fraudReasons: reasons,
+    fraudStatus: status,
+    fraudEvidence: evidence,
+  };
+}
+
+/**
+ * Score a signal before it is written
+ * @param {object} signal - Signal being created
+ * @param {string} signal.userId - User ID
+ * @param {number} signal.latitude - Latitude
+ * @param {number} signal.longitude - Longitude
+ * @param {string} signal.geohash - Geohash (6 characters)
+ * @param {object} attestation - Device metadata reported by the client:
+ *   {platform, appVersion, isMockLocation, isCompromised}
+ * @param {boolean} appCheckVerified - Whether the request had a valid App Check token
+ * @return {Promise<object>} {fraudScore, fraudReasons, fraudStatus, fraudEvidence}
+ */
+async function scoreSignal(signal, attestation = {}, appCheckVerified = false) {
+  const nowMs = Date.now();
+  const [travel, accountReason, recentInCell] = await Promise.all([
+    checkTravel(signal.userId, signal, nowMs),
+    checkAccount(signal.userId, nowMs),
+    countRecentInCell(signal.geohash, nowMs),
+  ]);
+
+  return combineChecks({travel, accountReason, recentInCell}, attestation, appCheckVerified);
+}
+
+/**
+ * Pick the device metadata fields kept on the signal
+ * @param {*} attestation - Client supplied attestation object
+ * @return {object|null} Sanitized attestation
+ */
+function sanitizeAttestation(attestation) {
+  if (!attestation || typeof attestation !== "object") return null;
+
+  return {
+    platform: typeof attestation.platform === "string" ? attestation.platform : null,
+    appVersion: typeof attestation.appVersion === "string" ? attestation.appVersion : null,
+    isMockLocation: attestation.isMockLocation === true,
+    isCompromised: attestation.isCompromised === true,
+  };
+}
+
+/**
+ * List signals waiting for review (admins only)
+ * HTTP endpoint: POST /getFlaggedSignals
+ */
+exports.getFlaggedSignals = callable("getFlaggedSignals", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+  if (!isAdmin(context)) {
+    throw new functions.https.HttpsError("permission-denied", "Admin access required",
+        {code: "ADMIN_REQUIRED"});
+  }
+
+  const statuses = data.status ?
+    [data.status] :
+    [FRAUD_STATUS.FLAGGED, FRAUD_STATUS.QUARANTINED];
+  if (!statuses.every((status) => Object.values(FRAUD_STATUS).includes(status))) {
+    throw new functions.https.HttpsError("invalid-argument", "Unknown fraud status");
+  }
+
+  const query = db.collection("signals").where("fraudStatus", "in", statuses);
+  const {docs, nextPageToken} = await fetchPage(query, [["createdAt", "desc"]], {
+    pageToken: data.pageToken,
+    pageSize: parsePageSize(data.pageSize),
+  });
+  const signals = docs.map((doc) => doc.data());
+
+  return {
+    success: true,
+    signals: signals,
+    count: signals.length,
+    nextPageToken: nextPageToken,
+  };
+});
+
+/**
+ * Record an admin decision on a suspicious signal (admins only)
+ * Decisions: "clear" (counts again), "quarantine" (stops counting, kept for
+ * review), "reject" (stops counting, closed). The signal triggers recount
+ * crowds, attendee counts and points when its status changes.
+ * HTTP endpoint: POST /reviewSignal
+ */
+exports.reviewSignal = callable("reviewSignal", async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "User must be authenticated");
+  }
+  if (!isAdmin(context)) {
+    throw new functions.https.HttpsError("permission-denied", "Admin access required",
+        {code: "ADMIN_REQUIRED"});
+  }
+
+  const signalId = data.id;
+  const status = REVIEW_DECISIONS[data.decision];
+  if (!signalId) {
+    throw new functions.https.HttpsError("invalid-argument", "Signal ID is required");
+  }
+  if (!status) {
+    throw new functions.https.HttpsError("invalid-argument",
+        "decision must be one of: clear, quarantine, reject");
+  }
+
+  const signalRef = db.collection("signals").doc(signalId);
+  const signalDoc = await signalRef.get();
+  if (!signalDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Signal not found",
+        {code: "SIGNAL_NOT_FOUND"});
+  }
+
+  await signalRef.update({
+    fraudStatus: status,
+    reviewedBy: context.auth.uid,
+    reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+    reviewNote: typeof data.note === "string" ? data.note : null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return {
+    success: true,
+    signalId: signalId,
+    fraudStatus: status,
+  };
+});
+
+exports.FRAUD_STATUS = FRAUD_STATUS;
+exports.accountReasonFor = accountReasonFor;
+exports.BURST_THRESHOLD = BURST_THRESHOLD;
+exports.combineChecks = combineChecks;
+exports.isCounted = isCounted;
+exports.sanitizeAttestation = sanitizeAttestation;
+exports.scoreSignal = scoreSignal;
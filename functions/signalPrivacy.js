@@ -0,0 +1,176 @@
+/**
+ * Signal Privacy
+ * Controls what other users can learn about a signal's position and owner.
+ *
+ * - Owners see their own signals unchanged.
+ * - Friends (the owner lists the viewer in users/{uid}.friendIds) see the
+ *   exact position and userId.
+ * - Everyone else sees a jittered position, and only for signals in a
+ *   privacy cell (geohash PRIVACY_CELL_PRECISION) holding at least
+ *   K_ANONYMITY people; smaller groups are suppressed entirely. Flagged and
+ *   quarantined signals do not count towards a cell, so fake signals cannot
+ *   lift a real one over the threshold. The stored geohash is never
+ *   returned to them, as it would undo the jitter.
+ * - userId is stripped unless the viewer is a friend or hosts the event.
+ * - Aggregates (crowd tiles, crowd history cells) drop cells and samples
+ *   with fewer than K_ANONYMITY people.
+ *
+ * Jitter is derived from the signal ID and a server-side salt, so repeated
+ * requests return the same offset and cannot be averaged away.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {encodeGeohash} = require("./geohash");
+const {isCounted} = require("./signalFraud");
+
+const db = admin.firestore();
+
+const K_ANONYMITY = parseInt(process.env.SIGNAL_K_ANONYMITY || "5", 10);
+// ~153m x 153m cells
+const PRIVACY_CELL_PRECISION = 7;
+const MAX_JITTER_METERS = 75;
+const JITTER_SALT = process.env.SIGNAL_JITTER_SALT || "crowd-signal-jitter";
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+// Fields any viewer may see; everything else (fraud data, attestation,
+// check-in accuracy) is only returned to the owner
+const PUBLIC_SIGNAL_FIELDS = [
+  "id",
+  "eventId",
+  "signalStrength",
+  "clusterId",
+  "peopleCount",
+  "color",
+  "radiusMeters",
+  "tierLabel",
+  "createdAt",
+  "lastSeenAt",
+];
+
+/**
+ * Offset a position by a stable pseudo-random amount up to MAX_JITTER_METERS
+ * @param {string} signalId - Signal ID (seeds the offset)
+ * @param {number} latitude - Exact latitude
+ * @param {number} longitude - Exact longitude
+ * @return {object} {latitude, longitude}
+ */
+function jitterPosition(signalId, latitude, longitude) {
+  const digest = crypto.createHmac("sha256", JITTER_SALT).update(signalId).digest();
+  const angle = (digest.readUInt32BE(0) / 0xffffffff) * 2 * Math.PI;
+  // sqrt spreads points evenly over the disc instead of bunching at the center
+  const distance = Math.sqrt(digest.readUInt32BE(4) / 0xffffffff) * MAX_JITTER_METERS;
+
+  const dLat = (distance * Math.cos(angle)) / METERS_PER_DEGREE_LATITUDE;
+  const dLon = (distance * Math.sin(angle)) /
+    (METERS_PER_DEGREE_LATITUDE * Math.cos(latitude * Math.PI / 180));
+
+  return {latitude: latitude + dLat, longitude: longitude + dLon};
+}
+
+/**
+ * Find which signal owners list the viewer as a friend
+ * @param {Array<string>} ownerIds - Signal owner UIDs
+ * @param {string} viewerId - Viewer UID
+ * @return {Promise<Set<string>>} Owners who share with the viewer
+ */
+async function getOwnersSharingWith(ownerIds, viewerId) {
+  const others = Array.from(new Set(ownerIds)).filter((id) => id && id !== viewerId);
+  if (others.length === 0) return new Set();
+
+  const userDocs = await db.getAll(...others.map((id) => db.collection("users").doc(id)));
+  return new Set(userDocs
+      .filter((doc) => doc.exists && (doc.data().friendIds || []).includes(viewerId))
+      .map((doc) => doc.id));
+}
+
+/**
+ * Privacy cell of a signal
+ * @param {object} signal - Signal data with latitude and longitude
+ * @return {string} Geohash of PRIVACY_CELL_PRECISION characters
+ */
+function privacyCellOf(signal) {
+  return encodeGeohash(signal.latitude, signal.longitude, PRIVACY_CELL_PRECISION);
+}
+
+/**
+ * Count people per privacy cell, leaving out signals that fail the fraud checks
+ * @param {Array<object>} signals - Signal data with fraudStatus
+ * @return {Map<string, number>} Privacy cell -> people
+ */
+function countPrivacyCells(signals) {
+  const cellCounts = new Map();
+  signals.forEach((signal) => {
+    if (!isCounted(signal) || typeof signal.latitude !== "number") return;
+    const cell = privacyCellOf(signal);
+    cellCounts.set(cell, (cellCounts.get(cell) || 0) + 1);
+  });
+  return cellCounts;
+}
+
+/**
+ * Apply the privacy rules to signals before returning them to a viewer
+ * @param {Array<object>} signals - Signal document data
+ * @param {string} viewerId - Viewer UID
+ * @param {object} options - Presentation options
+ * @param {Set<string>} options.hostedEventIds - Events whose attendees the viewer may see
+ * @param {Map<string, number>} options.cellCounts - People per privacy cell
+ *   (countPrivacyCells); defaults to counting the signals being returned
+ * @return {Promise<object>} {signals, suppressedCount}
+ */
+async function presentSignals(signals, viewerId, {hostedEventIds = new Set(), cellCounts} = {}) {
+  const friends = await getOwnersSharingWith(signals.map((signal) => signal.userId), viewerId);
+  const counts = cellCounts || countPrivacyCells(signals);
+
+  const presented = [];
+  let suppressedCount = 0;
+
+  signals.forEach((signal) => {
+    if (signal.userId === viewerId) {
+      presented.push({...signal, precise: true});
+      return;
+    }
+
+    const isFriend = friends.has(signal.userId);
+    const hasPosition = typeof signal.latitude === "number";
+    if (!isFriend && (!hasPosition || (counts.get(privacyCellOf(signal)) || 0) < K_ANONYMITY)) {
+      suppressedCount++;
+      return;
+    }
+
+    const visible = {};
+    PUBLIC_SIGNAL_FIELDS.forEach((field) => {
+      if (signal[field] !== undefined) visible[field] = signal[field];
+    });
+
+    const position = isFriend ?
+      {latitude: signal.latitude, longitude: signal.longitude, geohash: signal.geohash} :
+      jitterPosition(signal.id, signal.latitude, signal.longitude);
+
+    presented.push({
+      ...visible,
+      ...position,
+      userId: isFriend || hostedEventIds.has(signal.eventId) ? signal.userId : null,
+      precise: isFriend,
+    });
+  });
+
+  return {signals: presented, suppressedCount};
+}
+
+/**
+ * Apply k-anonymity to aggregated cells: cells with fewer than K_ANONYMITY
+ * people are dropped
+ * @param {Array<object>} cells - Cells with a count field
+ * @return {Array<object>} Cells safe to return
+ */
+function suppressSmallCells(cells) {
+  return cells.filter((cell) => cell.count >= K_ANONYMITY);
+}
+
+module.exports = {
+  K_ANONYMITY,
+  countPrivacyCells,
+  presentSignals,
+  suppressSmallCells,
+};
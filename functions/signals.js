@@ -6,380 +6,593 @@
 const functions = require("firebase-functions");
 const functionsV1 = require("firebase-functions/v1");
 const admin = require("firebase-admin");
-const {encodeGeohash, getGeohashRange, calculateDistance} = require('./geohash');
+const {callable} = require('./callable');
+const {parsePageSize, fetchFilteredPage, paginateSorted} = require('./pagination');
+const {getGeohashRange, getNeighbors, calculateDistance} = require('./geohash');
+const {ledgerKey, awardPoints, revokePoints} = require('./pointsLedger');
+const {clusterSignals} = require('./crowdClustering');
+const {getTierConfig, tierFor} = require('./crowdTiers');
+const {validateCheckIn} = require('./checkIn');
+const {isRecurring, resolveOccurrence, occurrenceRef} = require('./eventOccurrences');
+const {isCounted, sanitizeAttestation, scoreSignal} = require('./signalFraud');
+const {countPrivacyCells, presentSignals} = require('./signalPrivacy');
+const {assertAdmitted} = require('./rsvps');
+const {filterVisibleEvents, assertCanViewEvent} = require('./eventAccess');
+const {PERMISSIONS, hasPermission} = require('./eventRoles');
+const {parseCreate, parseUpdate, computeFields} = require('./schema');
 
 const db = admin.firestore();
 
-/**
- * Calculate color and radius based on people count
- * @param {number} peopleCount - Number of people in the area
- * @returns {object} Object with color (hex string) and radiusMeters (number)
- */
-function calculateColorAndRadius(peopleCount) {
-  if (peopleCount > 50) {
-    return {
-      color: '#8B0000', // Deep red
-      radiusMeters: 200,
-    };
-  } else if (peopleCount > 25) {
-    return {
-      color: '#FF6B6B', // Light red
-      radiusMeters: 125,
-    };
-  } else {
-    return {
-      color: '#FFD700', // Yellow
-      radiusMeters: 75,
-    };
-  }
-}
+// Signals without a heartbeat for this long are considered gone
+const SIGNAL_TTL_MINUTES = parseInt(process.env.SIGNAL_TTL_MINUTES || '30', 10);
+
+// How many rings of 6-char cells to load while a crowd keeps reaching the edge
+const MAX_CLUSTER_SEARCH_RINGS = 3;
 
 /**
  * Create a new signal
  * HTTP endpoint: POST /createSignal
  */
-exports.createSignal = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const userId = context.auth.uid;
-    const signalId = data.id || admin.firestore().collection('signals').doc().id;
+exports.createSignal = callable('createSignal', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    // Validate required fields
-    if (!data.eventId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
-    }
+  const userId = context.auth.uid;
+  const signalId = db.collection('signals').doc().id;
 
-    if (!data.latitude || !data.longitude) {
-      throw new functions.https.HttpsError('invalid-argument', 'Latitude and longitude are required');
-    }
+  // Validate eventId, coordinates (required) and signal strength (1-5)
+  const fields = parseCreate('signals', data);
+  const signalStrength = fields.signalStrength || 1;
 
-    // Validate coordinates
-    if (data.latitude < -90 || data.latitude > 90) {
-      throw new functions.https.HttpsError('invalid-argument', 'Invalid latitude');
-    }
-    if (data.longitude < -180 || data.longitude > 180) {
-      throw new functions.https.HttpsError('invalid-argument', 'Invalid longitude');
-    }
-
-    // Validate signal strength
-    const signalStrength = data.signalStrength || 1;
-    if (signalStrength < 1 || signalStrength > 5) {
-      throw new functions.https.HttpsError('invalid-argument', 'Signal strength must be between 1 and 5');
-    }
+  // Check if event exists
+  const eventDoc = await db.collection('events').doc(fields.eventId).get();
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Event not found', {code: 'EVENT_NOT_FOUND'});
+  }
 
-    // Check if event exists
-    const eventDoc = await db.collection('events').doc(data.eventId).get();
-    if (!eventDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Event not found');
+  // Hidden events cannot be checked into
+  await assertCanViewEvent(eventDoc.data(), userId);
+
+  // Signals for recurring events belong to one occurrence: the requested one,
+  // or the one running now
+  let checkInEvent = eventDoc.data();
+  let occurrenceId = null;
+  if (isRecurring(checkInEvent)) {
+    checkInEvent = await resolveOccurrence(checkInEvent, fields.occurrenceId || null);
+    if (!checkInEvent) {
+      throw new functions.https.HttpsError('not-found', 'Occurrence not found',
+          {code: 'OCCURRENCE_NOT_FOUND'});
     }
+    occurrenceId = checkInEvent.occurrenceId;
+  }
 
-    // Check if user already has a signal for this event
-    const existingSignal = await db.collection('signals')
-      .where('userId', '==', userId)
-      .where('eventId', '==', data.eventId)
-      .get();
+  // Events with a capacity or approval only admit users holding a seat; event staff get in
+  if (!hasPermission(checkInEvent, userId, PERMISSIONS.CHECK_IN_WITHOUT_RSVP)) {
+    await assertAdmitted(checkInEvent, fields.eventId, occurrenceId, userId);
+  }
 
-    if (!existingSignal.empty) {
-      throw new functions.https.HttpsError('already-exists', 'User already has a signal for this event');
-    }
+  // Reject check-ins from outside the event geofence or outside the event window
+  const {distanceMeters} = validateCheckIn(checkInEvent, {
+    latitude: fields.latitude,
+    longitude: fields.longitude,
+    accuracyMeters: fields.accuracyMeters,
+  });
 
-    // Generate geohash from coordinates
-    const geohash = encodeGeohash(data.latitude, data.longitude, 6);
+  // Check if user already has a signal for this event (or occurrence)
+  let existingQuery = db.collection('signals')
+    .where('userId', '==', userId)
+    .where('eventId', '==', fields.eventId);
+  if (occurrenceId) {
+    existingQuery = existingQuery.where('occurrenceId', '==', occurrenceId);
+  }
+  const existingSignal = await existingQuery.get();
 
-    // Count nearby people (signals within ~1.2km)
-    const nearbySignals = await db.collection('signals')
-      .where('geohash', '>=', geohash.substring(0, 5))
-      .where('geohash', '<=', geohash.substring(0, 5) + '\uf8ff')
-      .get();
+  if (!existingSignal.empty) {
+    throw new functions.https.HttpsError('already-exists', 'User already has a signal for this event',
+        {code: 'SIGNAL_ALREADY_EXISTS'});
+  }
 
-    const peopleCount = nearbySignals.size + 1; // Include this new signal
+  // Generate geohash from coordinates
+  const {geohash} = computeFields('signals', {}, fields);
 
-    // Calculate color and radius based on people count
-    const {color, radiusMeters} = calculateColorAndRadius(peopleCount);
+  // Score the signal for spoofing and crowd inflation
+  const fraud = await scoreSignal(
+    {userId, latitude: fields.latitude, longitude: fields.longitude, geohash},
+    fields.attestation,
+    Boolean(context.app)
+  );
 
-    const signalData = {
+  // Find the crowd this signal joins (including this new signal); flagged and quarantined signals join none
+  let cluster = null;
+  if (isCounted(fraud)) {
+    const {clusters} = await loadSignalClusters(geohash, [{
       id: signalId,
-      userId: userId,
-      eventId: data.eventId,
-      latitude: data.latitude,
-      longitude: data.longitude,
+      latitude: fields.latitude,
+      longitude: fields.longitude,
       geohash: geohash,
-      signalStrength: signalStrength,
-      peopleCount: peopleCount,
-      color: color,
-      radiusMeters: radiusMeters,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    // Create signal document
-    await db.collection('signals').doc(signalId).set(signalData);
-
-    return {
-      success: true,
-      signalId: signalId,
-      signal: signalData,
-    };
-  } catch (error) {
-    console.error('Error creating signal:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to create signal');
+    }]);
+    cluster = clusters.find(c => c.signalIds.includes(signalId));
   }
+  const peopleCount = cluster ? cluster.peopleCount : 1;
+
+  // Calculate color and radius from the configured crowd tiers
+  const tierConfig = await getTierConfig();
+  const tier = tierFor(tierConfig, peopleCount, {venueType: eventDoc.data().venueType || null});
+
+  const signalData = {
+    id: signalId,
+    userId: userId,
+    eventId: fields.eventId,
+    occurrenceId: occurrenceId,
+    latitude: fields.latitude,
+    longitude: fields.longitude,
+    geohash: geohash,
+    signalStrength: signalStrength,
+    clusterId: cluster ? cluster.clusterId : null,
+    peopleCount: peopleCount,
+    color: tier.color,
+    radiusMeters: tier.radiusMeters,
+    tierLabel: tier.label,
+    tierVersion: tier.version,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+    checkInDistanceMeters: distanceMeters,
+    checkInAccuracyMeters: typeof fields.accuracyMeters === 'number' ? fields.accuracyMeters : null,
+    attestation: sanitizeAttestation(fields.attestation),
+    ...fraud,
+  };
+
+  // Create signal document
+  await db.collection('signals').doc(signalId).set(signalData);
+
+  return {
+    success: true,
+    signalId: signalId,
+    signal: signalData,
+  };
 });
 
 /**
  * Update signal data
  * HTTP endpoint: PUT /updateSignal
  */
-exports.updateSignal = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const userId = context.auth.uid;
-    const signalId = data.id;
-
-    if (!signalId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Signal ID is required');
-    }
+exports.updateSignal = callable('updateSignal', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    // Check if signal exists and belongs to user
-    const signalDoc = await db.collection('signals').doc(signalId).get();
-    if (!signalDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Signal not found');
-    }
+  const userId = context.auth.uid;
+  const signalId = data.id;
 
-    const signalData = signalDoc.data();
-    if (signalData.userId !== userId) {
-      throw new functions.https.HttpsError('permission-denied', 'Only the signal owner can update the signal');
-    }
+  if (!signalId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Signal ID is required');
+  }
 
-    const updateData = {
-      ...data,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+  // Check if signal exists and belongs to user
+  const signalDoc = await db.collection('signals').doc(signalId).get();
+  if (!signalDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Signal not found',
+        {code: 'SIGNAL_NOT_FOUND'});
+  }
 
-    // Remove fields that shouldn't be updated
-    delete updateData.id;
-    delete updateData.createdAt;
-    delete updateData.userId;
-    delete updateData.eventId;
+  const signalData = signalDoc.data();
+  if (signalData.userId !== userId) {
+    throw new functions.https.HttpsError('permission-denied', 'Only the signal owner can update the signal',
+        {code: 'NOT_SIGNAL_OWNER'});
+  }
 
-    // Validate signal strength if provided
-    if (updateData.signalStrength && (updateData.signalStrength < 1 || updateData.signalStrength > 5)) {
-      throw new functions.https.HttpsError('invalid-argument', 'Signal strength must be between 1 and 5');
-    }
+  // Only signalStrength can change; location, event and fraud fields are fixed
+  const updateData = {
+    ...parseUpdate('signals', data, ['id']),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
 
-    // Update signal document
-    await db.collection('signals').doc(signalId).update(updateData);
+  // Update signal document
+  await db.collection('signals').doc(signalId).update(updateData);
 
-    // Get updated signal data
-    const updatedSignalDoc = await db.collection('signals').doc(signalId).get();
-    const updatedSignal = updatedSignalDoc.data();
+  // Get updated signal data
+  const updatedSignalDoc = await db.collection('signals').doc(signalId).get();
+  const updatedSignal = updatedSignalDoc.data();
 
-    return {
-      success: true,
-      signal: updatedSignal,
-    };
-  } catch (error) {
-    console.error('Error updating signal:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to update signal');
-  }
+  return {
+    success: true,
+    signal: updatedSignal,
+  };
 });
 
 /**
  * Delete signal
  * HTTP endpoint: DELETE /deleteSignal
  */
-exports.deleteSignal = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.deleteSignal = callable('deleteSignal', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const userId = context.auth.uid;
-    const signalId = data.id;
+  const userId = context.auth.uid;
+  const signalId = data.id;
 
-    if (!signalId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Signal ID is required');
-    }
+  if (!signalId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Signal ID is required');
+  }
 
-    // Check if signal exists and belongs to user
-    const signalDoc = await db.collection('signals').doc(signalId).get();
-    if (!signalDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Signal not found');
-    }
+  // Check if signal exists and belongs to user
+  const signalDoc = await db.collection('signals').doc(signalId).get();
+  if (!signalDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Signal not found',
+        {code: 'SIGNAL_NOT_FOUND'});
+  }
 
-    const signalData = signalDoc.data();
-    if (signalData.userId !== userId) {
-      throw new functions.https.HttpsError('permission-denied', 'Only the signal owner can delete the signal');
-    }
+  const signalData = signalDoc.data();
+  if (signalData.userId !== userId) {
+    throw new functions.https.HttpsError('permission-denied', 'Only the signal owner can delete the signal',
+        {code: 'NOT_SIGNAL_OWNER'});
+  }
 
-    // Delete signal document
-    await db.collection('signals').doc(signalId).delete();
+  // Delete signal document
+  await db.collection('signals').doc(signalId).delete();
 
-    return {
-      success: true,
-      message: 'Signal deleted successfully',
-    };
-  } catch (error) {
-    console.error('Error deleting signal:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to delete signal');
+  return {
+    success: true,
+    message: 'Signal deleted successfully',
+  };
+});
+
+/**
+ * Refresh a signal's presence so it is not expired
+ * Clients should call this every few minutes while the user is at the event
+ * HTTP endpoint: POST /heartbeatSignal
+ */
+exports.heartbeatSignal = callable('heartbeatSignal', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
   }
+
+  const userId = context.auth.uid;
+  const signalId = data.id;
+
+  if (!signalId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Signal ID is required');
+  }
+
+  // Check if signal exists and belongs to user
+  const signalDoc = await db.collection('signals').doc(signalId).get();
+  if (!signalDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Signal not found',
+        {code: 'SIGNAL_NOT_FOUND'});
+  }
+
+  if (signalDoc.data().userId !== userId) {
+    throw new functions.https.HttpsError('permission-denied', 'Only the signal owner can refresh the signal',
+        {code: 'NOT_SIGNAL_OWNER'});
+  }
+
+  await db.collection('signals').doc(signalId).update({
+    lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return {
+    success: true,
+    ttlMinutes: SIGNAL_TTL_MINUTES,
+  };
 });
 
 /**
  * Get signal data
  * HTTP endpoint: GET /getSignal
  */
-exports.getSignal = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.getSignal = callable('getSignal', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const signalId = data.id;
+  const signalId = data.id;
 
-    if (!signalId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Signal ID is required');
-    }
+  if (!signalId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Signal ID is required');
+  }
 
-    const signalDoc = await db.collection('signals').doc(signalId).get();
+  const signalDoc = await db.collection('signals').doc(signalId).get();
 
-    if (!signalDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Signal not found');
-    }
+  if (!signalDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Signal not found',
+        {code: 'SIGNAL_NOT_FOUND'});
+  }
 
-    return {
-      success: true,
-      signal: signalDoc.data(),
-    };
+  // Signals at events the caller may not see are reported as missing
+  const signal = signalDoc.data();
+  const eventDoc = await db.collection('events').doc(signal.eventId).get();
+  const signalNotFound = new functions.https.HttpsError('not-found', 'Signal not found',
+      {code: 'SIGNAL_NOT_FOUND'});
+  if (!eventDoc.exists) throw signalNotFound;
+  try {
+    await assertCanViewEvent(eventDoc.data(), context.auth.uid);
   } catch (error) {
-    console.error('Error getting signal:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to get signal');
+    throw error.details && error.details.code === 'EVENT_NOT_FOUND' ? signalNotFound : error;
+  }
+
+  // Hide the exact position and owner from viewers who may not see them
+  const hostedEventIds = new Set(
+    hasPermission(eventDoc.data(), context.auth.uid, PERMISSIONS.VIEW_ATTENDEES) ?
+      [signal.eventId] :
+      []
+  );
+
+  // A lone signal is never k-anonymous on its own; judge it by everyone in its cell
+  const cellSnapshot = typeof signal.latitude === 'number' && signal.geohash ?
+    await db.collection('signals')
+      .where('geohash', '==', signal.geohash)
+      .select('latitude', 'longitude', 'fraudStatus')
+      .get() :
+    {docs: []};
+  const cellCounts = countPrivacyCells(cellSnapshot.docs.map(doc => doc.data()));
+
+  const {signals} = await presentSignals([signal], context.auth.uid, {hostedEventIds, cellCounts});
+
+  if (signals.length === 0) {
+    throw new functions.https.HttpsError('not-found', 'Signal not found',
+        {code: 'SIGNAL_NOT_FOUND'});
   }
+
+  return {
+    success: true,
+    signal: signals[0],
+  };
 });
 
 /**
- * Get signals for a specific event
+ * Get signals for a specific event, newest first
+ * Pages: pageSize (default 25, max 100) and pageToken
  * HTTP endpoint: GET /getSignalsForEvent
  */
-exports.getSignalsForEvent = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const eventId = data.eventId;
-
-    if (!eventId) {
-      throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
-    }
-
-    // Check if event exists
-    const eventDoc = await db.collection('events').doc(eventId).get();
-    if (!eventDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Event not found');
-    }
+exports.getSignalsForEvent = callable('getSignalsForEvent', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const signalsSnapshot = await db.collection('signals')
-      .where('eventId', '==', eventId)
-      .orderBy('createdAt', 'desc')
-      .get();
+  const eventId = data.eventId;
 
-    const signals = [];
-    signalsSnapshot.forEach(doc => {
-      signals.push(doc.data());
-    });
+  if (!eventId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Event ID is required');
+  }
 
-    return {
-      success: true,
-      signals: signals,
-    };
-  } catch (error) {
-    console.error('Error getting signals for event:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to get signals for event');
+  // Check if event exists
+  const eventDoc = await db.collection('events').doc(eventId).get();
+  if (!eventDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Event not found', {code: 'EVENT_NOT_FOUND'});
   }
+  await assertCanViewEvent(eventDoc.data(), context.auth.uid);
+
+  // The privacy rules count people per cell across all of the event's signals
+  const signalsQuery = db.collection('signals').where('eventId', '==', eventId);
+  const positionsSnapshot = await signalsQuery.select('latitude', 'longitude', 'fraudStatus').get();
+  const cellCounts = countPrivacyCells(positionsSnapshot.docs.map(doc => doc.data()));
+
+  // Event staff see who checked in; positions are still protected
+  const hostedEventIds = new Set(
+    hasPermission(eventDoc.data(), context.auth.uid, PERMISSIONS.VIEW_ATTENDEES) ? [eventId] : []
+  );
+
+  // Suppressed signals are skipped, so pages are filled from further batches
+  let suppressedCount = 0;
+  const page = await fetchFilteredPage(signalsQuery, [['createdAt', 'desc']], {
+    pageToken: data.pageToken,
+    pageSize: parsePageSize(data.pageSize),
+  }, async docs => {
+    const presented = await presentSignals(
+      docs.map(doc => doc.data()),
+      context.auth.uid,
+      {hostedEventIds, cellCounts}
+    );
+    suppressedCount += presented.suppressedCount;
+    const byId = new Map(presented.signals.map(signal => [signal.id, signal]));
+    return docs.map(doc => byId.get(doc.id) || null);
+  });
+
+  return {
+    success: true,
+    signals: page.items,
+    suppressedCount: suppressedCount,
+    nextPageToken: page.nextPageToken,
+  };
 });
 
 /**
  * Get nearby signals using geohash-based queries
- * Returns signals with computed color and radius for map rendering
+ * Returns signals with computed color and radius for map rendering, nearest first
+ * Pages: pageSize (default 25, max 100) and pageToken, over the whole area
+ * sorted in memory
  * HTTP endpoint: POST /getNearbySignals
  */
-exports.getNearbySignals = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.getNearbySignals = callable('getNearbySignals', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const { latitude, longitude, radiusKm = 5 } = data;
+  const { latitude, longitude, radiusKm = 5 } = data;
 
-    if (!latitude || !longitude) {
-      throw new functions.https.HttpsError('invalid-argument', 'Latitude and longitude are required');
-    }
+  if (!latitude || !longitude) {
+    throw new functions.https.HttpsError('invalid-argument', 'Latitude and longitude are required');
+  }
+
+  // Get geohash ranges that cover the search area
+  const geohashRanges = getGeohashRange(latitude, longitude, radiusKm);
 
-    // Get geohash ranges that cover the search area
-    const geohashRanges = getGeohashRange(latitude, longitude, radiusKm);
+  console.log(`Searching for signals near (${latitude}, ${longitude}) within ${radiusKm}km using geohashes: ${geohashRanges.join(', ')}`);
 
-    console.log(`Searching for signals near (${latitude}, ${longitude}) within ${radiusKm}km using geohashes: ${geohashRanges.join(', ')}`);
+  // Query signals using geohash prefixes
+  const signalPromises = geohashRanges.map(async (geohashPrefix) => {
+    const snapshot = await db.collection('signals')
+      .where('geohash', '>=', geohashPrefix)
+      .where('geohash', '<=', geohashPrefix + '\uf8ff')
+      .get();
+    return snapshot.docs.map(doc => doc.data()).filter(isCounted);
+  });
 
-    // Query signals using geohash prefixes
-    const signalPromises = geohashRanges.map(async (geohashPrefix) => {
-      const snapshot = await db.collection('signals')
-        .where('geohash', '>=', geohashPrefix)
-        .where('geohash', '<=', geohashPrefix + '\uf8ff')
-        .get();
-      return snapshot.docs.map(doc => doc.data());
+  const signalArrays = await Promise.all(signalPromises);
+  const allSignals = signalArrays.flat();
+
+  // Remove duplicates (signals might appear in multiple geohash ranges)
+  const uniqueSignals = Array.from(
+    new Map(allSignals.map(signal => [signal.id, signal])).values()
+  );
+
+  // Filter by exact distance
+  const signalsInRadius = uniqueSignals.filter(signal =>
+    calculateDistance(latitude, longitude, signal.latitude, signal.longitude) <= radiusKm
+  );
+
+  // Hide exact positions and owners; hosts of an event see who checked in
+  const eventIds = Array.from(new Set(signalsInRadius.map(signal => signal.eventId)));
+  const eventDocs = eventIds.length > 0 ?
+    await db.getAll(...eventIds.map(id => db.collection('events').doc(id))) :
+    [];
+  const hostedEventIds = new Set(eventDocs
+    .filter(doc => doc.exists && hasPermission(doc.data(), context.auth.uid, PERMISSIONS.VIEW_ATTENDEES))
+    .map(doc => doc.id));
+
+  // Signals at events the viewer cannot see would give away where they are
+  const visibleEventIds = new Set((await filterVisibleEvents(
+    eventDocs.filter(doc => doc.exists).map(doc => doc.data()),
+    context.auth.uid
+  )).map(event => event.id));
+  const visibleSignals = signalsInRadius.filter(signal =>
+    signal.userId === context.auth.uid || visibleEventIds.has(signal.eventId));
+
+  const {signals, suppressedCount} = await presentSignals(visibleSignals, context.auth.uid, {hostedEventIds});
+
+  // Distance is measured to the position the viewer is shown. Prefix queries
+  // return signals in geohash order, so the merged list is sorted, then paged
+  const signalsWithDistance = signals
+    .map(signal => {
+      const distance = calculateDistance(
+        latitude,
+        longitude,
+        signal.latitude,
+        signal.longitude
+      );
+      return { ...signal, distance };
     });
+  const page = paginateSorted(
+    signalsWithDistance,
+    signal => [signal.distance, signal.id],
+    {pageToken: data.pageToken, pageSize: parsePageSize(data.pageSize)}
+  );
+
+  console.log(`Found ${signalsWithDistance.length} signals within ${radiusKm}km`);
+
+  return {
+    success: true,
+    signals: page.items,
+    count: page.items.length,
+    suppressedCount: suppressedCount,
+    nextPageToken: page.nextPageToken,
+  };
+});
 
-    const signalArrays = await Promise.all(signalPromises);
-    const allSignals = signalArrays.flat();
+/**
+ * Recalculate an event's average signal strength from its counted signals.
+ * For recurring events the occurrence's own average is updated too.
+ * @param {string} eventId - Event ID
+ * @param {string|null} occurrenceId - Occurrence the signal belongs to
+ * @returns {Promise<number>} New average signal strength
+ */
+async function updateEventSignalStrength(eventId, occurrenceId = null) {
+  const signalsSnapshot = await db.collection('signals')
+    .where('eventId', '==', eventId)
+    .get();
+
+  let totalSignalStrength = 0;
+  let signalCount = 0;
+  let occurrenceSignalStrength = 0;
+  let occurrenceSignalCount = 0;
+
+  signalsSnapshot.forEach(doc => {
+    const signal = doc.data();
+    if (!isCounted(signal)) return;
+    totalSignalStrength += signal.signalStrength;
+    signalCount++;
+    if (occurrenceId && signal.occurrenceId === occurrenceId) {
+      occurrenceSignalStrength += signal.signalStrength;
+      occurrenceSignalCount++;
+    }
+  });
 
-    // Remove duplicates (signals might appear in multiple geohash ranges)
-    const uniqueSignals = Array.from(
-      new Map(allSignals.map(signal => [signal.id, signal])).values()
-    );
+  const averageSignalStrength = signalCount > 0 ? Math.round(totalSignalStrength / signalCount) : 0;
 
-    // Filter by exact distance and add distance field
-    const signalsWithDistance = uniqueSignals
-      .map(signal => {
-        const distance = calculateDistance(
-          latitude,
-          longitude,
-          signal.latitude,
-          signal.longitude
-        );
-        return { ...signal, distance };
-      })
-      .filter(signal => signal.distance <= radiusKm)
-      .sort((a, b) => a.distance - b.distance); // Sort by distance
-
-    console.log(`Found ${signalsWithDistance.length} signals within ${radiusKm}km`);
-
-    return {
-      success: true,
-      signals: signalsWithDistance,
-      count: signalsWithDistance.length,
-    };
-  } catch (error) {
-    console.error('Error getting nearby signals:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to get nearby signals');
+  // Update event signal strength
+  await db.collection('events').doc(eventId).update({
+    signalStrength: averageSignalStrength,
+  });
+
+  if (occurrenceId) {
+    await occurrenceRef(eventId, occurrenceId).set({
+      occurrenceId: occurrenceId,
+      signalStrength: occurrenceSignalCount > 0 ?
+        Math.round(occurrenceSignalStrength / occurrenceSignalCount) :
+        0,
+    }, {merge: true});
   }
-});
+
+  return averageSignalStrength;
+}
+
+/**
+ * Add to or subtract from the attendee count of a signal's event, and of its
+ * occurrence for recurring events (the event keeps the series total)
+ * @param {object} signalData - Signal document data
+ * @param {number} delta - +1 or -1
+ */
+async function adjustAttendeeCount(signalData, delta) {
+  await db.collection('events').doc(signalData.eventId).update({
+    attendeeCount: admin.firestore.FieldValue.increment(delta),
+  });
+
+  if (signalData.occurrenceId) {
+    await occurrenceRef(signalData.eventId, signalData.occurrenceId).set({
+      occurrenceId: signalData.occurrenceId,
+      attendeeCount: admin.firestore.FieldValue.increment(delta),
+    }, {merge: true});
+  }
+}
+
+/**
+ * Count a signal toward its event and crowd, and award participation points
+ * @param {string} signalId - Signal ID
+ * @param {object} signalData - Signal document data
+ */
+async function countSignal(signalId, signalData) {
+  // Update event attendee count
+  await adjustAttendeeCount(signalData, 1);
+
+  await updateEventSignalStrength(signalData.eventId, signalData.occurrenceId || null);
+
+  // Award points to the user for joining an event (once per signal, even on retries)
+  await awardPoints({
+    pointId: ledgerKey('signal', signalId),
+    userId: signalData.userId,
+    points: 10, // Event participation bonus
+    reason: 'Event participation bonus',
+    source: 'signal',
+  });
+
+  // Recalculate color/radius for nearby signals
+  await recalculateNearbySignals(signalData.geohash);
+}
 
 /**
  * Trigger: When a signal is created
  * Updates event attendee count, signal strength, and nearby signals' color/radius
+ * Flagged and quarantined signals are not counted until an admin clears them
  */
 exports.onSignalCreate = functionsV1.firestore
   .document("signals/{signalId}")
@@ -391,48 +604,12 @@ exports.onSignalCreate = functionsV1.firestore
 
       console.log(`New signal created: ${signalId} for event ${eventId}`);
 
-      // Update event attendee count
-      await db.collection('events').doc(eventId).update({
-        attendeeCount: admin.firestore.FieldValue.increment(1),
-      });
-
-      // Calculate new signal strength for the event
-      const signalsSnapshot = await db.collection('signals')
-        .where('eventId', '==', eventId)
-        .get();
-
-      let totalSignalStrength = 0;
-      let signalCount = 0;
-
-      signalsSnapshot.forEach(doc => {
-        const signal = doc.data();
-        totalSignalStrength += signal.signalStrength;
-        signalCount++;
-      });
-
-      const averageSignalStrength = signalCount > 0 ? Math.round(totalSignalStrength / signalCount) : 0;
-
-      // Update event signal strength
-      await db.collection('events').doc(eventId).update({
-        signalStrength: averageSignalStrength,
-      });
-
-      // Award points to the user for joining an event
-      await db.collection('points').add({
-        userId: signalData.userId,
-        points: 10, // Event participation bonus
-        reason: 'Event participation bonus',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-
-      // Update user's aura points
-      await db.collection('users').doc(signalData.userId).update({
-        auraPoints: admin.firestore.FieldValue.increment(10),
-      });
+      if (!isCounted(signalData)) {
+        console.log(`Signal ${signalId} is ${signalData.fraudStatus} (score ${signalData.fraudScore}); not counted`);
+        return;
+      }
 
-      // Recalculate color/radius for nearby signals
-      await recalculateNearbySignals(signalData.geohash);
+      await countSignal(signalId, signalData);
 
       console.log(`Signal ${signalId} created, event ${eventId} updated with new attendee count and signal strength`);
     } catch (error) {
@@ -442,7 +619,8 @@ exports.onSignalCreate = functionsV1.firestore
 
 /**
  * Trigger: When a signal is updated
- * Recalculates event signal strength
+ * Recalculates event signal strength, and counts or uncounts the signal when a
+ * fraud review changes whether it counts
  */
 exports.onSignalUpdate = functionsV1.firestore
   .document("signals/{signalId}")
@@ -455,29 +633,21 @@ exports.onSignalUpdate = functionsV1.firestore
 
       console.log(`Signal updated: ${signalId}`);
 
-      // Only recalculate if signal strength changed
-      if (beforeData.signalStrength !== afterData.signalStrength) {
-        // Calculate new signal strength for the event
-        const signalsSnapshot = await db.collection('signals')
-          .where('eventId', '==', eventId)
-          .get();
-
-        let totalSignalStrength = 0;
-        let signalCount = 0;
-
-        signalsSnapshot.forEach(doc => {
-          const signal = doc.data();
-          totalSignalStrength += signal.signalStrength;
-          signalCount++;
-        });
-
-        const averageSignalStrength = signalCount > 0 ? Math.round(totalSignalStrength / signalCount) : 0;
-
-        // Update event signal strength
-        await db.collection('events').doc(eventId).update({
-          signalStrength: averageSignalStrength,
-        });
-
+      const wasCounted = isCounted(beforeData);
+      const nowCounted = isCounted(afterData);
+
+      if (!wasCounted && nowCounted) {
+        await countSignal(signalId, afterData);
+        console.log(`Signal ${signalId} cleared by review and counted for event ${eventId}`);
+      } else if (wasCounted && !nowCounted) {
+        await adjustAttendeeCount(afterData, -1);
+        await updateEventSignalStrength(eventId, afterData.occurrenceId || null);
+        await revokePoints(ledgerKey('signal', signalId));
+        await recalculateNearbySignals(afterData.geohash);
+        console.log(`Signal ${signalId} is now ${afterData.fraudStatus}; removed from event ${eventId} counts`);
+      } else if (nowCounted && beforeData.signalStrength !== afterData.signalStrength) {
+        // Only recalculate if signal strength changed
+        const averageSignalStrength = await updateEventSignalStrength(eventId, afterData.occurrenceId || null);
         console.log(`Event ${eventId} signal strength updated to ${averageSignalStrength}`);
       }
     } catch (error) {
@@ -499,31 +669,15 @@ exports.onSignalDelete = functionsV1.firestore
 
       console.log(`Signal deleted: ${signalId} for event ${eventId}`);
 
-      // Update event attendee count
-      await db.collection('events').doc(eventId).update({
-        attendeeCount: admin.firestore.FieldValue.increment(-1),
-      });
-
-      // Calculate new signal strength for the event
-      const signalsSnapshot = await db.collection('signals')
-        .where('eventId', '==', eventId)
-        .get();
-
-      let totalSignalStrength = 0;
-      let signalCount = 0;
+      // Signals that were never counted have nothing to undo
+      if (!isCounted(signalData)) {
+        return;
+      }
 
-      signalsSnapshot.forEach(doc => {
-        const signal = doc.data();
-        totalSignalStrength += signal.signalStrength;
-        signalCount++;
-      });
+      // Update event attendee count
+      await adjustAttendeeCount(signalData, -1);
 
-      const averageSignalStrength = signalCount > 0 ? Math.round(totalSignalStrength / signalCount) : 0;
-
-      // Update event signal strength
-      await db.collection('events').doc(eventId).update({
-        signalStrength: averageSignalStrength,
-      });
+      await updateEventSignalStrength(eventId, signalData.occurrenceId || null);
 
       // Recalculate color/radius for nearby signals
       await recalculateNearbySignals(signalData.geohash);
@@ -535,35 +689,172 @@ exports.onSignalDelete = functionsV1.firestore
   });
 
 /**
- * Helper function to recalculate peopleCount, color, and radius for signals near a geohash
+ * Scheduled: Remove signals whose last heartbeat is older than SIGNAL_TTL_MINUTES
+ * Deleting fires onSignalDelete, which recounts the event and nearby crowds
+ */
+exports.expireStaleSignals = functionsV1.pubsub
+  .schedule('every 5 minutes')
+  .onRun(async () => {
+    try {
+      const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - SIGNAL_TTL_MINUTES * 60 * 1000);
+
+      // Every signal has lastSeenAt (older ones were backfilled from createdAt),
+      // so only the expired ones are read. Quarantined signals expire too.
+      const staleSnapshot = await db.collection('signals').where('lastSeenAt', '<', cutoff).get();
+      const staleDocs = staleSnapshot.docs;
+
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < staleDocs.length; i += 500) {
+        const batch = db.batch();
+        staleDocs.slice(i, i + 500).forEach(doc => {
+          batch.delete(doc.ref);
+        });
+        await batch.commit();
+      }
+
+      console.log(`Expired ${staleDocs.length} signals with no heartbeat in ${SIGNAL_TTL_MINUTES} minutes`);
+    } catch (error) {
+      console.error('Error expiring stale signals:', error);
+    }
+  });
+
+/**
+ * Load signals around a geohash and cluster them into crowds.
+ * Starts with the 6-char cell and its neighbors, then keeps loading the cells next
+ * to any crowd that reaches the edge of the loaded area.
+ * @param {string} geohash - Geohash of the signal that changed
+ * @param {Array<object>} extraSignals - Signals not yet written to include in the clustering
+ * @returns {Promise<object>} {signals: Map of ID to signal, clusters}
+ */
+async function loadSignalClusters(geohash, extraSignals = []) {
+  const centerCell = geohash.substring(0, 6);
+  const loadedCells = new Set();
+  const signals = new Map();
+  extraSignals.forEach(signal => signals.set(signal.id, signal));
+
+  let frontier = [centerCell, ...getNeighbors(centerCell)];
+  let clusters = [];
+
+  for (let ring = 0; ring < MAX_CLUSTER_SEARCH_RINGS && frontier.length > 0; ring++) {
+    const snapshots = await Promise.all(frontier.map(cell =>
+      db.collection('signals')
+        .where('geohash', '>=', cell)
+        .where('geohash', '<=', cell + '\uf8ff')
+        .get()
+    ));
+    frontier.forEach(cell => loadedCells.add(cell));
+    snapshots.forEach(snapshot => {
+      snapshot.docs.forEach(doc => {
+        // Quarantined and rejected signals are not part of any crowd
+        if (!isCounted(doc.data())) return;
+        signals.set(doc.id, {...doc.data(), id: doc.id, ref: doc.ref});
+      });
+    });
+
+    clusters = clusterSignals(Array.from(signals.values()));
+
+    // Crowds with members in an edge cell may continue into cells not loaded yet
+    const nextFrontier = new Set();
+    clusters.filter(c => c.peopleCount > 1).forEach(c => {
+      c.signalIds.forEach(id => {
+        getNeighbors(signals.get(id).geohash.substring(0, 6)).forEach(cell => {
+          if (!loadedCells.has(cell)) nextFrontier.add(cell);
+        });
+      });
+    });
+    frontier = Array.from(nextFrontier);
+  }
+
+  if (frontier.length > 0) {
+    console.warn(`Crowd near ${centerCell} extends past ${MAX_CLUSTER_SEARCH_RINGS} rings of cells; counts may be low`);
+  }
+
+  return {signals, clusters};
+}
+
+/**
+ * Pick the venue type for a crowd: the venue type of the event most of its signals are for
+ * @param {Array<object>} members - Signals in the crowd
+ * @param {Map<string, string|null>} venueTypes - Event ID to venue type
+ * @returns {string|null} Venue type
+ */
+function crowdVenueType(members, venueTypes) {
+  const counts = new Map();
+  members.forEach(signal => {
+    counts.set(signal.eventId, (counts.get(signal.eventId) || 0) + 1);
+  });
+
+  let topEventId = null;
+  counts.forEach((count, eventId) => {
+    if (topEventId === null || count > counts.get(topEventId)) topEventId = eventId;
+  });
+  return venueTypes.get(topEventId) || null;
+}
+
+/**
+ * Helper function to recalculate clusterId, peopleCount, color, and radius for signals near a geohash
  * @param {string} geohash - Geohash of the area to recalculate
  */
 async function recalculateNearbySignals(geohash) {
   try {
-    // Get all signals in the same geohash area (5 char precision ~5km)
-    const geohashPrefix = geohash.substring(0, 5);
-    const nearbySignals = await db.collection('signals')
-      .where('geohash', '>=', geohashPrefix)
-      .where('geohash', '<=', geohashPrefix + '\uf8ff')
-      .get();
+    const {signals, clusters} = await loadSignalClusters(geohash);
+    const tierConfig = await getTierConfig();
+
+    // Venue types of every event with a signal in the area
+    const eventIds = Array.from(new Set(Array.from(signals.values()).map(signal => signal.eventId)));
+    const eventDocs = eventIds.length > 0 ?
+      await db.getAll(...eventIds.map(id => db.collection('events').doc(id))) :
+      [];
+    const venueTypes = new Map(eventDocs.map(doc => [doc.id, doc.exists ? doc.data().venueType || null : null]));
+
+    const now = new Date();
+
+    // Only write signals whose crowd actually changed
+    const updates = [];
+    clusters.forEach(cluster => {
+      const members = cluster.signalIds.map(id => signals.get(id));
+      const tier = tierFor(tierConfig, cluster.peopleCount, {
+        venueType: crowdVenueType(members, venueTypes),
+        date: now,
+      });
 
-    const peopleCount = nearbySignals.size;
-    const {color, radiusMeters} = calculateColorAndRadius(peopleCount);
-
-    // Update all nearby signals with new peopleCount, color, and radius
-    const batch = db.batch();
-    nearbySignals.docs.forEach(doc => {
-      batch.update(doc.ref, {
-        peopleCount: peopleCount,
-        color: color,
-        radiusMeters: radiusMeters,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      members.forEach(signal => {
+        if (signal.clusterId === cluster.clusterId &&
+          signal.peopleCount === cluster.peopleCount &&
+          signal.color === tier.color &&
+          signal.radiusMeters === tier.radiusMeters &&
+          signal.tierLabel === tier.label &&
+          signal.tierVersion === tier.version) {
+          return;
+        }
+        updates.push({
+          ref: signal.ref,
+          data: {
+            clusterId: cluster.clusterId,
+            peopleCount: cluster.peopleCount,
+            color: tier.color,
+            radiusMeters: tier.radiusMeters,
+            tierLabel: tier.label,
+            tierVersion: tier.version,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        });
       });
     });
 
-    await batch.commit();
-    console.log(`Recalculated color/radius for ${nearbySignals.size} signals in area ${geohashPrefix}`);
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < updates.length; i += 500) {
+      const batch = db.batch();
+      updates.slice(i, i + 500).forEach(update => {
+        batch.update(update.ref, update.data);
+      });
+      await batch.commit();
+    }
+
+    console.log(`Recalculated ${clusters.length} crowds around ${geohash.substring(0, 6)}, updated ${updates.length} signals`);
   } catch (error) {
     console.error('Error recalculating nearby signals:', error);
   }
 }
+
+exports.SIGNAL_TTL_MINUTES = SIGNAL_TTL_MINUTES;
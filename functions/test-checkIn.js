@@ -0,0 +1,154 @@
+/**
+ * Test script for check-in validation
+ * Run with: node test-checkIn.js
+ */
+
+const assert = require("assert");
+const admin = require("firebase-admin");
+const {
+  MAX_ACCURACY_METERS,
+  MAX_ACCURACY_TOLERANCE_METERS,
+  EARLY_GRACE_MINUTES,
+  LATE_GRACE_MINUTES,
+  DEFAULT_EVENT_RADIUS_METERS,
+  validateGeofence,
+  validateEventWindow,
+  validateCheckIn,
+} = require("./checkIn");
+const {DEFAULT_EVENT_DURATION_HOURS} = require("./eventLifecycle");
+
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+const MINUTE = 60 * 1000;
+
+/**
+ * Assert that a check is rejected with the given code
+ * @param {function(): *} check - Validation call
+ * @param {string} code - Expected details.code
+ * @param {object} details - Details expected alongside the code
+ */
+function assertRejected(check, code, details = {}) {
+  assert.throws(check, (error) => {
+    assert.strictEqual(error.code, "failed-precondition");
+    assert.deepStrictEqual(error.details, {code, ...details});
+    return true;
+  });
+}
+
+const event = {latitude: 30.28, longitude: -97.74};
+
+/**
+ * A location a number of meters north of the event
+ * @param {number} meters - Distance north
+ * @param {number} accuracyMeters - Reported accuracy
+ * @return {object} Location
+ */
+function northOf(meters, accuracyMeters) {
+  return {
+    latitude: event.latitude + meters / METERS_PER_DEGREE,
+    longitude: event.longitude,
+    accuracyMeters,
+  };
+}
+
+const startsAt = Date.parse("2026-11-01T19:00:00Z");
+const endsAt = Date.parse("2026-11-01T22:00:00Z");
+const scheduled = {
+  ...event,
+  status: "scheduled",
+  startsAt: admin.firestore.Timestamp.fromMillis(startsAt),
+  endsAt: admin.firestore.Timestamp.fromMillis(endsAt),
+};
+
+console.log("🧪 Testing Check-in Validation\n");
+
+// Test 1: Radius
+console.log("Test 1: Inside and outside the geofence");
+assert.strictEqual(validateGeofence(event, northOf(0)), 0);
+assert.strictEqual(validateGeofence(event, northOf(DEFAULT_EVENT_RADIUS_METERS)),
+    DEFAULT_EVENT_RADIUS_METERS);
+assertRejected(() => validateGeofence(event, northOf(DEFAULT_EVENT_RADIUS_METERS + 1)),
+    "OUTSIDE_GEOFENCE",
+    {distanceMeters: DEFAULT_EVENT_RADIUS_METERS + 1, allowedMeters: DEFAULT_EVENT_RADIUS_METERS});
+const field = {...event, radiusMeters: 200};
+assert.strictEqual(validateGeofence(field, northOf(200)), 200);
+assertRejected(() => validateGeofence(field, northOf(201)), "OUTSIDE_GEOFENCE",
+    {distanceMeters: 201, allowedMeters: 200});
+console.log(`  ✅ ${DEFAULT_EVENT_RADIUS_METERS}m by default, or the event's radiusMeters\n`);
+
+// Test 2: Accuracy
+console.log("Test 2: Reported accuracy");
+// Accuracy widens the geofence, up to the tolerance
+assert.strictEqual(validateGeofence(event, northOf(90, 30)), 90);
+assertRejected(() => validateGeofence(event, northOf(91, 30)), "OUTSIDE_GEOFENCE",
+    {distanceMeters: 91, allowedMeters: 90});
+const widest = DEFAULT_EVENT_RADIUS_METERS + MAX_ACCURACY_TOLERANCE_METERS;
+assert.strictEqual(validateGeofence(event, northOf(widest, MAX_ACCURACY_METERS)), widest);
+assertRejected(
+    () => validateGeofence(event, northOf(widest + 1, MAX_ACCURACY_TOLERANCE_METERS + 1)),
+    "OUTSIDE_GEOFENCE", {distanceMeters: widest + 1, allowedMeters: widest});
+console.log(`  within the cap: the geofence grows by at most ${MAX_ACCURACY_TOLERANCE_METERS}m`);
+
+// Above the cap the location is rejected, even at the event
+assertRejected(() => validateGeofence(event, northOf(0, MAX_ACCURACY_METERS + 1)),
+    "LOCATION_TOO_INACCURATE",
+    {accuracyMeters: MAX_ACCURACY_METERS + 1, maxAccuracyMeters: MAX_ACCURACY_METERS});
+console.log(`  above ${MAX_ACCURACY_METERS}m: rejected`);
+
+// Missing or nonsense accuracy adds nothing
+const justOutside = DEFAULT_EVENT_RADIUS_METERS + 1;
+[undefined, null, 0, -20, "30"].forEach((accuracyMeters) => {
+  assertRejected(() => validateGeofence(event, northOf(justOutside, accuracyMeters)),
+      "OUTSIDE_GEOFENCE",
+      {distanceMeters: justOutside, allowedMeters: DEFAULT_EVENT_RADIUS_METERS});
+});
+console.log("  ✅ Accuracy cap and tolerance apply\n");
+
+// Test 3: Time window
+console.log("Test 3: Event window");
+const opensAt = startsAt - EARLY_GRACE_MINUTES * MINUTE;
+const closesAt = endsAt + LATE_GRACE_MINUTES * MINUTE;
+[opensAt, startsAt, endsAt, closesAt].forEach((nowMs) => validateEventWindow(scheduled, nowMs));
+validateEventWindow({...scheduled, status: "live"}, startsAt);
+assertRejected(() => validateEventWindow(scheduled, opensAt - 1), "EVENT_NOT_STARTED",
+    {opensAt: new Date(opensAt).toISOString()});
+assertRejected(() => validateEventWindow(scheduled, closesAt + 1), "EVENT_ENDED",
+    {closedAt: new Date(closesAt).toISOString()});
+console.log(`  open from ${EARLY_GRACE_MINUTES} min early to ${LATE_GRACE_MINUTES} min late`);
+
+// Without endsAt the default duration applies; ISO strings are accepted
+const untilMs = startsAt + DEFAULT_EVENT_DURATION_HOURS * 60 * MINUTE + LATE_GRACE_MINUTES * MINUTE;
+const openEnded = {...event, startsAt: new Date(startsAt).toISOString()};
+validateEventWindow(openEnded, untilMs);
+assertRejected(() => validateEventWindow(openEnded, untilMs + 1), "EVENT_ENDED",
+    {closedAt: new Date(untilMs).toISOString()});
+
+// Events without a schedule are always open
+validateEventWindow(event, 0);
+validateEventWindow({...event, startsAt: "not a date"}, Date.now());
+console.log("  ✅ Grace periods and default duration apply\n");
+
+// Test 4: Status
+console.log("Test 4: Drafts and cancelled events");
+assertRejected(() => validateEventWindow({...scheduled, status: "draft"}, startsAt),
+    "EVENT_NOT_PUBLISHED");
+assertRejected(() => validateEventWindow({...event, status: "draft"}, startsAt),
+    "EVENT_NOT_PUBLISHED");
+const rainedOff = {...scheduled, status: "cancelled", cancellationReason: "Rain"};
+assertRejected(() => validateEventWindow(rainedOff, startsAt), "EVENT_CANCELLED", {reason: "Rain"});
+assertRejected(() => validateEventWindow({...scheduled, status: "cancelled"}, opensAt - 1),
+    "EVENT_CANCELLED", {reason: null});
+console.log("  ✅ Rejected whatever the time\n");
+
+// Test 5: Full check-in
+console.log("Test 5: validateCheckIn");
+assert.deepStrictEqual(validateCheckIn(scheduled, northOf(40, 10), startsAt), {distanceMeters: 40});
+// The event is checked before the location
+assertRejected(() => validateCheckIn({...scheduled, status: "draft"}, northOf(5000), startsAt),
+    "EVENT_NOT_PUBLISHED");
+assertRejected(() => validateCheckIn(scheduled, northOf(5000), closesAt + 1), "EVENT_ENDED",
+    {closedAt: new Date(closesAt).toISOString()});
+assertRejected(() => validateCheckIn(scheduled, northOf(5000), startsAt), "OUTSIDE_GEOFENCE",
+    {distanceMeters: 5000, allowedMeters: DEFAULT_EVENT_RADIUS_METERS});
+console.log("  ✅ Window first, then geofence\n");
+
+console.log("✅ All check-in tests completed successfully!");
@@ -0,0 +1,147 @@
+/**
+ * Test script for crowd clustering
+ * Run with: node test-crowdClustering.js
+ */
+
+const assert = require("assert");
+const {cellPrecisionFor, clusterSignals} = require("./crowdClustering");
+const {calculateDistance} = require("./geohash");
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1)
+ * @param {number} seed - Seed
+ * @return {function(): number} Generator
+ */
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Place a signal a number of meters east and north of a point
+ * @param {string} id - Signal ID
+ * @param {number} latitude - Origin latitude
+ * @param {number} longitude - Origin longitude
+ * @param {number} east - Meters east
+ * @param {number} north - Meters north
+ * @return {object} Signal
+ */
+function signalAt(id, latitude, longitude, east, north) {
+  const metersPerDegree = 111320;
+  return {
+    id: id,
+    latitude: latitude + north / metersPerDegree,
+    longitude: longitude + east / (metersPerDegree * Math.cos(latitude * Math.PI / 180)),
+  };
+}
+
+/**
+ * DBSCAN comparing every pair of signals, for checking clusterSignals
+ * @param {Array<object>} signals - Signals
+ * @param {number} epsMeters - Neighborhood radius in meters
+ * @param {number} minPoints - Signals needed within eps to form a crowd core
+ * @return {Array<string>} Clusters as sorted, comma separated signal IDs
+ */
+function bruteForceClusters(signals, epsMeters, minPoints) {
+  const neighborsOf = (signal) => signals.filter((other) => calculateDistance(
+      signal.latitude, signal.longitude, other.latitude, other.longitude) <= epsMeters / 1000);
+  const assigned = new Map();
+  const clusters = [];
+  const ordered = [...signals].sort((a, b) => a.id.localeCompare(b.id));
+
+  ordered.forEach((signal) => {
+    if (assigned.has(signal.id) || neighborsOf(signal).length < minPoints) return;
+    const members = [];
+    const queue = [signal];
+    assigned.set(signal.id, members);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      members.push(current.id);
+      const neighbors = neighborsOf(current);
+      if (neighbors.length < minPoints) continue;
+      neighbors.forEach((neighbor) => {
+        if (assigned.has(neighbor.id)) return;
+        assigned.set(neighbor.id, members);
+        queue.push(neighbor);
+      });
+    }
+    clusters.push(members);
+  });
+  ordered.forEach((signal) => {
+    if (!assigned.has(signal.id)) clusters.push([signal.id]);
+  });
+
+  return clusters.map((members) => members.sort().join(",")).sort();
+}
+
+console.log("🧪 Testing Crowd Clustering\n");
+
+// Test 1: Cell precision
+console.log("Test 1: Cell precision");
+assert.strictEqual(cellPrecisionFor(50), 7);
+assert.strictEqual(cellPrecisionFor(150), 7);
+assert.strictEqual(cellPrecisionFor(600), 6);
+assert.strictEqual(cellPrecisionFor(2000), 5);
+[0, 45, 60, 70, 78, 85, 89].forEach((latitude) => {
+  const precisions = [25, 50, 150, 600].map((eps) => cellPrecisionFor(eps, latitude));
+  for (let i = 1; i < precisions.length; i++) assert(precisions[i] <= precisions[i - 1]);
+  assert(cellPrecisionFor(50, latitude) <= cellPrecisionFor(50, Math.max(latitude - 10, 0)));
+  assert.strictEqual(cellPrecisionFor(50, latitude), cellPrecisionFor(50, -latitude));
+  console.log(`  ${latitude}°: ${precisions.join(", ")} for eps 25, 50, 150, 600m`);
+});
+assert(cellPrecisionFor(50, 78) < cellPrecisionFor(50, 0));
+console.log("  ✅ Cells get coarser with eps and towards the poles\n");
+
+// Test 2: A line of signals east-west near the pole is one crowd
+console.log("Test 2: High-latitude crowds");
+[0, 60, 78, 85].forEach((latitude) => {
+  const line = Array.from({length: 12}, (_, i) =>
+    signalAt(`s${String(i).padStart(2, "0")}`, latitude, 15, i * 45, 0));
+  const clusters = clusterSignals(line, {epsMeters: 50, minPoints: 3});
+  assert.strictEqual(clusters.length, 1, `line at ${latitude}° was split`);
+  assert.strictEqual(clusters[0].peopleCount, 12);
+  console.log(`  ${latitude}°: 12 signals 45m apart form one crowd`);
+});
+console.log("  ✅ Neighbors more than a cell away east-west are found\n");
+
+// Test 3: Same clusters as comparing every pair
+console.log("Test 3: Against brute-force DBSCAN");
+[[0, 1], [51.5, 2], [70, 3], [78, 4], [-80, 5], [88, 6]].forEach(([latitude, seed]) => {
+  const next = random(seed);
+  const signals = Array.from({length: 150}, (_, i) =>
+    signalAt(`s${i}`, latitude, 20, next() * 600, next() * 300));
+  [[50, 3], [120, 4]].forEach(([epsMeters, minPoints]) => {
+    const clusters = clusterSignals(signals, {epsMeters, minPoints});
+    const actual = clusters.map((cluster) => cluster.signalIds.join(",")).sort();
+    assert.deepStrictEqual(actual, bruteForceClusters(signals, epsMeters, minPoints),
+        `latitude ${latitude}, eps ${epsMeters}`);
+    clusters.forEach((cluster) => {
+      assert.strictEqual(cluster.clusterId, cluster.signalIds[0]);
+      assert.strictEqual(cluster.peopleCount, cluster.signalIds.length);
+    });
+  });
+  console.log(`  ${latitude}°: matches for eps 50m and 120m`);
+});
+console.log("  ✅ Clusters match\n");
+
+// Test 4: Noise and determinism
+console.log("Test 4: Noise and input order");
+const sparse = [
+  signalAt("a", 40, -90, 0, 0),
+  signalAt("b", 40, -90, 500, 0),
+  signalAt("c", 40, -90, 0, 500),
+];
+assert.deepStrictEqual(
+    clusterSignals(sparse, {epsMeters: 50, minPoints: 3}).map((cluster) => cluster.signalIds),
+    [["a"], ["b"], ["c"]]);
+const crowd = Array.from({length: 30}, (_, i) => signalAt(`p${i}`, 40, -90, (i % 6) * 20, i * 3));
+const forward = clusterSignals(crowd, {epsMeters: 50, minPoints: 3});
+const backward = clusterSignals([...crowd].reverse(), {epsMeters: 50, minPoints: 3});
+assert.deepStrictEqual(forward, backward);
+assert.deepStrictEqual(clusterSignals([]), []);
+console.log("  ✅ Lone signals are crowds of one, and input order does not matter\n");
+
+console.log("✅ All crowd clustering tests completed successfully!");
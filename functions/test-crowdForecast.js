@@ -0,0 +1,144 @@
+/**
+ * Test script for crowd forecasts
+ * Run with: node test-crowdForecast.js
+ */
+
+const assert = require("assert");
+const admin = require("firebase-admin");
+const {DateTime} = require("luxon");
+
+// crowdForecast reads past outcomes from Firestore
+admin.initializeApp({projectId: "demo-test"});
+
+const {
+  featuresForUserEvent,
+  featuresForCampusEvent,
+  forecastAttendance,
+} = require("./crowdForecast");
+
+const features = {
+  orgKey: "org:Chess Club",
+  category: "games",
+  timeSlot: "fri-18",
+  locationCell: "9v6kpm",
+};
+
+/**
+ * Group stats cache with fixed stats, so forecasts need no queries
+ * @param {object} overall - {count, mean, variance} over all outcomes
+ * @param {object} groups - Feature name -> {count, mean, variance} for its value in `features`
+ * @return {Map<string, Promise<object>>} Stats cache
+ */
+function statsCache(overall, groups = {}) {
+  const cache = new Map([["*", Promise.resolve(overall)]]);
+  Object.keys(features).forEach((feature) => {
+    const stats = groups[feature] || {count: 0, mean: 0, variance: 0};
+    cache.set(`${feature}=${features[feature]}`, Promise.resolve(stats));
+  });
+  return cache;
+}
+
+const overall = {count: 200, mean: Math.log1p(10), variance: 0.5};
+const popular = (count, variance = 0.3) => ({count, mean: Math.log1p(100), variance});
+
+(async () => {
+  console.log("🧪 Testing Crowd Forecasts\n");
+
+  // Test 1: Without comparable events
+  console.log("Test 1: Overall mean only");
+  const empty = statsCache({count: 0, mean: 0, variance: 0});
+  assert.strictEqual(await forecastAttendance(features, empty), null);
+  const baseline = await forecastAttendance(features, statsCache(overall));
+  assert.strictEqual(baseline.expectedAttendance, 10);
+  assert.deepStrictEqual(baseline.basis, []);
+  assert.strictEqual(baseline.confidence, "low");
+  assert(baseline.low < 10 && baseline.high > 10);
+  console.log(`  ${baseline.expectedAttendance} (${baseline.low}-${baseline.high})`);
+  console.log("  ✅ No outcomes gives no forecast; no groups gives the overall mean\n");
+
+  // Test 2: Shrinkage toward the overall mean
+  console.log("Test 2: Shrinkage");
+  const forecasts = [];
+  for (const count of [1, 5, 20, 100, 1000]) {
+    const forecast = await forecastAttendance(features,
+        statsCache(overall, {orgKey: popular(count)}));
+    forecasts.push(forecast.expectedAttendance);
+
+    // Reliability n / (n + 5), shrunk mean, then blended with the overall mean (weight 0.5)
+    const reliability = count / (count + 5);
+    const shrunkMean = reliability * Math.log1p(100) + (1 - reliability) * Math.log1p(10);
+    const weight = 1.5 * reliability;
+    const logMean = (Math.log1p(10) * 0.5 + shrunkMean * weight) / (0.5 + weight);
+    assert.strictEqual(forecast.expectedAttendance, Math.round(Math.expm1(logMean)));
+    assert.deepStrictEqual(forecast.basis, [{
+      factor: "orgKey",
+      value: "org:Chess Club",
+      pastEvents: count,
+      typicalAttendance: 100,
+      weight: Math.round(weight * 100) / 100,
+    }]);
+    console.log(`  ${count} past events at 100 people: ${forecast.expectedAttendance}`);
+  }
+  // One past event barely moves the estimate; many approach the group's level
+  assert(forecasts[0] < 15);
+  for (let i = 1; i < forecasts.length; i++) assert(forecasts[i] > forecasts[i - 1]);
+  assert(forecasts[forecasts.length - 1] < 100);
+  console.log("  ✅ Small groups stay near the overall mean\n");
+
+  // Test 3: Several features
+  console.log("Test 3: Several features");
+  const mixed = await forecastAttendance(features, statsCache(overall, {
+    orgKey: popular(30),
+    category: {count: 30, mean: Math.log1p(3), variance: 0.2},
+    locationCell: {count: 1, mean: Math.log1p(500), variance: 0},
+  }));
+  assert.deepStrictEqual(mixed.basis.map((factor) => factor.factor),
+      ["orgKey", "category", "locationCell"]);
+  assert(mixed.expectedAttendance > 3 && mixed.expectedAttendance < 100);
+  assert.strictEqual(mixed.confidence, "high");
+  console.log(`  ${mixed.expectedAttendance} from ${mixed.basis.length} factors`);
+
+  // Features the event does not have are not looked up
+  const partial = await forecastAttendance({...features, orgKey: null, timeSlot: null},
+      statsCache(overall, {category: popular(4)}));
+  assert.deepStrictEqual(partial.basis.map((factor) => factor.factor), ["category"]);
+  assert.strictEqual(partial.confidence, "low");
+  const medium = await forecastAttendance(features, statsCache(overall, {category: popular(5)}));
+  assert.strictEqual(medium.confidence, "medium");
+  console.log("  ✅ Factors are listed with their evidence\n");
+
+  // Test 4: Spread
+  console.log("Test 4: Spread");
+  const certain = await forecastAttendance(features,
+      statsCache({...overall, variance: 0}, {orgKey: popular(50, 0)}));
+  assert.strictEqual(certain.low, certain.expectedAttendance);
+  assert.strictEqual(certain.high, certain.expectedAttendance);
+  const spread = await forecastAttendance(features, statsCache(overall, {orgKey: popular(50, 2)}));
+  assert(spread.low < spread.expectedAttendance && spread.expectedAttendance < spread.high);
+  console.log(`  ${spread.expectedAttendance} (${spread.low}-${spread.high})`);
+  console.log("  ✅ The range widens with the variance of comparable outcomes\n");
+
+  // Test 5: Features
+  console.log("Test 5: Event features");
+  const startsAt = DateTime.fromISO("2026-10-23T21:30", {zone: "America/Chicago"}).toJSDate();
+  assert.deepStrictEqual(featuresForUserEvent({
+    hostId: "u1",
+    tags: ["Music", "open mic"],
+    startsAt: admin.firestore.Timestamp.fromDate(startsAt),
+    geohash: "9v6kpmr",
+  }), {orgKey: "host:u1", category: "music", timeSlot: "fri-21", locationCell: "9v6kpm"});
+  assert.deepStrictEqual(featuresForUserEvent({}),
+      {orgKey: null, category: null, timeSlot: null, locationCell: null});
+  assert.deepStrictEqual(featuresForCampusEvent("c1", {
+    sourceOrg: "Chess Club",
+    category: "Games",
+    startTimeISO: "2026-10-23T23:00:00Z",
+    geohash: "9v6kpmr",
+  }), features);
+  console.log("  ✅ Org, category, campus-time slot and cell\n");
+
+  console.log("✅ All crowd forecast tests completed successfully!");
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
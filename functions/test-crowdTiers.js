@@ -0,0 +1,90 @@
+/**
+ * Test script for crowd intensity tiers
+ * Run with: node test-crowdTiers.js
+ */
+
+const assert = require("assert");
+const admin = require("firebase-admin");
+const {DateTime} = require("luxon");
+
+// crowdTiers reads its config from Firestore
+admin.initializeApp({projectId: "demo-test"});
+
+const {
+  DEFAULT_TIER_CONFIG,
+  validateTierConfig,
+  resolveTiers,
+  tierFor,
+} = require("./crowdTiers");
+
+/**
+ * A time in campus time
+ * @param {string} local - Local time, e.g. "2026-10-23T23:30"
+ * @return {Date} Date
+ */
+function campusTime(local) {
+  return DateTime.fromISO(local, {zone: "America/Chicago"}).toJSDate();
+}
+
+const tier = (label, minPeople, radiusMeters = 100) =>
+  ({label, minPeople, color: "#123ABC", radiusMeters});
+
+console.log("🧪 Testing Crowd Tiers\n");
+
+// Test 1: Default tiers
+console.log("Test 1: Default tiers");
+[[0, "quiet"], [1, "quiet"], [25, "quiet"], [26, "busy"], [50, "busy"], [51, "packed"],
+  [5000, "packed"]].forEach(([peopleCount, label]) => {
+  const result = tierFor(DEFAULT_TIER_CONFIG, peopleCount, {date: campusTime("2026-10-23T12:00")});
+  assert.strictEqual(result.label, label, `${peopleCount} people`);
+  assert.strictEqual(result.version, 0);
+  console.log(`  ${peopleCount} people: ${result.label} ${result.color} ${result.radiusMeters}m`);
+});
+console.log("  ✅ Thresholds are inclusive lower bounds\n");
+
+// Test 2: Validation
+console.log("Test 2: Validating configs");
+const config = validateTierConfig({
+  tiers: [tier("low", 0), tier("high", 30, 150), tier("mid", 10)],
+  venueTypes: {stadium: [tier("stadium-low", 0), tier("stadium-high", 500)]},
+  timeOfDay: [{startHour: 22, endHour: 4, tiers: [tier("night-low", 0), tier("night-high", 5)]}],
+  extra: "ignored",
+});
+assert.deepStrictEqual(config.tiers.map((t) => t.label), ["high", "mid", "low"]);
+assert.strictEqual(config.extra, undefined);
+[
+  null,
+  {tiers: []},
+  {tiers: [tier("low", 5)]},
+  {tiers: [{...tier("low", 0), label: ""}]},
+  {tiers: [tier("low", 1.5), tier("zero", 0)]},
+  {tiers: [{...tier("low", 0), color: "red"}]},
+  {tiers: [tier("low", 0, 0)]},
+  {tiers: [tier("low", 0)], venueTypes: {bar: []}},
+  {tiers: [tier("low", 0)], timeOfDay: [{startHour: 22, endHour: 24, tiers: [tier("x", 0)]}]},
+  {tiers: [tier("low", 0)], timeOfDay: [{startHour: 22, endHour: 4}]},
+].forEach((candidate) => {
+  assert.throws(() => validateTierConfig(candidate), Error);
+});
+console.log("  ✅ Tiers are sorted and invalid configs are rejected\n");
+
+// Test 3: Overrides
+console.log("Test 3: Venue type and time of day overrides");
+const versioned = {...config, version: 7};
+[
+  ["2026-10-23T12:00", null, 12, "mid"],
+  ["2026-10-23T22:00", null, 12, "night-high"],
+  ["2026-10-24T03:59", null, 3, "night-low"],
+  ["2026-10-24T04:00", null, 3, "low"],
+  ["2026-10-23T23:00", "stadium", 12, "stadium-low"],
+  ["2026-10-23T12:00", "bar", 40, "high"],
+].forEach(([local, venueType, peopleCount, label]) => {
+  const result = tierFor(versioned, peopleCount, {venueType, date: campusTime(local)});
+  assert.strictEqual(result.label, label, `${local} ${venueType}`);
+  assert.strictEqual(result.version, 7);
+  console.log(`  ${local} ${venueType || "-"}, ${peopleCount} people: ${label}`);
+});
+assert.strictEqual(resolveTiers(versioned, {date: campusTime("2026-10-23T12:00")}), config.tiers);
+console.log("  ✅ Venue types win over time windows, which wrap past midnight\n");
+
+console.log("✅ All crowd tier tests completed successfully!");
@@ -3,7 +3,17 @@
  * Run with: node test-geohash.js
  */
 
-const { encodeGeohash, decodeGeohash, getGeohashRange, calculateDistance } = require('./geohash');
+const assert = require('assert');
+const {
+  DEFAULT_MAX_PREFIXES,
+  encodeGeohash,
+  decodeGeohash,
+  decodeBounds,
+  getGeohashRange,
+  getGeohashRangeForBox,
+  calculateDistance,
+  getNeighbors,
+} = require('./geohash');
 
 console.log('🧪 Testing Geohash Implementation\n');
 
@@ -45,7 +55,7 @@ console.log(`  Geohash ranges (${ranges.length} total):`);
 ranges.forEach((range, i) => {
   console.log(`    ${i + 1}. ${range}`);
 });
-console.log(`  ✅ Should return 9 geohashes (center + 8 neighbors)\n`);
+console.log(`  ✅ Should return at most ${DEFAULT_MAX_PREFIXES} prefixes of mixed length\n`);
 
 // Test 5: Nearby location test
 console.log('Test 5: Nearby locations have similar geohashes');
@@ -75,6 +85,183 @@ console.log(`  Encoded ${iterations} coordinates in ${elapsed}ms`);
 console.log(`  Average: ${(elapsed / iterations).toFixed(3)}ms per encode`);
 console.log(`  ✅ Should be very fast (<0.1ms per encode)\n`);
 
+// Brute-force coverage checks
+// Deterministic pseudo-random numbers so failures can be reproduced
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+/**
+ * Check a prefix set is well formed: within the cap, no overlaps, no prefix
+ * longer than the stored precision
+ */
+function assertWellFormed(prefixes, maxPrefixes = DEFAULT_MAX_PREFIXES) {
+  assert(prefixes.length >= 1 && prefixes.length <= maxPrefixes, `${prefixes.length} prefixes`);
+  prefixes.forEach(a => {
+    assert(a.length <= 6, `${a} is longer than stored geohashes`);
+    prefixes.forEach(b => assert(a === b || !b.startsWith(a), `${a} overlaps ${b}`));
+  });
+}
+
+const isCovered = (prefixes, lat, lng) =>
+  prefixes.some(prefix => encodeGeohash(lat, lng, 9).startsWith(prefix));
+
+/**
+ * Points evenly spread over a cell, edges included
+ */
+function samplePoints(bounds, steps) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    for (let j = 0; j <= steps; j++) {
+      points.push({
+        lat: bounds.latMin + (bounds.latMax - bounds.latMin) * i / steps,
+        lng: bounds.lonMin + (bounds.lonMax - bounds.lonMin) * j / steps,
+      });
+    }
+  }
+  return points;
+}
+
+/**
+ * Points along the edges of a cell (where the nearest point to an outside
+ * center lies)
+ */
+function edgePoints(bounds, steps) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const lat = bounds.latMin + (bounds.latMax - bounds.latMin) * i / steps;
+    const lng = bounds.lonMin + (bounds.lonMax - bounds.lonMin) * i / steps;
+    points.push({ lat, lng: bounds.lonMin }, { lat, lng: bounds.lonMax });
+    points.push({ lat: bounds.latMin, lng }, { lat: bounds.latMax, lng });
+  }
+  return points;
+}
+
+/**
+ * Every precision-6 cell near the circle that a sample point shows to
+ * intersect it
+ */
+function bruteForceCells(center, radiusKm) {
+  const latSpan = radiusKm / 111 + 0.01;
+  const lngSpan = latSpan / Math.cos(center.lat * Math.PI / 180);
+  const { error } = decodeGeohash(encodeGeohash(center.lat, center.lng, 6));
+  const cells = new Set();
+
+  for (let lat = center.lat - latSpan; lat <= center.lat + latSpan; lat += error.latitude) {
+    for (let lng = center.lng - lngSpan; lng <= center.lng + lngSpan; lng += error.longitude) {
+      const wrapped = ((lng + 540) % 360) - 180;
+      const cell = encodeGeohash(Math.max(-90, Math.min(90, lat)), wrapped, 6);
+      if (cells.has(cell)) continue;
+      const inside = samplePoints(decodeBounds(cell), 6).some(point =>
+        calculateDistance(center.lat, center.lng, point.lat, point.lng) <= radiusKm);
+      if (inside) cells.add(cell);
+    }
+  }
+  return cells;
+}
+
+// Test 7: Circles are fully covered, by prefixes that all touch the circle
+console.log('Test 7: Radius coverage against brute force');
+[
+  { name: 'SF 500m', lat: 37.7749, lng: -122.4194, radiusKm: 0.5 },
+  { name: 'SF 5km', lat: 37.7749, lng: -122.4194, radiusKm: 5 },
+  { name: 'SF 20km', lat: 37.7749, lng: -122.4194, radiusKm: 20 },
+  { name: 'Tromsø 20km', lat: 69.6492, lng: 18.9553, radiusKm: 20 },
+  { name: 'Antimeridian 30km', lat: -16.5, lng: 179.99, radiusKm: 30 },
+].forEach(({ name, lat, lng, radiusKm }) => {
+  const prefixes = getGeohashRange(lat, lng, radiusKm);
+  assertWellFormed(prefixes);
+
+  const expected = bruteForceCells({ lat, lng }, radiusKm);
+  expected.forEach(cell => assert(isCovered(prefixes, ...Object.values(decodeGeohash(cell))),
+    `${name}: cell ${cell} is not covered`));
+
+  prefixes.forEach(prefix => {
+    const touches = edgePoints(decodeBounds(prefix), 400)
+      .concat(samplePoints(decodeBounds(prefix), 20))
+      .some(point => calculateDistance(lat, lng, point.lat, point.lng) <= radiusKm);
+    assert(touches, `${name}: prefix ${prefix} does not touch the circle`);
+  });
+
+  console.log(`  ${name}: ${prefixes.length} prefixes cover all ${expected.size} cells`);
+});
+console.log('  ✅ No cell of the circle is missed and no prefix is wasted\n');
+
+// Test 8: Random points in the circle are covered, including around a pole
+console.log('Test 8: Random points in radius are covered');
+[
+  { name: 'SF 10km', lat: 37.7749, lng: -122.4194, radiusKm: 10 },
+  { name: 'North pole 50km', lat: 89.9, lng: 0, radiusKm: 50 },
+  { name: 'Equator 2km', lat: 0.001, lng: -0.001, radiusKm: 2 },
+  { name: 'SF 300km', lat: 37.7749, lng: -122.4194, radiusKm: 300 },
+].forEach(({ name, lat, lng, radiusKm }) => {
+  const prefixes = getGeohashRange(lat, lng, radiusKm, { maxPrefixes: 8 });
+  assertWellFormed(prefixes, 8);
+
+  // Near a pole the circle spans every longitude
+  const lngSpan = Math.min(180, radiusKm / (111 * Math.cos(lat * Math.PI / 180)));
+  let checked = 0;
+  for (let i = 0; i < 5000; i++) {
+    const pointLat = Math.max(-90, Math.min(90, lat + (random() * 2 - 1) * radiusKm / 111));
+    const pointLng = ((lng + (random() * 2 - 1) * lngSpan + 540) % 360) - 180;
+    if (calculateDistance(lat, lng, pointLat, pointLng) > radiusKm) continue;
+    checked++;
+    assert(isCovered(prefixes, pointLat, pointLng),
+      `${name}: (${pointLat}, ${pointLng}) is not covered`);
+  }
+  console.log(`  ${name}: ${prefixes.length} prefixes, ${checked} points covered`);
+});
+console.log('  ✅ All points within the radius are covered\n');
+
+// Test 9: Bounding boxes, including one across the antimeridian
+console.log('Test 9: Bounding box coverage');
+[
+  { name: 'Bay Area', box: { north: 38, south: 37.5, east: -122, west: -122.6 } },
+  { name: 'Fiji', box: { north: -16, south: -18.5, east: -179.5, west: 177 } },
+].forEach(({ name, box }) => {
+  const prefixes = getGeohashRangeForBox(box);
+  assertWellFormed(prefixes);
+
+  const width = ((box.east - box.west) + 360) % 360;
+  for (let i = 0; i < 5000; i++) {
+    const pointLat = box.south + random() * (box.north - box.south);
+    const pointLng = ((box.west + random() * width + 540) % 360) - 180;
+    assert(isCovered(prefixes, pointLat, pointLng),
+      `${name}: (${pointLat}, ${pointLng}) is not covered`);
+  }
+  prefixes.forEach(prefix => {
+    const bounds = decodeBounds(prefix);
+    assert(bounds.latMin <= box.north && bounds.latMax >= box.south, `${name}: ${prefix} is outside`);
+  });
+  console.log(`  ${name}: ${prefixes.length} prefixes (${prefixes.join(', ')})`);
+});
+console.log('  ✅ Boxes are covered within the query cap\n');
+
+// Test 10: Neighbors of odd and even precision cells
+console.log('Test 10: Neighboring cells');
+for (let precision = 1; precision <= 9; precision++) {
+  for (let i = 0; i < 300; i++) {
+    const cell = encodeGeohash(-80 + random() * 160, -170 + random() * 340, precision);
+    const bounds = decodeBounds(cell);
+    const height = bounds.latMax - bounds.latMin;
+    const width = bounds.lonMax - bounds.lonMin;
+    const centerLat = (bounds.latMin + bounds.latMax) / 2;
+    const centerLng = (bounds.lonMin + bounds.lonMax) / 2;
+    if (Math.abs(centerLat) + height > 90 || Math.abs(centerLng) + width > 180) continue;
+
+    const expected = [];
+    [-1, 0, 1].forEach(dy => [-1, 0, 1].forEach(dx => {
+      if (dx || dy) {
+        expected.push(encodeGeohash(centerLat + dy * height, centerLng + dx * width, precision));
+      }
+    }));
+    assert.deepStrictEqual([...getNeighbors(cell)].sort(), expected.sort(), `neighbors of ${cell}`);
+  }
+}
+console.log('  ✅ The 8 surrounding cells at precisions 1-9\n');
+
 console.log('✅ All geohash tests completed successfully!');
 console.log('\nYou can now start the Firebase emulators to test the full backend.');
 
@@ -0,0 +1,218 @@
+/**
+ * Test script for list pagination
+ * Run with: node test-pagination.js
+ */
+
+const assert = require("assert");
+const admin = require("firebase-admin");
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageSize,
+  encodePageToken,
+  decodePageToken,
+  fetchPage,
+  fetchFilteredPage,
+  paginateSorted,
+} = require("./pagination");
+
+/**
+ * In-memory stand-in for the parts of a Firestore query the helpers use
+ */
+class FakeQuery {
+  /**
+   * @param {Array<object>} docs - Documents as {id, ...fields}
+   * @param {object} state - Ordering, cursor and limit
+   */
+  constructor(docs, state = {orders: [], cursor: null, limit: null}) {
+    this.docs = docs;
+    this.state = state;
+    this.reads = 0;
+  }
+
+  /**
+   * @param {*} field - Field name or FieldPath.documentId()
+   * @param {string} direction - "asc" or "desc"
+   * @return {FakeQuery} Ordered query
+   */
+  orderBy(field, direction = "asc") {
+    const orders = [...this.state.orders, {field, direction}];
+    return this.with({orders});
+  }
+
+  /**
+   * @param {...*} cursor - Values of the ordered fields
+   * @return {FakeQuery} Query starting after the cursor
+   */
+  startAfter(...cursor) {
+    return this.with({cursor});
+  }
+
+  /**
+   * @param {number} limit - Maximum documents
+   * @return {FakeQuery} Limited query
+   */
+  limit(limit) {
+    return this.with({limit});
+  }
+
+  /**
+   * @param {object} changes - State changes
+   * @return {FakeQuery} Query sharing the documents and read counter
+   */
+  with(changes) {
+    const query = new FakeQuery(this.docs, {...this.state, ...changes});
+    query.root = this.root || this;
+    return query;
+  }
+
+  /**
+   * @return {Promise<object>} {docs, size}
+   */
+  async get() {
+    const {orders, cursor, limit} = this.state;
+    const valueOf = (doc, field) => field instanceof admin.firestore.FieldPath ?
+      doc.id :
+      doc[field];
+    const compare = (a, b) => {
+      for (let i = 0; i < orders.length; i++) {
+        const {field, direction} = orders[i];
+        const x = Array.isArray(a) ? a[i] : valueOf(a, field);
+        const y = Array.isArray(b) ? b[i] : valueOf(b, field);
+        if (x !== y) return (x < y ? -1 : 1) * (direction === "desc" ? -1 : 1);
+      }
+      return 0;
+    };
+
+    let docs = [...this.docs].sort(compare);
+    if (cursor) docs = docs.filter((doc) => compare(doc, cursor) > 0);
+    if (limit !== null) docs = docs.slice(0, limit);
+
+    (this.root || this).reads += docs.length;
+    const snapshots = docs.map((doc) => ({
+      id: doc.id,
+      get: (field) => doc[field],
+      data: () => doc,
+    }));
+    return {docs: snapshots, size: snapshots.length};
+  }
+}
+
+/**
+ * Read every page of a paged listing
+ * @param {function(string): Promise<object>} readPage - Reads the page for a token
+ * @return {Promise<Array<object>>} Pages as {items, nextPageToken}
+ */
+async function readAllPages(readPage) {
+  const pages = [];
+  let pageToken = null;
+  do {
+    const page = await readPage(pageToken);
+    pages.push(page);
+    pageToken = page.nextPageToken;
+    assert(pages.length < 1000, "paging does not terminate");
+  } while (pageToken);
+  return pages;
+}
+
+// 120 documents; scores repeat so ties are broken by document ID
+const documents = Array.from({length: 120}, (_, i) => ({
+  id: `doc${String(i).padStart(3, "0")}`,
+  score: i % 7,
+  n: i,
+}));
+
+(async () => {
+  console.log("🧪 Testing Pagination\n");
+
+  // Test 1: Page sizes
+  console.log("Test 1: Page sizes");
+  assert.strictEqual(parsePageSize(undefined), DEFAULT_PAGE_SIZE);
+  assert.strictEqual(parsePageSize("10"), 10);
+  assert.strictEqual(parsePageSize(0), DEFAULT_PAGE_SIZE);
+  assert.strictEqual(parsePageSize(-5), 1);
+  assert.strictEqual(parsePageSize(10000), MAX_PAGE_SIZE);
+  assert.strictEqual(parsePageSize(undefined, 50), 50);
+  console.log("  ✅ Defaults and bounds apply\n");
+
+  // Test 2: Tokens
+  console.log("Test 2: Page tokens");
+  const timestamp = new admin.firestore.Timestamp(1760900100, 5000);
+  const decoded = decodePageToken(encodePageToken([timestamp, "abc", 3, null]));
+  assert(decoded[0] instanceof admin.firestore.Timestamp);
+  assert(decoded[0].isEqual(timestamp));
+  assert.deepStrictEqual(decoded.slice(1), ["abc", 3, null]);
+  assert.strictEqual(decodePageToken(""), null);
+  assert.strictEqual(decodePageToken(undefined), null);
+  ["not-a-token", encodePageToken(["a"]).slice(0, -2), Buffer.from("{}").toString("base64url")]
+      .forEach((pageToken) => {
+        assert.throws(() => decodePageToken(pageToken), (error) =>
+          error.code === "invalid-argument" && error.details.code === "INVALID_PAGE_TOKEN");
+      });
+  assert.throws(() => decodePageToken(encodePageToken(["a", "b"]), 3));
+  console.log("  ✅ Tokens round-trip and malformed ones are rejected\n");
+
+  // Test 3: Query pages
+  console.log("Test 3: fetchPage");
+  for (const pageSize of [1, 7, 25, 120, 200]) {
+    const pages = await readAllPages((pageToken) =>
+      fetchPage(new FakeQuery(documents), [["score", "desc"]], {pageToken, pageSize}));
+    const ids = pages.flatMap((page) => page.docs.map((doc) => doc.id));
+    assert.strictEqual(new Set(ids).size, documents.length,
+        `pageSize ${pageSize} skips or repeats`);
+    pages.forEach((page, index) => {
+      assert.strictEqual(page.offset, index * pageSize);
+      if (page.nextPageToken) assert.strictEqual(page.docs.length, pageSize);
+    });
+    console.log(`  pageSize ${pageSize}: ${pages.length} pages`);
+  }
+  console.log("  ✅ Every document is returned once\n");
+
+  // Test 4: Filtered query pages are full
+  console.log("Test 4: fetchFilteredPage");
+  const keepMultiplesOf = (step) => async (docs) =>
+    docs.map((doc) => doc.data().n % step === 0 ? doc.data().n : null);
+  for (const [step, pageSize] of [[1, 10], [3, 10], [7, 4], [11, 25], [13, 1]]) {
+    const expected = documents.filter((doc) => doc.n % step === 0).map((doc) => doc.n);
+    const pages = await readAllPages((pageToken) => fetchFilteredPage(
+        new FakeQuery(documents), [["n", "asc"]], {pageToken, pageSize}, keepMultiplesOf(step)));
+
+    assert.deepStrictEqual(pages.flatMap((page) => page.items), expected);
+    pages.slice(0, -1).forEach((page) => assert.strictEqual(page.items.length, pageSize));
+    assert(pages[pages.length - 1].items.length > 0, "last page is empty");
+    console.log(`  every ${step}th, pageSize ${pageSize}: ${pages.length} full pages`);
+  }
+
+  // Pages of a sparse filter stop at the scan limit and resume from there
+  const sparse = await readAllPages((pageToken) => fetchFilteredPage(
+      new FakeQuery(documents), [["n", "asc"]], {pageToken, pageSize: 1},
+      async (docs) => docs.map((doc) => doc.data().n === 119 ? doc.data().n : null)));
+  assert.deepStrictEqual(sparse.flatMap((page) => page.items), [119]);
+  assert(sparse.length > 1);
+  console.log(`  one match at the end, pageSize 1: ${sparse.length} pages`);
+
+  // Only about a page of documents is read per page
+  const counted = new FakeQuery(documents);
+  await fetchFilteredPage(counted, [["n", "asc"]], {pageToken: null, pageSize: 10},
+      keepMultiplesOf(1));
+  assert.strictEqual(counted.reads, 11);
+  console.log("  ✅ Pages are full, in order and complete\n");
+
+  // Test 5: In-memory pages
+  console.log("Test 5: paginateSorted");
+  const items = documents.map((doc) => ({id: doc.id, distance: doc.score}));
+  const pages = await readAllPages(async (pageToken) =>
+    paginateSorted(items, (item) => [item.distance, item.id], {pageToken, pageSize: 9}));
+  const sorted = pages.flatMap((page) => page.items);
+  assert.strictEqual(new Set(sorted.map((item) => item.id)).size, items.length);
+  for (let i = 1; i < sorted.length; i++) {
+    assert(sorted[i - 1].distance <= sorted[i].distance, "not sorted by distance");
+  }
+  console.log(`  ${pages.length} pages of 9`);
+  console.log("  ✅ Sorted, without skips or repeats\n");
+
+  console.log("✅ All pagination tests completed successfully!");
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
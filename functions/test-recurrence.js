@@ -0,0 +1,197 @@
+/**
+ * Test script for recurrence rules
+ * Run with: node test-recurrence.js
+ */
+
+const assert = require("assert");
+const {DateTime} = require("luxon");
+const {
+  parseRRule,
+  formatRRule,
+  occurrenceIdFor,
+  occurrenceStartFor,
+  normalizeOccurrenceId,
+  expandOccurrences,
+  lastOccurrenceStart,
+  countOccurrencesBefore,
+} = require("./recurrence");
+
+const ZONE = "America/Chicago";
+
+/**
+ * Build a series starting at a local time in ZONE
+ * @param {string} localStart - Local start, e.g. "2026-01-02T19:00"
+ * @param {string} rrule - RRULE string
+ * @param {object} extra - Other series fields
+ * @return {object} Series
+ */
+function seriesAt(localStart, rrule, extra = {}) {
+  const startsAt = DateTime.fromISO(localStart, {zone: ZONE}).toJSDate();
+  return {startsAt, endsAt: null, rrule, exdates: [], timeZone: ZONE, ...extra};
+}
+
+/**
+ * Expand a series over a range and return the local dates of its occurrences
+ * @param {object} series - Series
+ * @param {string} to - Range end (ISO date)
+ * @param {number} limit - Maximum occurrences
+ * @return {Array<string>} Local dates (yyyy-MM-dd)
+ */
+function localDates(series, to = "2030-01-01", limit = 50) {
+  return expandOccurrences(series, {from: series.startsAt, to: new Date(to), limit})
+      .map((occurrence) => DateTime.fromJSDate(occurrence.startsAt, {zone: ZONE}).toISODate());
+}
+
+console.log("🧪 Testing Recurrence Rules\n");
+
+// Test 1: Parsing and formatting
+console.log("Test 1: Parsing and formatting rules");
+const parsed = parseRRule("RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR,2TU;COUNT=6");
+assert.strictEqual(parsed.freq, "MONTHLY");
+assert.strictEqual(parsed.interval, 2);
+assert.deepStrictEqual(parsed.byDay, [{weekday: 5, ordinal: -1}, {weekday: 2, ordinal: 2}]);
+assert.strictEqual(parsed.count, 6);
+assert.strictEqual(formatRRule(parsed), "FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR,2TU;COUNT=6");
+assert.strictEqual(
+    formatRRule(parseRRule("FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261215")),
+    "FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261215T235959Z");
+console.log("  ✅ Rules round-trip through formatRRule\n");
+
+// Test 2: Invalid rules
+console.log("Test 2: Rejecting invalid rules");
+[
+  "",
+  "FREQ=DAILY",
+  "FREQ=WEEKLY;BYHOUR=9",
+  "FREQ=WEEKLY;INTERVAL=0",
+  "FREQ=WEEKLY;BYDAY=1FR",
+  "FREQ=MONTHLY;BYDAY=6FR",
+  "FREQ=WEEKLY;BYMONTHDAY=1",
+  "FREQ=MONTHLY;BYMONTHDAY=0",
+  "FREQ=MONTHLY;BYMONTHDAY=32",
+  "FREQ=WEEKLY;COUNT=3;UNTIL=20261215",
+  "FREQ=WEEKLY;COUNT=501",
+  "FREQ=WEEKLY;UNTIL=tomorrow",
+  "FREQ=WEEKLY;BYDAY",
+].forEach((rrule) => {
+  assert.throws(() => parseRRule(rrule), Error, `"${rrule}" should be rejected`);
+  console.log(`  "${rrule}" rejected`);
+});
+console.log("  ✅ Invalid rules throw\n");
+
+// Test 3: Occurrence IDs
+console.log("Test 3: Occurrence IDs");
+const start = new Date("2026-10-23T00:00:00Z");
+assert.strictEqual(occurrenceIdFor(start), "20261023T000000Z");
+assert.strictEqual(occurrenceStartFor("20261023T000000Z").getTime(), start.getTime());
+assert.strictEqual(occurrenceStartFor("2026-10-23"), null);
+assert.strictEqual(normalizeOccurrenceId("2026-10-23T00:00:00Z"), "20261023T000000Z");
+assert.strictEqual(normalizeOccurrenceId("20261023T000000Z"), "20261023T000000Z");
+assert.throws(() => normalizeOccurrenceId("not a date"));
+console.log("  ✅ IDs round-trip\n");
+
+// Test 4: Weekly rules keep the local time across daylight saving
+console.log("Test 4: Weekly rules across daylight saving");
+const weekly = seriesAt("2026-10-20T19:00", "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=6");
+const weeklyStarts = expandOccurrences(weekly, {from: weekly.startsAt, to: new Date("2027-01-01")})
+    .map((occurrence) => DateTime.fromJSDate(occurrence.startsAt, {zone: ZONE}));
+assert.deepStrictEqual(weeklyStarts.map((date) => date.toISODate()), [
+  "2026-10-20", "2026-10-22", "2026-10-27", "2026-10-29", "2026-11-03", "2026-11-05",
+]);
+weeklyStarts.forEach((date) => assert.strictEqual(date.hour, 19));
+assert.notStrictEqual(weeklyStarts[0].offset, weeklyStarts[5].offset);
+console.log(`  ${weeklyStarts.map((date) => date.toFormat("MM-dd HH:mm ZZ")).join(", ")}`);
+console.log("  ✅ Every occurrence starts at 19:00 local time\n");
+
+// Test 5: BYDAY and BYMONTHDAY together are an intersection
+console.log("Test 5: Friday the 13th");
+const fridayThe13th = localDates(
+    seriesAt("2026-01-01T20:00", "FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13"), "2028-01-01");
+assert.deepStrictEqual(fridayThe13th, ["2026-02-13", "2026-03-13", "2026-11-13", "2027-08-13"]);
+fridayThe13th.forEach((date) => {
+  const day = DateTime.fromISO(date, {zone: ZONE});
+  assert.strictEqual(day.weekday, 5);
+  assert.strictEqual(day.day, 13);
+});
+console.log(`  ${fridayThe13th.join(", ")}`);
+
+// An ordinal BYDAY narrows the month days the same way
+const firstMondayInFirstWeek = localDates(
+    seriesAt("2026-01-01T09:00", "FREQ=MONTHLY;BYDAY=1MO;BYMONTHDAY=1,2,3;COUNT=4"));
+assert.deepStrictEqual(firstMondayInFirstWeek,
+    ["2026-02-02", "2026-03-02", "2026-06-01", "2026-08-03"]);
+console.log(`  First Monday on the 1st-3rd: ${firstMondayInFirstWeek.join(", ")}`);
+console.log("  ✅ Only days matching both parts are returned\n");
+
+// Test 6: Monthly rules with one of BYDAY or BYMONTHDAY
+console.log("Test 6: Monthly ordinals and month days");
+assert.deepStrictEqual(
+    localDates(seriesAt("2026-01-01T18:00", "FREQ=MONTHLY;BYDAY=-1FR;COUNT=3")),
+    ["2026-01-30", "2026-02-27", "2026-03-27"]);
+assert.deepStrictEqual(
+    localDates(seriesAt("2026-01-01T18:00", "FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3")),
+    ["2026-01-31", "2026-02-28", "2026-03-31"]);
+assert.deepStrictEqual(
+    localDates(seriesAt("2026-01-01T18:00", "FREQ=MONTHLY;BYMONTHDAY=1,15;COUNT=4")),
+    ["2026-01-01", "2026-01-15", "2026-02-01", "2026-02-15"]);
+// Without BYDAY/BYMONTHDAY, months without the start's day are skipped
+assert.deepStrictEqual(
+    localDates(seriesAt("2026-01-31T18:00", "FREQ=MONTHLY;COUNT=4")),
+    ["2026-01-31", "2026-03-31", "2026-05-31", "2026-07-31"]);
+console.log("  ✅ Last Friday, last day, fixed days and the 31st\n");
+
+// Test 7: UNTIL, COUNT, exception dates and ranges
+console.log("Test 7: Bounds and exception dates");
+assert.deepStrictEqual(
+    localDates(seriesAt("2026-01-05T18:00", "FREQ=WEEKLY;INTERVAL=2;UNTIL=20260215")),
+    ["2026-01-05", "2026-01-19", "2026-02-02"]);
+
+const withExdate = seriesAt("2026-01-05T18:00", "FREQ=WEEKLY;COUNT=4");
+withExdate.exdates = [
+  occurrenceIdFor(DateTime.fromISO("2026-01-12T18:00", {zone: ZONE}).toJSDate()),
+];
+// Exception dates use up COUNT
+assert.deepStrictEqual(localDates(withExdate), ["2026-01-05", "2026-01-19", "2026-01-26"]);
+assert.strictEqual(countOccurrencesBefore(withExdate, new Date("2026-01-21")), 3);
+
+// Occurrences still running at the start of the range are included
+const running = seriesAt("2026-01-05T18:00", "FREQ=WEEKLY;COUNT=4", {
+  endsAt: DateTime.fromISO("2026-01-05T23:00", {zone: ZONE}).toJSDate(),
+});
+const inRange = expandOccurrences(running, {
+  from: DateTime.fromISO("2026-01-12T20:00", {zone: ZONE}).toJSDate(),
+  to: new Date("2026-02-01"),
+  limit: 2,
+});
+assert.deepStrictEqual(inRange.map((occurrence) => occurrence.occurrenceId),
+    ["20260113T000000Z", "20260120T000000Z"]);
+assert.strictEqual(inRange[0].endsAt.getTime() - inRange[0].startsAt.getTime(), 5 * 60 * 60 * 1000);
+console.log("  ✅ UNTIL, COUNT, EXDATE, ranges and limits\n");
+
+// Test 8: Last occurrence without expanding the whole series
+console.log("Test 8: Last occurrence of bounded series");
+[
+  seriesAt("2026-01-05T18:00", "FREQ=WEEKLY;INTERVAL=2;UNTIL=20260215"),
+  seriesAt("2026-01-05T18:00", "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20270310T235959Z"),
+  seriesAt("2026-10-20T19:00", "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=6"),
+  seriesAt("2026-01-01T20:00", "FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13;UNTIL=20290101"),
+  seriesAt("2026-01-31T18:00", "FREQ=MONTHLY;INTERVAL=3;UNTIL=20300101"),
+  seriesAt("2026-01-01T18:00", "FREQ=MONTHLY;BYDAY=-1FR;COUNT=40"),
+  withExdate,
+  {...withExdate, exdates: [occurrenceIdFor(new Date("2026-01-27T00:00:00Z"))]},
+].forEach((series) => {
+  const all = expandOccurrences(series, {
+    from: series.startsAt,
+    to: new Date("2100-01-01"),
+    limit: Number.MAX_SAFE_INTEGER,
+  });
+  const expected = all[all.length - 1].startsAt;
+  assert.strictEqual(lastOccurrenceStart(series).getTime(), expected.getTime(), series.rrule);
+  console.log(`  ${series.rrule}: ${expected.toISOString()}`);
+});
+assert.strictEqual(lastOccurrenceStart(seriesAt("2026-01-05T18:00", "FREQ=WEEKLY")), null);
+assert.strictEqual(
+    lastOccurrenceStart(seriesAt("2026-03-01T18:00", "FREQ=WEEKLY;UNTIL=20260201")), null);
+console.log("  ✅ Matches the last expanded occurrence\n");
+
+console.log("✅ All recurrence tests completed successfully!");
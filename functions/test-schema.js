@@ -0,0 +1,141 @@
+/**
+ * Test script for document schemas
+ * Run with: node test-schema.js
+ */
+
+const assert = require("assert");
+const admin = require("firebase-admin");
+
+// The modules the schemas reference look up Firestore when loaded
+admin.initializeApp({projectId: "demo-test"});
+
+const {FIELD_ERRORS, parseCreate, parseUpdate, computeFields} = require("./schema");
+const {encodeGeohash, GEOHASH_PRECISION} = require("./geohash");
+
+/**
+ * Assert that parsing throws INVALID_FIELDS with the given field errors
+ * @param {function(): object} parse - Parse call
+ * @param {Array<Array<string>>} expected - [field, code] pairs, in any order
+ */
+function assertRejected(parse, expected) {
+  assert.throws(parse, (error) => {
+    assert.strictEqual(error.code, "invalid-argument");
+    assert.strictEqual(error.details.code, "INVALID_FIELDS");
+    const actual = error.details.errors.map(({field, code}) => [field, code]);
+    assert.deepStrictEqual(actual.sort(), [...expected].sort());
+    error.details.errors.forEach(({field, message}) => assert(message.startsWith(field)));
+    return true;
+  });
+}
+
+const event = {title: "Open mic", latitude: 30.28, longitude: -97.74};
+
+console.log("🧪 Testing Document Schemas\n");
+
+// Test 1: Valid payloads
+console.log("Test 1: Valid creates and updates");
+const created = parseCreate("events", {
+  ...event,
+  description: null,
+  startsAt: "2026-11-01T19:00:00Z",
+  tags: ["music"],
+  capacity: 40,
+  requiresApproval: false,
+  visibility: "public",
+  status: "draft",
+  eventId: "ignored",
+}, ["eventId"]);
+assert.strictEqual(created.title, "Open mic");
+assert.strictEqual(created.description, null);
+assert(created.startsAt instanceof admin.firestore.Timestamp);
+assert.strictEqual(created.startsAt.toDate().toISOString(), "2026-11-01T19:00:00.000Z");
+assert.strictEqual(created.eventId, undefined);
+assert.deepStrictEqual(parseUpdate("events", {eventId: "e1", title: "Late open mic"}, ["eventId"]),
+    {title: "Late open mic"});
+assert.deepStrictEqual(parseUpdate("events", {title: "Open mic", imageUrl: undefined}),
+    {title: "Open mic"});
+assert.deepStrictEqual(parseCreate("points", {points: 100, reason: "Helped set up"}),
+    {points: 100, reason: "Helped set up"});
+console.log("  ✅ Declared fields are kept and converted\n");
+
+// Test 2: Unknown and server-managed fields
+console.log("Test 2: Unknown and read-only fields");
+assertRejected(() => parseCreate("events", {...event, mood: "chill"}),
+    [["mood", FIELD_ERRORS.UNKNOWN]]);
+assertRejected(() => parseCreate("events", {...event, id: "mine", hostId: "u1"}),
+    [["id", FIELD_ERRORS.READ_ONLY], ["hostId", FIELD_ERRORS.READ_ONLY]]);
+assertRejected(() => parseCreate("events", {...event, geohash: "9v6kp"}),
+    [["geohash", FIELD_ERRORS.READ_ONLY]]);
+assertRejected(() => parseCreate("signals", {eventId: "e1", latitude: 1, longitude: 2, id: "s1"}),
+    [["id", FIELD_ERRORS.READ_ONLY]]);
+assertRejected(() => parseCreate("points", {points: 5, reason: "x", id: "p1", source: "event"}),
+    [["id", FIELD_ERRORS.READ_ONLY], ["source", FIELD_ERRORS.READ_ONLY]]);
+assertRejected(() => parseUpdate("users", {auraPoints: 1000}),
+    [["auraPoints", FIELD_ERRORS.READ_ONLY]]);
+console.log("  ✅ Rejected rather than dropped\n");
+
+// Test 3: Required and create-only fields
+console.log("Test 3: Required and create-only fields");
+assertRejected(() => parseCreate("events", {title: "No place"}),
+    [["latitude", FIELD_ERRORS.MISSING], ["longitude", FIELD_ERRORS.MISSING]]);
+assertRejected(() => parseCreate("events", {...event, title: null}),
+    [["title", FIELD_ERRORS.INVALID], ["title", FIELD_ERRORS.MISSING]]);
+assertRejected(() => parseUpdate("signals", {latitude: 1, signalStrength: 3}),
+    [["latitude", FIELD_ERRORS.READ_ONLY]]);
+assertRejected(() => parseUpdate("events", {status: "draft"}),
+    [["status", FIELD_ERRORS.READ_ONLY]]);
+// Updates only check the fields sent
+assert.deepStrictEqual(parseUpdate("signals", {signalStrength: 3}), {signalStrength: 3});
+assert.throws(() => parseUpdate("events", {eventId: "e1"}, ["eventId"]), (error) =>
+  error.details.code === "INVALID_FIELDS" && error.message === "No fields to update");
+console.log("  ✅ Missing fields and changes to create-only fields are rejected\n");
+
+// Test 4: Field values
+console.log("Test 4: Invalid values");
+const validCreates = {
+  events: event,
+  points: {points: 5, reason: "Helped set up"},
+  signals: {eventId: "e1", latitude: 30.28, longitude: -97.74},
+};
+[
+  ["events", "title", 42],
+  ["events", "title", "x".repeat(201)],
+  ["events", "latitude", 91],
+  ["events", "longitude", NaN],
+  ["events", "capacity", 2.5],
+  ["events", "capacity", 0],
+  ["events", "requiresApproval", "yes"],
+  ["events", "startsAt", "next friday"],
+  ["events", "startsAt", {seconds: 1}],
+  ["events", "tags", "music"],
+  ["events", "tags", ["music", 7]],
+  ["events", "tags", Array(21).fill("x")],
+  ["events", "recurrence", ["FREQ=WEEKLY"]],
+  ["events", "visibility", "secret"],
+  ["events", "status", "published"],
+  ["events", "radiusMeters", null],
+  ["points", "points", 101],
+  ["points", "points", 0],
+  ["signals", "signalStrength", 6],
+].forEach(([collection, field, value]) => {
+  assertRejected(() => parseCreate(collection, {...validCreates[collection], [field]: value}),
+      [[field, FIELD_ERRORS.INVALID]]);
+  console.log(`  ${collection}.${field} = ${String(JSON.stringify(value)).slice(0, 20)} rejected`);
+});
+assert.throws(() => parseCreate("events", null), (error) => error.code === "invalid-argument");
+assert.throws(() => parseCreate("events", [event]), (error) => error.code === "invalid-argument");
+console.log("  ✅ Values outside their spec are rejected\n");
+
+// Test 5: Computed fields
+console.log("Test 5: Computed fields");
+assert.deepStrictEqual(computeFields("events", {}, {latitude: 30.28, longitude: -97.74}),
+    {geohash: encodeGeohash(30.28, -97.74, GEOHASH_PRECISION)});
+assert.deepStrictEqual(
+    computeFields("events", {latitude: 30.28, longitude: -97.74}, {latitude: 30.3}),
+    {geohash: encodeGeohash(30.3, -97.74, GEOHASH_PRECISION)});
+assert.deepStrictEqual(computeFields("events", {latitude: 30.28, longitude: -97.74},
+    {title: "Renamed"}), {});
+assert.deepStrictEqual(computeFields("points", {}, {points: 5}), {});
+console.log("  ✅ Recomputed only when their inputs change\n");
+
+console.log("✅ All schema tests completed successfully!");
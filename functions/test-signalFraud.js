@@ -0,0 +1,108 @@
+/**
+ * Test script for signal fraud scoring
+ * Run with: node test-signalFraud.js
+ */
+
+const assert = require("assert");
+const admin = require("firebase-admin");
+
+// signalFraud looks up earlier signals and profiles in Firestore
+admin.initializeApp({projectId: "demo-test"});
+
+const {
+  FRAUD_STATUS,
+  BURST_THRESHOLD,
+  accountReasonFor,
+  combineChecks,
+  isCounted,
+  sanitizeAttestation,
+} = require("./signalFraud");
+
+const noFindings = {travel: null, accountReason: null, recentInCell: 0};
+const travel = {previousSignalId: "s1", distanceKm: 320.5, speedKmh: 641};
+
+console.log("🧪 Testing Signal Fraud Scoring\n");
+
+// Test 1: Scores and statuses
+console.log("Test 1: Scores and statuses");
+[
+  ["nothing found", {}, {}, true, 0, FRAUD_STATUS.CLEAR],
+  ["no App Check", {}, {}, false, 0.15, FRAUD_STATUS.CLEAR],
+  ["compromised device", {}, {isCompromised: true}, true, 0.3, FRAUD_STATUS.CLEAR],
+  ["new account, no App Check", {accountReason: "NEW_ACCOUNT"}, {}, false, 0.4,
+    FRAUD_STATUS.FLAGGED],
+  ["no profile, compromised", {accountReason: "NO_PROFILE"}, {isCompromised: true}, true, 0.6,
+    FRAUD_STATUS.FLAGGED],
+  ["no profile, burst, no App Check",
+    {accountReason: "NO_PROFILE", recentInCell: BURST_THRESHOLD}, {}, false, 0.65,
+    FRAUD_STATUS.FLAGGED],
+  ["mock location", {}, {isMockLocation: true}, true, 0.7, FRAUD_STATUS.QUARANTINED],
+  ["impossible travel, no App Check", {travel}, {}, false, 0.75, FRAUD_STATUS.QUARANTINED],
+  ["everything", {travel, accountReason: "NEW_ACCOUNT", recentInCell: 500},
+    {isMockLocation: true, isCompromised: true}, false, 1, FRAUD_STATUS.QUARANTINED],
+].forEach(([name, checks, attestation, appCheckVerified, score, status]) => {
+  const result = combineChecks({...noFindings, ...checks}, attestation, appCheckVerified);
+  assert.strictEqual(result.fraudScore, score, name);
+  assert.strictEqual(result.fraudStatus, status, name);
+  console.log(`  ${name}: ${result.fraudScore} ${result.fraudStatus} ` +
+    `(${result.fraudReasons.join(", ") || "no reasons"})`);
+});
+console.log("  ✅ Weaker checks add up to a flag; strong ones quarantine\n");
+
+// Test 2: Reasons and evidence
+console.log("Test 2: Reasons and evidence");
+const burst = combineChecks({...noFindings, travel, recentInCell: BURST_THRESHOLD}, null, true);
+assert.deepStrictEqual(burst.fraudReasons, ["IMPOSSIBLE_TRAVEL", "CELL_BURST"]);
+assert.deepStrictEqual(burst.fraudEvidence, {travel, recentInCell: BURST_THRESHOLD});
+const quiet = combineChecks({...noFindings, recentInCell: BURST_THRESHOLD - 1}, {}, true);
+assert.deepStrictEqual(quiet.fraudReasons, []);
+assert.deepStrictEqual(quiet.fraudEvidence, {});
+// Only an explicit true from the client counts
+const truthy = combineChecks(noFindings, {isMockLocation: "true", isCompromised: 1}, true);
+assert.deepStrictEqual(truthy.fraudReasons, []);
+console.log("  ✅ Each reason carries its evidence\n");
+
+// Test 3: Counting
+console.log("Test 3: Which signals count");
+assert.strictEqual(isCounted({}), true);
+assert.strictEqual(isCounted({fraudStatus: FRAUD_STATUS.CLEAR}), true);
+[FRAUD_STATUS.FLAGGED, FRAUD_STATUS.QUARANTINED, FRAUD_STATUS.REJECTED].forEach((fraudStatus) => {
+  assert.strictEqual(isCounted({fraudStatus}), false, fraudStatus);
+});
+console.log("  ✅ Only clear signals (and unscored ones) count\n");
+
+// Test 4: Attestation
+console.log("Test 4: Sanitizing attestation");
+assert.strictEqual(sanitizeAttestation(null), null);
+assert.strictEqual(sanitizeAttestation("ios"), null);
+assert.deepStrictEqual(sanitizeAttestation({
+  platform: "ios",
+  appVersion: 3,
+  isMockLocation: "yes",
+  isCompromised: true,
+  deviceId: "abc",
+}), {platform: "ios", appVersion: null, isMockLocation: false, isCompromised: true});
+console.log("  ✅ Only known fields of the expected types are kept\n");
+
+// Test 5: Account age
+console.log("Test 5: Account age");
+const now = Date.parse("2026-10-19T12:00:00Z");
+const authUser = (creationTime) => ({metadata: {creationTime}});
+const profile = {displayName: "Sam", createdAt: admin.firestore.Timestamp.fromDate(new Date(now))};
+assert.strictEqual(accountReasonFor(null, authUser("Mon, 01 Jan 2024 00:00:00 GMT"), now),
+    "NO_PROFILE");
+assert.strictEqual(accountReasonFor(profile, authUser("Sun, 18 Oct 2026 11:00:00 GMT"), now),
+    null);
+assert.strictEqual(accountReasonFor(profile, authUser("Sun, 18 Oct 2026 13:00:00 GMT"), now),
+    "NEW_ACCOUNT");
+// A profile backdated by the client does not hide a new account
+const backdated = {
+  ...profile,
+  createdAt: admin.firestore.Timestamp.fromDate(new Date("2020-01-01")),
+};
+assert.strictEqual(accountReasonFor(backdated, authUser("Mon, 19 Oct 2026 11:00:00 GMT"), now),
+    "NEW_ACCOUNT");
+assert.strictEqual(accountReasonFor(profile, authUser(undefined), now), "NEW_ACCOUNT");
+console.log("  ✅ Age comes from the Auth account, not the profile\n");
+
+console.log("✅ All signal fraud tests completed successfully!");
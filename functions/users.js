@@ -6,6 +6,9 @@
 const functions = require("firebase-functions");
 const functionsV1 = require("firebase-functions/v1");
 const admin = require("firebase-admin");
+const {callable} = require('./callable');
+const {ledgerKey, awardPoints} = require('./pointsLedger');
+const {parseCreate, parseUpdate} = require('./schema');
 
 const db = admin.firestore();
 
@@ -13,153 +16,115 @@ const db = admin.firestore();
  * Create a new user
  * HTTP endpoint: POST /createUser
  */
-exports.createUser = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.createUser = callable('createUser', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const userId = context.auth.uid;
-    
-    // Validate interests if provided
-    if (data.interests && !Array.isArray(data.interests)) {
-      throw new functions.https.HttpsError('invalid-argument', 'Interests must be an array');
-    }
-    
-    if (data.interests && data.interests.some(interest => typeof interest !== 'string')) {
-      throw new functions.https.HttpsError('invalid-argument', 'All interests must be strings');
-    }
-    
-    const userData = {
-      id: userId,
-      displayName: data.displayName || 'Anonymous',
-      interests: data.interests || [],
-      auraPoints: 0,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    // Validate required fields
-    if (!userData.displayName) {
-      throw new functions.https.HttpsError('invalid-argument', 'Display name is required');
-    }
+  const userId = context.auth.uid;
+
+  // Only profile fields are accepted; aura points only change via the points ledger
+  const fields = parseCreate('users', data);
 
-    // Create user document
-    await db.collection('users').doc(userId).set(userData);
-
-    return {
-      success: true,
-      userId: userId,
-      user: userData,
-    };
-  } catch (error) {
-    console.error('Error creating user:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to create user');
+  const userData = {
+    ...fields,
+    id: userId,
+    displayName: fields.displayName || 'Anonymous',
+    interests: fields.interests || [],
+    auraPoints: 0,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  // Validate required fields
+  if (!userData.displayName) {
+    throw new functions.https.HttpsError('invalid-argument', 'Display name is required');
   }
+
+  // Create user document
+  await db.collection('users').doc(userId).set(userData);
+
+  return {
+    success: true,
+    userId: userId,
+    user: userData,
+  };
 });
 
 /**
  * Update user data
  * HTTP endpoint: PUT /updateUser
  */
-exports.updateUser = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const userId = context.auth.uid;
-    
-    // Validate interests if provided
-    if (data.interests !== undefined) {
-      if (!Array.isArray(data.interests)) {
-        throw new functions.https.HttpsError('invalid-argument', 'Interests must be an array');
-      }
-      if (data.interests.some(interest => typeof interest !== 'string')) {
-        throw new functions.https.HttpsError('invalid-argument', 'All interests must be strings');
-      }
-    }
-    
-    const updateData = {
-      ...data,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    // Remove fields that shouldn't be updated
-    delete updateData.id;
-    delete updateData.createdAt;
-
-    // Update user document
-    await db.collection('users').doc(userId).update(updateData);
-
-    // Get updated user data
-    const userDoc = await db.collection('users').doc(userId).get();
-    const updatedUser = userDoc.data();
-
-    return {
-      success: true,
-      user: updatedUser,
-    };
-  } catch (error) {
-    console.error('Error updating user:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to update user');
+exports.updateUser = callable('updateUser', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
   }
+
+  const userId = context.auth.uid;
+
+  // Only profile fields can be changed; aura points only change via the points ledger
+  const updateData = {
+    ...parseUpdate('users', data),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  // Update user document
+  await db.collection('users').doc(userId).update(updateData);
+
+  // Get updated user data
+  const userDoc = await db.collection('users').doc(userId).get();
+  const updatedUser = userDoc.data();
+
+  return {
+    success: true,
+    user: updatedUser,
+  };
 });
 
 /**
  * Delete user
  * HTTP endpoint: DELETE /deleteUser
  */
-exports.deleteUser = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
+exports.deleteUser = callable('deleteUser', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    const userId = context.auth.uid;
+  const userId = context.auth.uid;
 
-    // Delete user document
-    await db.collection('users').doc(userId).delete();
+  // Delete user document
+  await db.collection('users').doc(userId).delete();
 
-    return {
-      success: true,
-      message: 'User deleted successfully',
-    };
-  } catch (error) {
-    console.error('Error deleting user:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to delete user');
-  }
+  return {
+    success: true,
+    message: 'User deleted successfully',
+  };
 });
 
 /**
  * Get user data
  * HTTP endpoint: GET /getUser
  */
-exports.getUser = functions.https.onCall(async (data, context) => {
-  try {
-    // Verify user is authenticated
-    if (!context.auth) {
-      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-    }
-
-    const userId = context.auth.uid;
-    const userDoc = await db.collection('users').doc(userId).get();
+exports.getUser = callable('getUser', async (data, context) => {
+  // Verify user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-    if (!userDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'User not found');
-    }
+  const userId = context.auth.uid;
+  const userDoc = await db.collection('users').doc(userId).get();
 
-    return {
-      success: true,
-      user: userDoc.data(),
-    };
-  } catch (error) {
-    console.error('Error getting user:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to get user');
+  if (!userDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'User not found', {code: 'USER_NOT_FOUND'});
   }
+
+  return {
+    success: true,
+    user: userDoc.data(),
+  };
 });
 
 /**
@@ -175,18 +140,13 @@ exports.onUserCreate = functionsV1.firestore
 
       console.log(`New user created: ${userId}`);
 
-      // Initialize user's points collection
-      await db.collection('points').doc(`${userId}_initial`).set({
+      // Award the welcome bonus (once per user, even on retries)
+      await awardPoints({
+        pointId: ledgerKey('welcome', userId),
         userId: userId,
         points: 100, // Welcome bonus
         reason: 'Welcome bonus',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-
-      // Update user's aura points
-      await db.collection('users').doc(userId).update({
-        auraPoints: admin.firestore.FieldValue.increment(100),
+        source: 'welcome',
       });
 
       console.log(`User ${userId} initialized with welcome bonus`);
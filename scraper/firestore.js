@@ -4,6 +4,13 @@
 import admin from "firebase-admin";
 import { readFileSync, existsSync } from "fs";
 import { canonicalIdForEvent } from "./utils.js";
+import campusGazetteer from "../functions/campusGazetteer.js";
+
+const {
+  UNRESOLVED_LOCATIONS_COLLECTION,
+  geocodeFieldsForEvent,
+  unresolvedLocationEntry
+} = campusGazetteer;
 
 if (!admin.apps.length) {
   if (existsSync("./serviceAccountKey.json")) {
@@ -93,10 +100,34 @@ export async function writeLinktreeRaw(eventId, payload) {
     );
 }
 
+// Queue a location the campus gazetteer could not resolve for manual mapping
+export async function queueUnresolvedLocation(normalized) {
+  const entry = unresolvedLocationEntry(normalized);
+  if (!entry) return;
+
+  await db
+    .collection(UNRESOLVED_LOCATIONS_COLLECTION)
+    .doc(entry.id)
+    .set(
+      {
+        ...entry.data,
+        occurrences: admin.firestore.FieldValue.increment(1),
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp()
+      },
+      { merge: true }
+    );
+}
+
 // Upsert normalized "live" event (shared across sources)
+// Adds latitude/longitude/geohash when the location matches a campus building
 export async function writeNormalizedEvent(normalized, confidenceOverride) {
   const id = canonicalIdForEvent(normalized);
   const now = admin.firestore.FieldValue.serverTimestamp();
+  const geocoded = geocodeFieldsForEvent(normalized);
+
+  if (!geocoded) {
+    await queueUnresolvedLocation(normalized);
+  }
 
   await db
     .collection("campus_events_live")
@@ -104,6 +135,7 @@ export async function writeNormalizedEvent(normalized, confidenceOverride) {
     .set(
       {
         ...normalized,
+        ...geocoded,
         confidence:
           confidenceOverride ??
           (normalized.sourceType === "instagram" ? 0.5 : 1.0),